@@ -1,28 +1,52 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('../utils/logger');
+const ProviderError = require('../utils/providerError');
+const resilience = require('../utils/resilience');
+const { getUpstreamHeaders } = require('../utils/requestContext');
+const toolCalls = require('../utils/toolCalls');
+
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
 
 class AnthropicService {
   constructor() {
     this.client = new Anthropic({
       apiKey: process.env.ANTHROPIC_API_KEY,
+      maxRetries: 0 // Retries are handled by the shared resilience layer
     });
   }
 
-  async generateResponse({ messages, model = 'claude-3-sonnet-20240229', systemPrompt, temperature = 0.7, maxTokens = 1000 }) {
+  async generateResponse({ messages, model = 'claude-3-sonnet-20240229', systemPrompt, temperature = 0.7, maxTokens = 1000, tools, toolChoice }) {
     try {
       // Convert messages to Anthropic format
-      const anthropicMessages = this.formatMessages(messages);
+      const useTools = toolCalls.shouldUseTools(tools, toolChoice);
+      const anthropicMessages = this.formatMessages(useTools ? messages : toolCalls.flattenToolMessages(messages));
       
-      const response = await this.client.messages.create({
+      const response = await resilience.execute('anthropic', () => this.client.messages.create({
         model,
         max_tokens: maxTokens,
         temperature,
         system: systemPrompt,
-        messages: anthropicMessages
-      });
+        messages: anthropicMessages,
+        ...(useTools ? this.formatTools(tools, toolChoice) : {})
+      }, { headers: getUpstreamHeaders() }));
+
+      // The reply is a list of blocks: text and, when tools are in play, tool_use
+      const calls = response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
 
       return {
-        content: response.content[0].text,
+        content: response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        ...(calls.length > 0 ? { toolCalls: calls } : {}),
+        finishReason: FINISH_REASONS[response.stop_reason] || response.stop_reason,
         model: response.model,
         usage: {
           prompt_tokens: response.usage.input_tokens,
@@ -32,58 +56,158 @@ class AnthropicService {
       };
     } catch (error) {
       logger.error('Anthropic API error:', error);
-      throw new Error(`Anthropic API error: ${error.message}`);
+      throw ProviderError.from('anthropic', 'Anthropic API error', error);
     }
   }
 
-  async streamResponse({ messages, model = 'claude-3-sonnet-20240229', systemPrompt, temperature = 0.7, onChunk, onComplete, onError }) {
+  async streamResponse({ messages, model = 'claude-3-sonnet-20240229', systemPrompt, temperature = 0.7, maxTokens = 1000, tools, toolChoice, signal, onChunk, onComplete, onError }) {
     try {
-      const anthropicMessages = this.formatMessages(messages);
+      const useTools = toolCalls.shouldUseTools(tools, toolChoice);
+      const anthropicMessages = this.formatMessages(useTools ? messages : toolCalls.flattenToolMessages(messages));
       
-      const stream = await this.client.messages.create({
+      const stream = await resilience.execute('anthropic', () => this.client.messages.create({
         model,
-        max_tokens: 1000,
+        max_tokens: maxTokens,
         temperature,
         system: systemPrompt,
         messages: anthropicMessages,
+        ...(useTools ? this.formatTools(tools, toolChoice) : {}),
         stream: true
-      });
+      }, { headers: getUpstreamHeaders(), signal }), { signal });
 
       let fullContent = '';
-      let usage = null;
+      let responseModel = model;
+      let inputTokens = 0;
+      let outputTokens = 0;
+      let stopReason = null;
+      // tool_use blocks by content block index; their input arrives as JSON fragments
+      const toolBlocks = new Map();
 
       for await (const chunk of stream) {
-        if (chunk.type === 'content_block_delta') {
+        if (chunk.type === 'message_start') {
+          // Input token count is only reported when the message starts
+          responseModel = chunk.message?.model || model;
+          inputTokens = chunk.message?.usage?.input_tokens || 0;
+          outputTokens = chunk.message?.usage?.output_tokens || 0;
+        } else if (chunk.type === 'content_block_start' && chunk.content_block?.type === 'tool_use') {
+          toolBlocks.set(chunk.index, { id: chunk.content_block.id, name: chunk.content_block.name, json: '' });
+        } else if (chunk.type === 'content_block_delta') {
+          if (chunk.delta.type === 'input_json_delta') {
+            const block = toolBlocks.get(chunk.index);
+            if (block) block.json += chunk.delta.partial_json || '';
+            continue;
+          }
+
           const content = chunk.delta.text;
-          fullContent += content;
-          onChunk(content);
+          if (content) {
+            fullContent += content;
+            onChunk(content);
+          }
         } else if (chunk.type === 'message_delta') {
-          usage = chunk.usage;
+          outputTokens = chunk.usage?.output_tokens || outputTokens;
+          stopReason = chunk.delta?.stop_reason || stopReason;
         }
       }
 
+      // An aborted SDK stream just stops yielding
+      if (signal?.aborted) return;
+
+      const calls = Array.from(toolBlocks.values()).map(block => ({
+        id: block.id,
+        name: block.name,
+        arguments: toolCalls.parseArguments(block.json)
+      }));
+
       onComplete({
         content: fullContent,
-        model,
-        usage: usage ? {
-          prompt_tokens: usage.input_tokens,
-          completion_tokens: usage.output_tokens,
-          total_tokens: usage.input_tokens + usage.output_tokens
-        } : null
+        ...(calls.length > 0 ? { toolCalls: calls } : {}),
+        finishReason: FINISH_REASONS[stopReason] || stopReason,
+        model: responseModel,
+        usage: {
+          prompt_tokens: inputTokens,
+          completion_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens
+        }
       });
     } catch (error) {
+      // Cancelled by the caller, which keeps what onChunk already delivered
+      if (signal?.aborted) return;
       logger.error('Anthropic streaming error:', error);
-      onError(error);
+      onError(ProviderError.from('anthropic', 'Anthropic API error', error));
     }
   }
 
   formatMessages(messages) {
-    return messages
-      .filter(msg => msg.role !== 'system')
-      .map(msg => ({
-        role: msg.role === 'assistant' ? 'assistant' : 'user',
-        content: msg.content
-      }));
+    const formatted = [];
+
+    for (const msg of messages.filter(message => message.role !== 'system')) {
+      if (msg.role === 'tool') {
+        const result = { type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content };
+        const previous = formatted[formatted.length - 1];
+
+        // Results travel in a user turn; answers to parallel calls share one turn
+        if (previous && previous.role === 'user' && Array.isArray(previous.content)) {
+          previous.content.push(result);
+        } else {
+          formatted.push({ role: 'user', content: [result] });
+        }
+      } else if (msg.role === 'assistant' && toolCalls.hasToolCalls(msg)) {
+        formatted.push({
+          role: 'assistant',
+          content: [
+            ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+            ...msg.toolCalls.map(call => ({
+              type: 'tool_use',
+              id: call.id,
+              name: call.name,
+              input: typeof call.arguments === 'object' && call.arguments !== null ? call.arguments : {}
+            }))
+          ]
+        });
+      } else {
+        const previous = formatted[formatted.length - 1];
+
+        // A message sent along with tool results joins their turn
+        if (msg.role === 'user' && previous && previous.role === 'user' && Array.isArray(previous.content)) {
+          const content = this.formatContent(msg.content);
+          previous.content.push(...(Array.isArray(content) ? content : [{ type: 'text', text: content }]));
+        } else {
+          formatted.push({
+            role: msg.role === 'assistant' ? 'assistant' : 'user',
+            content: this.formatContent(msg.content)
+          });
+        }
+      }
+    }
+
+    return formatted;
+  }
+
+  formatContent(content) {
+    if (!Array.isArray(content)) return content;
+
+    return content.map(part => (part.type === 'image'
+      ? { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } }
+      : { type: 'text', text: part.text }));
+  }
+
+  // Anthropic has no "none" choice; callers drop the tools instead
+  formatTools(tools, toolChoice = 'auto') {
+    const choices = {
+      auto: { type: 'auto' },
+      required: { type: 'any' }
+    };
+
+    return {
+      tools: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters || { type: 'object', properties: {} }
+      })),
+      tool_choice: typeof toolChoice === 'object'
+        ? { type: 'tool', name: toolChoice.name }
+        : choices[toolChoice] || choices.auto
+    };
   }
 
   async validateApiKey() {
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const authService = require('./authService');
+const logger = require('../utils/logger');
+
+// 'admin' implies every other scope
+const SCOPES = [
+  'chat',
+  'compare',
+  'images',
+  'conversations:read',
+  'conversations:write',
+  'collections:read',
+  'collections:write',
+  'admin'
+];
+
+const KEY_PREFIX = 'cbk';
+
+// Don't rewrite the store on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Managed API keys. A key looks like cbk_<prefix>_<secret>: the prefix is
+// stored in clear so keys can be told apart in listings and looked up, the
+// secret only as a SHA-256 hash. The plaintext is returned once, on creation.
+class ApiKeyService {
+  constructor(auth = authService) {
+    // Keys live in the same pluggable store as user accounts
+    this.store = auth.store;
+    this.activeKeyCount = 0;
+    this.ready = auth.ready.then(() => this.countActiveKeys());
+  }
+
+  async countActiveKeys() {
+    const keys = await this.store.listApiKeys();
+    this.activeKeyCount = keys.filter(key => this.isActive(key)).length;
+  }
+
+  // Synchronous so the auth chain can tell whether the apikey strategy is in use
+  hasActiveKeys() {
+    return this.activeKeyCount > 0;
+  }
+
+  isActive(apiKey) {
+    return !apiKey.revokedAt &&
+      !(apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() < Date.now());
+  }
+
+  hasScope(scopes, scope) {
+    return Array.isArray(scopes) && (scopes.includes('admin') || scopes.includes(scope));
+  }
+
+  publicKey(apiKey) {
+    const { keyHash, ...rest } = apiKey;
+    return { ...rest, active: this.isActive(apiKey) };
+  }
+
+  generateSecret() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return {
+      prefix: `${KEY_PREFIX}_${prefix}`,
+      key: `${KEY_PREFIX}_${prefix}_${secret}`
+    };
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+  }
+
+  // Hashing first makes both sides the same length, so timingSafeEqual always applies
+  safeEqual(a, b) {
+    return crypto.timingSafeEqual(this.hashKey(a), this.hashKey(b));
+  }
+
+  // limits: { daily, monthly } token budgets; omitted ones fall back to the defaults
+  async create({ userId, name, scopes, limits = {}, expiresInDays, expiresAt = null, rotatedFrom = null }) {
+    await this.ready;
+
+    const { prefix, key } = this.generateSecret();
+    const apiKey = {
+      id: uuidv4(),
+      userId: String(userId),
+      name,
+      prefix,
+      keyHash: this.hashKey(key).toString('hex'),
+      scopes: Array.from(new Set(scopes)),
+      limits,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : expiresAt,
+      lastUsedAt: null,
+      revokedAt: null,
+      rotatedFrom
+    };
+
+    await this.store.saveApiKey(apiKey);
+    this.activeKeyCount++;
+
+    logger.info('API key created', { keyId: apiKey.id, userId: apiKey.userId, scopes: apiKey.scopes });
+    return { key, apiKey: this.publicKey(apiKey) };
+  }
+
+  async list(userId) {
+    await this.ready;
+    const keys = await this.store.listApiKeys(String(userId));
+    return keys
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(apiKey => this.publicKey(apiKey));
+  }
+
+  // Returns null when the key doesn't exist or belongs to someone else
+  async getOwned(keyId, userId) {
+    await this.ready;
+    const apiKey = await this.store.getApiKey(keyId);
+    return apiKey && apiKey.userId === String(userId) ? apiKey : null;
+  }
+
+  async revoke(keyId, userId) {
+    const apiKey = await this.getOwned(keyId, userId);
+    if (!apiKey) return null;
+
+    if (!apiKey.revokedAt) {
+      const wasActive = this.isActive(apiKey);
+      apiKey.revokedAt = new Date().toISOString();
+      await this.store.saveApiKey(apiKey);
+      if (wasActive) this.activeKeyCount--;
+      logger.info('API key revoked', { keyId, userId: apiKey.userId });
+    }
+
+    return this.publicKey(apiKey);
+  }
+
+  // Issues a new secret with the same name, scopes and expiry and revokes the old one
+  async rotate(keyId, userId) {
+    const apiKey = await this.getOwned(keyId, userId);
+    if (!apiKey || !this.isActive(apiKey)) return null;
+
+    const created = await this.create({
+      userId: apiKey.userId,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      limits: apiKey.limits,
+      expiresAt: apiKey.expiresAt,
+      rotatedFrom: apiKey.id
+    });
+    await this.revoke(apiKey.id, userId);
+
+    return created;
+  }
+
+  // Resolves a presented key to its record, or null if it isn't valid
+  async verify(key) {
+    await this.ready;
+
+    const match = /^([a-z]+_[0-9a-f]+)_([\w-]+)$/.exec(String(key || ''));
+    if (!match) return null;
+
+    const apiKey = await this.store.findApiKeyByPrefix(match[1]);
+    if (!apiKey || !this.isActive(apiKey)) return null;
+
+    const presented = this.hashKey(key);
+    const expected = Buffer.from(apiKey.keyHash, 'hex');
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+      return null;
+    }
+
+    const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+      apiKey.lastUsedAt = new Date().toISOString();
+      this.store.touchApiKey(apiKey.id, apiKey.lastUsedAt).catch(error => {
+        logger.warn('Failed to record API key usage', { keyId: apiKey.id, error: error.message });
+      });
+    }
+
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.ApiKeyService = ApiKeyService;
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,121 @@
+process.env.CONVERSATION_STORE = 'memory';
+process.env.USER_STORE = 'memory';
+process.env.BCRYPT_ROUNDS = '4';
+
+const { AuthService } = require('../services/authService');
+const { ApiKeyService, SCOPES } = require('../services/apiKeyService');
+const MemoryUserStore = require('../utils/memoryUserStore');
+const apiKeyService = require('../services/apiKeyService');
+const { authenticateApiKey, requireScope } = require('../middleware/auth');
+
+let keys;
+
+beforeEach(() => {
+  keys = new ApiKeyService(new AuthService(new MemoryUserStore()));
+});
+
+describe('ApiKeyService', () => {
+  it('returns the plaintext once and stores only a hash', async () => {
+    const { key, apiKey } = await keys.create({ userId: 7, name: 'CI', scopes: ['chat', 'chat'] });
+
+    expect(key).toMatch(/^cbk_[0-9a-f]{12}_[\w-]+$/);
+    expect(apiKey).toMatchObject({ userId: '7', name: 'CI', scopes: ['chat'], active: true, prefix: key.split('_').slice(0, 2).join('_') });
+    expect(apiKey).not.toHaveProperty('keyHash');
+    expect(JSON.stringify(await keys.store.listApiKeys())).not.toContain(key.split('_')[2]);
+  });
+
+  it('verifies the exact key only', async () => {
+    const { key } = await keys.create({ userId: 7, name: 'CI', scopes: ['chat'] });
+
+    expect(await keys.verify(key)).toMatchObject({ userId: '7', scopes: ['chat'] });
+    expect(await keys.verify(`${key}x`)).toBeNull();
+    expect(await keys.verify('not-a-key')).toBeNull();
+  });
+
+  it('stops accepting revoked and expired keys', async () => {
+    const revoked = await keys.create({ userId: 7, name: 'old', scopes: ['chat'] });
+    await keys.revoke(revoked.apiKey.id, 7);
+    const expired = await keys.create({ userId: 7, name: 'temp', scopes: ['chat'], expiresAt: '2000-01-01T00:00:00.000Z' });
+
+    expect(await keys.verify(revoked.key)).toBeNull();
+    expect(await keys.verify(expired.key)).toBeNull();
+  });
+
+  it('only lets the owner list, revoke and rotate a key', async () => {
+    const { apiKey } = await keys.create({ userId: 7, name: 'CI', scopes: ['chat'] });
+    await keys.create({ userId: 8, name: 'other', scopes: ['chat'] });
+
+    expect((await keys.list(7)).map(key => key.name)).toEqual(['CI']);
+    expect(await keys.revoke(apiKey.id, 8)).toBeNull();
+    expect(await keys.rotate(apiKey.id, 8)).toBeNull();
+  });
+
+  it('rotates a key into a new secret with the same settings', async () => {
+    const original = await keys.create({ userId: 7, name: 'CI', scopes: ['chat', 'compare'], expiresInDays: 30 });
+
+    const rotated = await keys.rotate(original.apiKey.id, 7);
+
+    expect(rotated.apiKey).toMatchObject({
+      name: 'CI',
+      scopes: ['chat', 'compare'],
+      expiresAt: original.apiKey.expiresAt,
+      rotatedFrom: original.apiKey.id
+    });
+    expect(await keys.verify(original.key)).toBeNull();
+    expect(await keys.verify(rotated.key)).not.toBeNull();
+  });
+
+  it('records usage without undoing a revoke that happened meanwhile', async () => {
+    const { key, apiKey } = await keys.create({ userId: 7, name: 'CI', scopes: ['chat'] });
+
+    // The key is revoked right after verify has read it
+    const findApiKeyByPrefix = keys.store.findApiKeyByPrefix.bind(keys.store);
+    keys.store.findApiKeyByPrefix = async (prefix) => {
+      const record = await findApiKeyByPrefix(prefix);
+      await keys.revoke(apiKey.id, 7);
+      return record;
+    };
+
+    await keys.verify(key);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const stored = await keys.store.getApiKey(apiKey.id);
+    expect(stored.revokedAt).not.toBeNull();
+    expect(stored.lastUsedAt).not.toBeNull();
+  });
+
+  it('treats admin as every scope', () => {
+    expect(SCOPES).toContain('admin');
+    expect(keys.hasScope(['admin'], 'conversations:write')).toBe(true);
+    expect(keys.hasScope(['chat'], 'compare')).toBe(false);
+  });
+});
+
+describe('API key middleware', () => {
+  // Resolves once the middleware either calls next or answers
+  const run = (middleware, req) => new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { resolve({ passed: false, status: this.statusCode, body: payload, req }); return this; }
+    };
+    middleware(req, res, () => resolve({ passed: true, req }));
+  });
+
+  it('signs requests in as the key\'s owner with its scopes', async () => {
+    const { key, apiKey } = await apiKeyService.create({ userId: 'ada', name: 'bot', scopes: ['conversations:read'] });
+
+    const { req } = await run(authenticateApiKey, { headers: { 'x-api-key': key } });
+
+    expect(req.user).toEqual({ id: 'ada', authMethod: 'apikey', apiKeyId: apiKey.id, scopes: ['conversations:read'], limits: {} });
+    expect((await run(requireScope('conversations:read'), req)).passed).toBe(true);
+    expect(await run(requireScope('chat'), req)).toMatchObject({
+      status: 403,
+      body: { error: 'API key is missing the required scope: chat' }
+    });
+  });
+
+  it('does not restrict users that signed in without a key', async () => {
+    expect((await run(requireScope('admin'), { user: { id: 'ada' } })).passed).toBe(true);
+  });
+});
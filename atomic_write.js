@@ -0,0 +1,29 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Write to a temp file in the same directory, flush it, then rename over the
+// target. A crash leaves either the old or the new file, never a partial one.
+const writeFileAtomic = async (filePath, contents) => {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+};
+
+module.exports = { writeFileAtomic };
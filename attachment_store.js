@@ -0,0 +1,245 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic } = require('./atomicWrite');
+const contentParts = require('./contentParts');
+const { sniffAudioType, AUDIO_FORMATS } = require('./audioFormats');
+const logger = require('./logger');
+
+class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+// Uploaded and inline images and voice messages, kept out of the conversation
+// files: each attachment is a data file plus a small JSON metadata file.
+// Messages only store { type: 'image', attachmentId, mimeType } or an audio reference.
+class AttachmentStore {
+  constructor({ directory, maxBytes, maxAudioBytes } = {}) {
+    this.directory = directory || process.env.ATTACHMENTS_DIR || path.join(process.cwd(), 'data', 'attachments');
+    // Anthropic's per-image limit is the strictest of the vision providers
+    this.maxBytes = maxBytes || parseInt(process.env.ATTACHMENT_MAX_BYTES || String(5 * 1024 * 1024));
+    // Whisper's upload limit
+    this.maxAudioBytes = maxAudioBytes || parseInt(process.env.AUDIO_MAX_BYTES || String(25 * 1024 * 1024));
+    // Metadata of every attachment, loaded on the first listing
+    this.index = null;
+    this.indexing = null;
+    this.pending = [];
+    this.ready = fs.mkdir(this.directory, { recursive: true }).catch(error => {
+      logger.error('Failed to initialize attachment store:', error);
+      throw error;
+    });
+  }
+
+  getPaths(attachmentId) {
+    // Attachment IDs become file names, so never let one escape the directory
+    if (typeof attachmentId !== 'string' || !/^[\w-]+$/.test(attachmentId)) {
+      throw new AttachmentError('Invalid attachment ID');
+    }
+    return {
+      data: path.join(this.directory, `${attachmentId}.bin`),
+      metadata: path.join(this.directory, `${attachmentId}.json`)
+    };
+  }
+
+  canAccess(metadata, userId) {
+    return (metadata.userId || null) === (userId || null);
+  }
+
+  // kind: image or audio. source: upload, inline, generated or voice; details
+  // holds source specific fields (prompt, model, ...). Generated images are
+  // not held to the upload limit.
+  async save({ buffer, userId, name, kind = 'image', source = 'upload', details = {} }) {
+    await this.ready;
+
+    const label = kind === 'audio' ? 'Audio' : 'Image';
+    const maxBytes = kind === 'audio' ? this.maxAudioBytes : this.maxBytes;
+
+    if (!buffer || buffer.length === 0) {
+      throw new AttachmentError(`${label} is empty`);
+    }
+    if (source !== 'generated' && buffer.length > maxBytes) {
+      throw new AttachmentError(`${label} is too large (max ${maxBytes} bytes)`, 413);
+    }
+
+    const mimeType = kind === 'audio' ? sniffAudioType(buffer) : contentParts.sniffMimeType(buffer);
+    if (!mimeType) {
+      const accepted = kind === 'audio' ? Object.keys(AUDIO_FORMATS) : contentParts.IMAGE_MIME_TYPES;
+      throw new AttachmentError(`Unsupported ${kind} format; use one of: ${accepted.join(', ')}`, 415);
+    }
+
+    const metadata = {
+      ...details,
+      id: uuidv4(),
+      userId: userId || null,
+      name: name || undefined,
+      mimeType,
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      kind,
+      source,
+      createdAt: new Date().toISOString()
+    };
+
+    const paths = this.getPaths(metadata.id);
+    await writeFileAtomic(paths.data, buffer);
+    await writeFileAtomic(paths.metadata, JSON.stringify(metadata, null, 2));
+
+    if (this.index) {
+      this.index.set(metadata.id, metadata);
+    } else if (this.indexing) {
+      this.pending.push(metadata);
+    }
+
+    return metadata;
+  }
+
+  loadIndex() {
+    if (this.index) return Promise.resolve(this.index);
+
+    if (!this.indexing) {
+      this.indexing = (async () => {
+        await this.ready;
+        const index = new Map();
+        const files = await fs.readdir(this.directory);
+
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+          try {
+            const metadata = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+            index.set(metadata.id, metadata);
+          } catch (error) {
+            logger.warn('Skipping unreadable attachment metadata', { file, error: error.message });
+          }
+        }
+
+        // Attachments saved while the directory was being read
+        for (const metadata of this.pending) {
+          index.set(metadata.id, metadata);
+        }
+        this.pending = [];
+        this.index = index;
+        return index;
+      })().finally(() => {
+        this.indexing = null;
+      });
+    }
+
+    return this.indexing;
+  }
+
+  // Newest first; options.source narrows it down, e.g. to generated images
+  async list({ userId, source, limit = 20, offset = 0 } = {}) {
+    const index = await this.loadIndex();
+    const matching = Array.from(index.values())
+      .filter(metadata => this.canAccess(metadata, userId))
+      .filter(metadata => !source || metadata.source === source)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: matching.length,
+      attachments: matching.slice(offset, offset + limit)
+    };
+  }
+
+  // Every generated image, for cost reports: attachments outlive the
+  // conversations they were shown in. All users' when userId is undefined.
+  async listGeneratedImages({ userId } = {}) {
+    const index = await this.loadIndex();
+    return Array.from(index.values())
+      .filter(metadata => metadata.source === 'generated')
+      .filter(metadata => userId === undefined || this.canAccess(metadata, userId));
+  }
+
+  async getMetadata(attachmentId) {
+    await this.ready;
+    try {
+      return JSON.parse(await fs.readFile(this.getPaths(attachmentId).metadata, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // null unless the attachment exists and belongs to userId
+  async read(attachmentId, userId) {
+    const metadata = await this.getMetadata(attachmentId);
+    if (!metadata || !this.canAccess(metadata, userId)) return null;
+
+    const data = await fs.readFile(this.getPaths(attachmentId).data);
+    return { metadata, data };
+  }
+
+  // Moves inline images into the store so the message only keeps references
+  async storeContent(content, userId) {
+    if (!Array.isArray(content)) return content;
+
+    const stored = [];
+    for (const part of content) {
+      if (!contentParts.isImagePart(part)) {
+        stored.push(part);
+        continue;
+      }
+
+      if (part.attachmentId) {
+        const metadata = await this.getMetadata(part.attachmentId);
+        if (!metadata || !this.canAccess(metadata, userId)) {
+          throw new AttachmentError(`Attachment not found: ${part.attachmentId}`);
+        }
+        if (metadata.kind === 'audio') {
+          throw new AttachmentError(`Attachment ${part.attachmentId} is not an image`);
+        }
+        stored.push({ type: 'image', attachmentId: metadata.id, mimeType: metadata.mimeType });
+        continue;
+      }
+
+      const image = contentParts.decodeImage(part);
+      if (!image) {
+        throw new AttachmentError(`Images must be base64 encoded ${contentParts.IMAGE_MIME_TYPES.join(', ')}`);
+      }
+      const metadata = await this.save({ buffer: image.buffer, userId, source: 'inline' });
+      stored.push({ type: 'image', attachmentId: metadata.id, mimeType: metadata.mimeType });
+    }
+
+    return stored;
+  }
+
+  // Inlines image data for a request to a vision model. Images the user can't
+  // read (deleted, or imported from someone else's export) become placeholders.
+  async resolveContent(content, userId) {
+    if (!Array.isArray(content)) return content;
+
+    return Promise.all(content.map(async part => {
+      if (!contentParts.isImagePart(part)) return part;
+
+      if (!part.attachmentId) {
+        const image = contentParts.decodeImage(part);
+        return image
+          ? { type: 'image', mimeType: image.mimeType, data: image.buffer.toString('base64') }
+          : { type: 'text', text: '[Image unavailable]' };
+      }
+
+      const attachment = await this.read(part.attachmentId, userId).catch(() => null);
+      return attachment
+        ? { type: 'image', mimeType: attachment.metadata.mimeType, data: attachment.data.toString('base64') }
+        : { type: 'text', text: '[Image unavailable]' };
+    }));
+  }
+
+  // Providers only take images in user turns; generated images in assistant
+  // replies are described instead
+  async resolveMessages(messages, userId) {
+    return Promise.all(messages.map(async msg => {
+      if (!Array.isArray(msg.content)) return msg;
+      if (msg.role !== 'user') return { ...msg, content: contentParts.flattenContent(msg.content) };
+      return { ...msg, content: await this.resolveContent(msg.content, userId) };
+    }));
+  }
+}
+
+module.exports = new AttachmentStore();
+module.exports.AttachmentStore = AttachmentStore;
+module.exports.AttachmentError = AttachmentError;
@@ -0,0 +1,47 @@
+// Audio formats Whisper accepts, keyed by the MIME type we store, with the file
+// extension the API uses to recognise them
+const AUDIO_FORMATS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/flac': 'flac'
+};
+
+// What browsers and recorders put in Content-Type for the formats above
+const AUDIO_MIME_TYPES = [
+  ...Object.keys(AUDIO_FORMATS),
+  'audio/mp3',
+  'audio/x-m4a',
+  'audio/m4a',
+  'audio/x-wav',
+  'audio/wave',
+  'audio/x-flac',
+  'video/webm'
+];
+
+// audio/webm;codecs=opus -> audio/webm
+const normalizeMimeType = (mimeType) => String(mimeType || '').split(';')[0].trim().toLowerCase();
+
+// Like images, the bytes decide the stored type
+const sniffAudioType = (buffer) => {
+  if (buffer.length < 12) return null;
+
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'audio/webm';
+  if (ascii(4, 8) === 'ftyp') return 'audio/mp4';
+  return null;
+};
+
+module.exports = {
+  AUDIO_FORMATS,
+  AUDIO_MIME_TYPES,
+  normalizeMimeType,
+  sniffAudioType
+};
@@ -0,0 +1,159 @@
+process.env.CONVERSATION_STORE = 'memory';
+process.env.USER_STORE = 'memory';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The retrieval service builds its index on load; keep it out of the working directory
+process.env.COLLECTIONS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collections-'));
+
+const jwt = require('jsonwebtoken');
+const { authenticate, getAuthStrategies, getUserId, isAdmin } = require('../middleware/auth');
+const { requireConversationOwner, requireCollectionAccess } = require('../middleware/ownership');
+const conversationManager = require('../utils/conversationManager');
+const retrievalService = require('../services/retrievalService');
+
+// Resolves once the middleware either calls next or answers
+const run = (middleware, { headers = {}, params = {}, body = {}, user } = {}) => new Promise(resolve => {
+  const req = { headers, params, body, user };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { resolve({ passed: false, status: this.statusCode, body: payload, req }); return this; }
+  };
+  middleware(req, res, () => resolve({ passed: true, req }));
+});
+
+const env = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...env };
+});
+
+describe('authenticate', () => {
+  it('lets everything through when no strategy is configured', async () => {
+    delete process.env.JWT_SECRET;
+    delete process.env.API_KEY;
+
+    expect(getAuthStrategies()).toEqual([]);
+    expect((await run(authenticate)).passed).toBe(true);
+  });
+
+  it('requires credentials once a secret is configured', async () => {
+    process.env.JWT_SECRET = 'secret';
+
+    expect(await run(authenticate)).toMatchObject({ passed: false, status: 401, body: { error: 'Authentication required' } });
+  });
+
+  it('accepts a valid JWT and rejects a forged one', async () => {
+    process.env.JWT_SECRET = 'secret';
+    const token = jwt.sign({ id: 42, username: 'ada' }, 'secret');
+
+    const accepted = await run(authenticate, { headers: { authorization: `Bearer ${token}` } });
+    expect(accepted.passed).toBe(true);
+    expect(getUserId(accepted.req)).toBe('42');
+
+    const forged = jwt.sign({ id: 42 }, 'guessed');
+    expect(await run(authenticate, { headers: { authorization: `Bearer ${forged}` } })).toMatchObject({ status: 403 });
+  });
+
+  it('uses the strategy whose credentials were sent', async () => {
+    process.env.JWT_SECRET = 'secret';
+    process.env.API_KEY = 'key';
+    process.env.API_KEY_USER_ID = 'service';
+
+    const result = await run(authenticate, { headers: { 'x-api-key': 'key' } });
+    expect(getUserId(result.req)).toBe('service');
+    expect(await run(authenticate, { headers: { 'x-api-key': 'wrong' } })).toMatchObject({ status: 401 });
+  });
+
+  it('only offers requested strategies that have a secret', () => {
+    process.env.AUTH_STRATEGIES = 'apikey, jwt, saml';
+    process.env.JWT_SECRET = 'secret';
+    delete process.env.API_KEY;
+
+    expect(getAuthStrategies()).toEqual(['jwt']);
+  });
+});
+
+describe('isAdmin', () => {
+  it('treats the shared API key and configured users as operators', async () => {
+    process.env.API_KEY = 'key';
+    process.env.ADMIN_USER_IDS = ' 7, ada ';
+
+    const { req } = await run(authenticate, { headers: { 'x-api-key': 'key' } });
+
+    expect(isAdmin(req)).toBe(true);
+    expect(isAdmin({ user: { id: 7 } })).toBe(true);
+    expect(isAdmin({ user: { id: 'ada', apiKeyId: 'k1', scopes: ['chat'] } })).toBe(true);
+    expect(isAdmin({})).toBe(false);
+  });
+
+  it('does not count the admin scope of a managed key', () => {
+    delete process.env.ADMIN_USER_IDS;
+
+    expect(isAdmin({ user: { id: 'grace', apiKeyId: 'k1', scopes: ['admin'] } })).toBe(false);
+  });
+});
+
+describe('conversation ownership', () => {
+  beforeAll(async () => {
+    await conversationManager.saveMessage('ada-chat', { role: 'user', content: 'Private notes' }, { userId: 'ada' });
+    await conversationManager.saveMessage('shared-chat', { role: 'user', content: 'Anyone' });
+  });
+
+  it('lets the owner in and hides the conversation from everyone else', async () => {
+    expect((await run(requireConversationOwner, { params: { id: 'ada-chat' }, user: { id: 'ada' } })).passed).toBe(true);
+    expect(await run(requireConversationOwner, { params: { id: 'ada-chat' }, user: { id: 'bob' } })).toMatchObject({
+      status: 404,
+      body: { error: 'Conversation not found' }
+    });
+    expect((await run(requireConversationOwner, { body: { conversationId: 'ada-chat' } })).passed).toBe(false);
+  });
+
+  it('allows starting a new conversation', async () => {
+    expect((await run(requireConversationOwner, { body: { conversationId: 'brand-new' }, user: { id: 'bob' } })).passed).toBe(true);
+  });
+
+  it('treats conversations without an owner as the anonymous user\'s', async () => {
+    expect((await run(requireConversationOwner, { params: { id: 'shared-chat' } })).passed).toBe(true);
+    expect((await run(requireConversationOwner, { params: { id: 'shared-chat' }, user: { id: 'ada' } })).passed).toBe(false);
+  });
+
+  it('lists, searches and appends only within the caller\'s conversations', async () => {
+    expect((await conversationManager.getConversations(20, 0, { userId: 'ada' })).map(c => c.id)).toEqual(['ada-chat']);
+    expect((await conversationManager.searchConversations('private', { userId: 'bob' })).total).toBe(0);
+    await expect(conversationManager.saveMessage('ada-chat', { role: 'user', content: 'Hijack' }, { userId: 'bob' }))
+      .rejects.toThrow('belongs to another user');
+  });
+});
+
+describe('collection access', () => {
+  let collection;
+
+  beforeAll(async () => {
+    collection = await retrievalService.createCollection({ userId: 'ada', name: 'Handbook', embedder: 'local' });
+  });
+
+  it('lets chats without collections through', async () => {
+    expect((await run(requireCollectionAccess, { body: { message: 'Hi' }, user: { id: 'bob' } })).passed).toBe(true);
+  });
+
+  it('hides other users\' collections', async () => {
+    const body = { collectionIds: [collection.id] };
+
+    expect((await run(requireCollectionAccess, { body, user: { id: 'ada' } })).passed).toBe(true);
+    expect(await run(requireCollectionAccess, { body, user: { id: 'bob' } })).toMatchObject({
+      status: 404,
+      body: { error: `Collection not found: ${collection.id}` }
+    });
+  });
+
+  it('requires the collections:read scope from API keys', async () => {
+    const body = { collectionIds: [collection.id] };
+
+    expect((await run(requireCollectionAccess, { body, user: { id: 'ada', scopes: ['chat'] } })).status).toBe(403);
+    expect((await run(requireCollectionAccess, { body, user: { id: 'ada', scopes: ['chat', 'collections:read'] } })).passed).toBe(true);
+  });
+});
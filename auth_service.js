@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const KeyedMutex = require('../utils/keyedMutex');
+const { createUserStore } = require('../utils/userStores');
+const logger = require('../utils/logger');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12');
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+// Compared against when the username doesn't exist, so a failed login takes
+// the same time whether or not the account is there
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password', BCRYPT_ROUNDS);
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Accounts, short-lived JWT access tokens and opaque refresh tokens. A refresh
+// token is single use: refreshing revokes it and issues the next one in the
+// same family. Presenting an already rotated token revokes the whole family,
+// since it means the token was copied.
+class AuthService {
+  constructor(store) {
+    // Backend is chosen by USER_STORE (file, memory)
+    this.store = store || createUserStore();
+    this.locks = new KeyedMutex();
+    this.ready = this.store.init()
+      .then(() => this.store.pruneExpired(new Date()))
+      .catch(error => {
+        logger.error(`Failed to initialize ${this.store.name} user store:`, error);
+        throw error;
+      });
+  }
+
+  isConfigured() {
+    return Boolean(process.env.JWT_SECRET);
+  }
+
+  publicUser(user) {
+    return { id: user.id, username: user.username, createdAt: user.createdAt };
+  }
+
+  async register(username, password) {
+    await this.ready;
+
+    const user = await this.store.createUser({
+      id: uuidv4(),
+      username,
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      createdAt: new Date().toISOString()
+    });
+
+    logger.info('User registered', { userId: user.id });
+    return this.issueSession(user);
+  }
+
+  async login(username, password) {
+    await this.ready;
+
+    const user = await this.store.findUserByUsername(username);
+    const valid = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+
+    if (!user || !valid) {
+      logger.warn('Failed login attempt', { username });
+      throw new AuthError('Invalid username or password');
+    }
+
+    return this.issueSession(user);
+  }
+
+  async refresh(refreshToken) {
+    await this.ready;
+
+    const [tokenId, secret] = String(refreshToken || '').split('.');
+    if (!tokenId || !secret) {
+      throw new AuthError('Invalid refresh token');
+    }
+
+    // Two concurrent refreshes with the same token must not both succeed
+    return this.locks.runExclusive(tokenId, async () => {
+      const stored = await this.store.getRefreshToken(tokenId);
+
+      if (!stored || !this.matchesHash(secret, stored.tokenHash)) {
+        throw new AuthError('Invalid refresh token');
+      }
+
+      if (stored.revokedAt) {
+        const revoked = await this.store.revokeRefreshTokens({ familyId: stored.familyId });
+        logger.warn('Refresh token reuse detected, revoked token family', {
+          userId: stored.userId,
+          familyId: stored.familyId,
+          revoked
+        });
+        throw new AuthError('Refresh token has been revoked');
+      }
+
+      if (new Date(stored.expiresAt).getTime() < Date.now()) {
+        throw new AuthError('Refresh token has expired');
+      }
+
+      const user = await this.store.getUser(stored.userId);
+      if (!user) {
+        throw new AuthError('Invalid refresh token');
+      }
+
+      const session = await this.issueSession(user, stored.familyId);
+      await this.store.saveRefreshToken({
+        ...stored,
+        revokedAt: new Date().toISOString(),
+        replacedBy: session.refreshToken.split('.')[0]
+      });
+
+      return session;
+    });
+  }
+
+  // Revokes the access token that made the request and, if given, the refresh
+  // token family it belongs to. allDevices signs the user out everywhere.
+  async logout({ user, refreshToken, allDevices = false }) {
+    await this.ready;
+
+    if (user.jti && user.exp) {
+      await this.store.revokeAccessToken(user.jti, new Date(user.exp * 1000).toISOString());
+    }
+
+    if (allDevices) {
+      await this.store.revokeRefreshTokens({ userId: String(user.id) });
+    } else if (refreshToken) {
+      const [tokenId, secret] = String(refreshToken).split('.');
+      const stored = tokenId && secret ? await this.store.getRefreshToken(tokenId) : null;
+
+      // Only the owner can revoke a family; anything else is silently ignored
+      if (stored && stored.userId === String(user.id) && this.matchesHash(secret, stored.tokenHash)) {
+        await this.store.revokeRefreshTokens({ familyId: stored.familyId });
+      }
+    }
+
+    await this.store.pruneExpired(new Date());
+  }
+
+  async isAccessTokenRevoked(jti) {
+    await this.ready;
+    return this.store.isAccessTokenRevoked(jti);
+  }
+
+  signAccessToken(user) {
+    if (!this.isConfigured()) {
+      throw new Error('JWT_SECRET not configured');
+    }
+
+    return jwt.sign(
+      { id: user.id, username: user.username },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL, jwtid: uuidv4() }
+    );
+  }
+
+  async issueSession(user, familyId = uuidv4()) {
+    const accessToken = this.signAccessToken(user);
+    const { exp } = jwt.decode(accessToken);
+
+    const refreshTokenId = uuidv4();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await this.store.saveRefreshToken({
+      id: refreshTokenId,
+      userId: user.id,
+      familyId,
+      tokenHash: this.hashToken(secret),
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      revokedAt: null,
+      replacedBy: null
+    });
+
+    return {
+      user: this.publicUser(user),
+      tokenType: 'Bearer',
+      accessToken,
+      expiresIn: exp - Math.floor(Date.now() / 1000),
+      refreshToken: `${refreshTokenId}.${secret}`,
+      refreshTokenExpiresAt: expiresAt.toISOString()
+    };
+  }
+
+  // Refresh tokens are high entropy, so a plain SHA-256 is enough at rest
+  hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  matchesHash(secret, expectedHash) {
+    const actual = Buffer.from(this.hashToken(secret), 'hex');
+    const expected = Buffer.from(String(expectedHash || ''), 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  async close() {
+    await this.ready;
+    await this.store.close();
+  }
+}
+
+module.exports = new AuthService();
+module.exports.AuthService = AuthService;
+module.exports.AuthError = AuthError;
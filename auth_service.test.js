@@ -0,0 +1,113 @@
+process.env.USER_STORE = 'memory';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.JWT_SECRET = 'test-secret';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const { AuthService, AuthError } = require('../services/authService');
+const MemoryUserStore = require('../utils/memoryUserStore');
+const FileUserStore = require('../utils/fileUserStore');
+const { UserExistsError } = require('../utils/userStore');
+const { authenticateToken } = require('../middleware/auth');
+
+let auth;
+
+beforeEach(() => {
+  auth = new AuthService(new MemoryUserStore());
+});
+
+describe('AuthService', () => {
+  it('registers a user and signs them in', async () => {
+    const session = await auth.register('ada', 'correct horse');
+
+    expect(session).toMatchObject({ user: { username: 'ada' }, tokenType: 'Bearer', expiresIn: 900 });
+    expect(jwt.verify(session.accessToken, 'test-secret')).toMatchObject({ id: session.user.id, username: 'ada' });
+    expect(session.refreshToken).toMatch(/^[\w-]+\.[\w-]+$/);
+  });
+
+  it('refuses a taken username regardless of case', async () => {
+    await auth.register('ada', 'correct horse');
+    await expect(auth.register('ADA', 'another password')).rejects.toBeInstanceOf(UserExistsError);
+  });
+
+  it('logs in with the right password only', async () => {
+    await auth.register('ada', 'correct horse');
+
+    await expect(auth.login('ada', 'correct horse')).resolves.toMatchObject({ user: { username: 'ada' } });
+    await expect(auth.login('ada', 'wrong horse')).rejects.toThrow(new AuthError('Invalid username or password'));
+    await expect(auth.login('nobody', 'correct horse')).rejects.toBeInstanceOf(AuthError);
+  });
+
+  it('rotates refresh tokens and revokes the family when an old one is replayed', async () => {
+    const first = await auth.register('ada', 'correct horse');
+    const second = await auth.refresh(first.refreshToken);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    await expect(auth.refresh(first.refreshToken)).rejects.toThrow('Refresh token has been revoked');
+    // The copy was used, so the legitimate successor is gone too
+    await expect(auth.refresh(second.refreshToken)).rejects.toThrow('Refresh token has been revoked');
+  });
+
+  it('lets only one of two concurrent refreshes succeed', async () => {
+    const { refreshToken } = await auth.register('ada', 'correct horse');
+
+    const results = await Promise.allSettled([auth.refresh(refreshToken), auth.refresh(refreshToken)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+
+  it('rejects malformed and tampered refresh tokens', async () => {
+    const { refreshToken } = await auth.register('ada', 'correct horse');
+
+    await expect(auth.refresh('garbage')).rejects.toThrow('Invalid refresh token');
+    await expect(auth.refresh(`${refreshToken.split('.')[0]}.forged`)).rejects.toThrow('Invalid refresh token');
+  });
+
+  it('revokes the access token and refresh family on logout', async () => {
+    const session = await auth.register('ada', 'correct horse');
+    const user = jwt.decode(session.accessToken);
+
+    await auth.logout({ user, refreshToken: session.refreshToken });
+
+    expect(await auth.isAccessTokenRevoked(user.jti)).toBe(true);
+    await expect(auth.refresh(session.refreshToken)).rejects.toThrow('Refresh token has been revoked');
+  });
+
+  it('signs out every device at once', async () => {
+    await auth.register('ada', 'correct horse');
+    const laptop = await auth.login('ada', 'correct horse');
+    const phone = await auth.login('ada', 'correct horse');
+
+    await auth.logout({ user: jwt.decode(laptop.accessToken), allDevices: true });
+
+    await expect(auth.refresh(phone.refreshToken)).rejects.toThrow('Refresh token has been revoked');
+  });
+
+  it('keeps accounts in the file store across restarts', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+    const { refreshToken } = await new AuthService(new FileUserStore({ directory })).register('ada', 'correct horse');
+
+    const restarted = new AuthService(new FileUserStore({ directory }));
+
+    await expect(restarted.login('ada', 'correct horse')).resolves.toMatchObject({ user: { username: 'ada' } });
+    await expect(restarted.refresh(refreshToken)).resolves.toHaveProperty('accessToken');
+  });
+});
+
+describe('authenticateToken', () => {
+  it('rejects access tokens revoked by logout', async () => {
+    const authService = require('../services/authService');
+    const session = await authService.register('grace', 'correct horse');
+    await authService.logout({ user: jwt.decode(session.accessToken) });
+
+    const status = await new Promise(resolve => {
+      const res = { status: code => ({ json: () => resolve(code) }) };
+      authenticateToken({ headers: { authorization: `Bearer ${session.accessToken}` } }, res, () => resolve(200));
+    });
+
+    expect(status).toBe(401);
+  });
+});
@@ -4,34 +4,82 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
+const archiver = require('archiver');
 const { v4: uuidv4 } = require('uuid');
 
 // Load environment variables
 dotenv.config();
 
-// Import AI service modules
-const anthropicService = require('./services/anthropicService');
-const openaiService = require('./services/openaiService');
-const geminiService = require('./services/geminiService');
-const mistralService = require('./services/mistralService');
-const cohereService = require('./services/cohereService');
+// Import AI provider registry
+const providerRegistry = require('./services/providerRegistry');
+const fallbackChain = require('./services/fallbackChain');
+const resilience = require('./utils/resilience');
 
 // Import middleware and utilities
-const { authenticateToken } = require('./middleware/auth');
-const { validateChatRequest } = require('./middleware/validation');
+const {
+  authenticate,
+  authenticateToken,
+  requireTokenAuth,
+  requireScope,
+  requireUser,
+  getAuthStrategies,
+  getUserId,
+  isAdmin
+} = require('./middleware/auth');
+const { requireConversationOwner, requireCollectionAccess } = require('./middleware/ownership');
+const { enforceQuota } = require('./middleware/quota');
+const { uploadAudio, uploadDocument, parseFormFields, DOCUMENT_MAX_BYTES } = require('./middleware/upload');
+const {
+  validateChatRequest,
+  validateGenerationOptions,
+  validateConversationId,
+  validateCredentials,
+  validateApiKeyRequest,
+  validateImageRequest,
+  validateTranscriptionRequest,
+  validateCollectionRequest
+} = require('./middleware/validation');
+const authService = require('./services/authService');
+const { AuthError } = authService;
+const apiKeyService = require('./services/apiKeyService');
+const retrievalService = require('./services/retrievalService');
+const { RetrievalError } = require('./services/retrievalService');
+const summaryService = require('./services/summaryService');
+const streamRegistry = require('./utils/streamRegistry');
+const { embedderTypes } = require('./utils/embedders');
+const { UserExistsError } = require('./utils/userStore');
 const conversationManager = require('./utils/conversationManager');
+const { COST_GROUPS } = conversationManager;
+const { calculateCost, calculateImageCost, calculateTranscriptionCost } = require('./utils/costCalculator');
+const quotaManager = require('./utils/quotaManager');
+const contextWindow = require('./utils/contextWindow');
+const { formats: exportFormats, formatNames: exportFormatNames } = require('./utils/conversationFormats');
+const toolCalls = require('./utils/toolCalls');
+const contentParts = require('./utils/contentParts');
+const attachmentStore = require('./utils/attachmentStore');
+const { AttachmentError } = require('./utils/attachmentStore');
+const { sniffAudioType, AUDIO_MIME_TYPES } = require('./utils/audioFormats');
 const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+const { requestContextMiddleware } = require('./utils/requestContext');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Request IDs first, so every later log line can be tied to its request
+app.use(requestContextMiddleware);
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-Id', 'X-Stream-Id']
 }));
 
+// Request counts and latency for /metrics
+app.use(metrics.httpMiddleware);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -41,12 +89,123 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Logging
-app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+// morgan writes after the response finished, outside the request's async context
+morgan.token('request-id', (req) => req.id);
+app.use(morgan(':request-id :remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent"', {
+  stream: { write: message => logger.info(message.trim()) }
+}));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Account endpoints - declared before the auth chain so clients can get a token
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // credential guessing gets a much tighter budget
+  message: { error: 'Too many authentication attempts, please try again later' }
+});
+
+app.post('/api/auth/register', authLimiter, requireTokenAuth, validateCredentials, async (req, res) => {
+  if (process.env.REGISTRATION_ENABLED === 'false') {
+    return res.status(403).json({ error: 'Registration is disabled' });
+  }
+
+  try {
+    const session = await authService.register(req.body.username, req.body.password);
+    res.status(201).json(session);
+  } catch (error) {
+    if (error instanceof UserExistsError) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    logger.error('Registration error:', error);
+    res.status(500).json({
+      error: 'Failed to register user',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+app.post('/api/auth/login', authLimiter, requireTokenAuth, validateCredentials, async (req, res) => {
+  try {
+    const session = await authService.login(req.body.username, req.body.password);
+    res.json(session);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Login error:', error);
+    res.status(500).json({
+      error: 'Failed to log in',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Exchanges a refresh token for a new access token and the next refresh token
+app.post('/api/auth/refresh', authLimiter, requireTokenAuth, async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const session = await authService.refresh(refreshToken);
+    res.json(session);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh token',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+app.post('/api/auth/logout', requireTokenAuth, authenticateToken, async (req, res) => {
+  try {
+    await authService.logout({
+      user: req.user,
+      refreshToken: typeof req.body.refreshToken === 'string' ? req.body.refreshToken : undefined,
+      allDevices: req.body.allDevices === true
+    });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Failed to log out',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Authentication for every other API route (AUTH_STRATEGIES, JWT_SECRET, API_KEY)
+app.use('/api', authenticate);
+
+// Malformed conversation IDs are a bad request, not a storage failure
+app.param('id', validateConversationId);
+
+// Prometheus scrape endpoint; set METRICS_TOKEN to require a bearer token
+app.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && !metrics.checkToken(req.headers['authorization'], process.env.METRICS_TOKEN)) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Metrics error:', error);
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -58,331 +217,1592 @@ app.get('/health', (req, res) => {
 
 // Get available AI models
 app.get('/api/models', (req, res) => {
-  const models = {
-    anthropic: ['claude-3-opus', 'claude-3-sonnet', 'claude-3-haiku'],
-    openai: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'],
-    gemini: ['gemini-pro', 'gemini-pro-vision'],
-    mistral: ['mistral-large', 'mistral-medium', 'mistral-small'],
-    cohere: ['command', 'command-light', 'command-nightly']
-  };
+  const models = providerRegistry.getModels();
   
-  res.json({ models });
+  // USD per 1K input/output tokens, keyed like the model names above
+  res.json({ models, prices: providerRegistry.getPrices() });
+});
+
+// Provider health - circuit breaker state per provider
+app.get('/api/providers/status', (req, res) => {
+  const breakers = resilience.getStatus();
+  const providers = {};
+
+  for (const name of providerRegistry.getProviderNames()) {
+    providers[name] = breakers[name] || { state: 'closed', failures: 0 };
+  }
+
+  res.json({ providers });
 });
 
 // Chat endpoint - supports multiple AI providers
-app.post('/api/chat', validateChatRequest, async (req, res) => {
+const handleChat = async (req, res) => {
   try {
     const { 
       message, 
-      provider = 'anthropic', 
-      model = 'claude-3-sonnet', 
+      toolResults,
       conversationId,
-      systemPrompt,
-      temperature = 0.7,
-      maxTokens = 1000,
       includeHistory = true
     } = req.body;
 
     // Generate conversation ID if not provided
     const convId = conversationId || uuidv4();
     
-    // Get conversation history
-    const history = includeHistory ? 
-      await conversationManager.getConversation(convId) : [];
-
-    // Add current message to history
-    const userMessage = {
-      role: 'user',
-      content: message,
-      timestamp: new Date().toISOString()
-    };
+    // Get conversation history (the active branch)
+    const history = await conversationManager.getConversation(convId);
 
-    // Select AI service based on provider
-    let aiService;
-    switch (provider.toLowerCase()) {
-      case 'anthropic':
-        aiService = anthropicService;
-        break;
-      case 'openai':
-        aiService = openaiService;
-        break;
-      case 'gemini':
-        aiService = geminiService;
-        break;
-      case 'mistral':
-        aiService = mistralService;
-        break;
-      case 'cohere':
-        aiService = cohereService;
-        break;
-      default:
-        return res.status(400).json({ error: 'Unsupported AI provider' });
-    }
-
-    // Generate AI response
-    const aiResponse = await aiService.generateResponse({
-      messages: [...history, userMessage],
-      model,
-      systemPrompt,
-      temperature,
-      maxTokens
+    // Add current message (and any tool results) to history; inline images are stored as attachments
+    const userId = getUserId(req);
+    const content = await attachmentStore.storeContent(message, userId);
+    const { turn, error: turnError } = buildTurn(history, {
+      message: content,
+      toolResults,
+      audio: req.voice && req.voice.audio
     });
+    if (turnError) {
+      return res.status(400).json({ error: turnError });
+    }
 
-    const assistantMessage = {
-      role: 'assistant',
-      content: aiResponse.content,
-      timestamp: new Date().toISOString(),
-      model: aiResponse.model,
-      usage: aiResponse.usage
-    };
+    // Generate AI response, moving down the provider chain on retryable failures
+    // (tool results only make sense next to the calls they answer)
+    const retrieval = await retrieveContext(req.body, content, userId);
+    const reply = await generateReply(
+      includeHistory || toolResults ? [...history, ...turn] : turn,
+      { ...req.body, systemPrompt: retrieval.systemPrompt },
+      userId
+    );
+    await quotaManager.record(req.user, reply.aiResponse.usage);
+    if (retrieval.citations.length > 0) {
+      reply.assistantMessage.citations = retrieval.citations;
+    }
+
+    // Save conversation, continuing the branch the history came from
+    const savedTurn = await saveTurn(convId, turn, history.length > 0 ? history[history.length - 1].id : null, userId);
+    const savedAssistant = await conversationManager.saveMessage(convId, reply.assistantMessage, {
+      parentId: savedTurn[savedTurn.length - 1].id,
+      userId
+    });
 
-    // Save conversation
-    await conversationManager.saveMessage(convId, userMessage);
-    await conversationManager.saveMessage(convId, assistantMessage);
+    if (history.length === 0) {
+      titleInBackground(convId, req.user);
+    }
 
     // Send response
-    res.json({
-      response: aiResponse.content,
-      conversationId: convId,
-      model: aiResponse.model,
-      usage: aiResponse.usage,
-      timestamp: new Date().toISOString()
-    });
+    res.json({ ...formatReply(convId, savedTurn, savedAssistant, reply), ...req.voice });
 
   } catch (error) {
+    if (error instanceof AttachmentError || error instanceof RetrievalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     logger.error('Chat error:', error);
     res.status(500).json({ 
       error: 'Failed to generate response',
+      attempts: error.attempts,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+app.post('/api/chat', requireScope('chat'), validateChatRequest, requireConversationOwner, requireCollectionAccess, enforceQuota, handleChat);
+
+// Voice chat - multipart form with an "audio" file plus the usual chat fields;
+// the transcript becomes the message and the recording stays attached to it.
+// Everything that can reject the request runs before the audio is transcribed.
+app.post(
+  '/api/chat/voice',
+  requireScope('chat'),
+  uploadAudio,
+  parseFormFields,
+  validateTranscriptionRequest,
+  validateGenerationOptions,
+  requireConversationOwner,
+  requireCollectionAccess,
+  enforceQuota,
+  transcribeVoiceMessage,
+  validateChatRequest,
+  handleChat
+);
+
+// Speech to text only; the recording is not kept
+app.post('/api/audio/transcriptions', requireScope('chat'), uploadAudio, validateTranscriptionRequest, enforceQuota, async (req, res) => {
+  try {
+    const mimeType = sniffAudioType(req.file.buffer);
+    if (!mimeType) {
+      return res.status(415).json({ error: 'Unrecognized audio format' });
+    }
+
+    const transcription = await transcribe(req.user, req.file.buffer, mimeType, req.body);
+    res.json(transcription);
+  } catch (error) {
+    logger.error('Transcription error:', error);
+    res.status(500).json({
+      error: 'Failed to transcribe audio',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 // Stream chat endpoint for real-time responses
-app.post('/api/chat/stream', validateChatRequest, async (req, res) => {
+app.post('/api/chat/stream', requireScope('chat'), validateChatRequest, requireConversationOwner, requireCollectionAccess, enforceQuota, async (req, res) => {
+  let upstream;
+  let stream;
+  // Events go through the registry, which numbers and buffers them for reconnects
+  const send = (data) => streamRegistry.emit(stream, data);
   try {
     const { 
       message, 
-      provider = 'anthropic', 
-      model = 'claude-3-sonnet',
+      toolResults,
+      provider = providerRegistry.defaultProvider, 
       conversationId,
       systemPrompt,
-      temperature = 0.7
+      temperature = 0.7,
+      maxTokens = 1000,
+      contextStrategy,
+      keepFirst,
+      tools,
+      toolChoice
     } = req.body;
-
-    // Set up Server-Sent Events
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*'
-    });
+    const model = req.body.model || providerRegistry.getDefaultModel(provider);
 
     const convId = conversationId || uuidv4();
     const history = await conversationManager.getConversation(convId);
-    
-    const userMessage = {
-      role: 'user',
-      content: message,
-      timestamp: new Date().toISOString()
-    };
+    const parentId = history.length > 0 ? history[history.length - 1].id : null;
+
+    if (contentParts.hasImages({ content: message }) && !providerRegistry.supports(provider, 'vision', model)) {
+      return res.status(400).json({
+        error: `Model ${provider.toLowerCase()}:${model} cannot read images`,
+        visionModels: providerRegistry.getModelsWithCapability('vision')
+      });
+    }
+
+    const userId = getUserId(req);
+    const content = await attachmentStore.storeContent(message, userId);
+    const { turn, error: turnError } = buildTurn(history, { message: content, toolResults });
+    if (turnError) {
+      return res.status(400).json({ error: turnError });
+    }
+    const retrieval = await retrieveContext(req.body, content, userId);
+
+    // Stopped by POST /api/chat/stream/:streamId/cancel, or when the client
+    // drops and doesn't reconnect through GET /api/chat/stream/:streamId in time
+    stream = streamRegistry.start({ userId, conversationId: convId });
+    const { signal } = stream.controller;
+
+    // Set up Server-Sent Events
+    openEventStream(res, stream);
+    send({ streamId: stream.id, conversationId: convId });
 
     // Select AI service
-    let aiService;
-    switch (provider.toLowerCase()) {
-      case 'anthropic':
-        aiService = anthropicService;
-        break;
-      case 'openai':
-        aiService = openaiService;
-        break;
-      default:
-        res.write(`data: ${JSON.stringify({ error: 'Streaming not supported for this provider' })}\n\n`);
-        res.end();
-        return;
-    }
-
-    // Stream response
+    if (!providerRegistry.supports(provider, 'streaming')) {
+      send({ error: 'Streaming not supported for this provider' });
+      streamRegistry.end(stream);
+      return;
+    }
+    const aiService = providerRegistry.getService(provider);
+
+    const fitted = await fitContext(
+      aiService,
+      { provider: provider.toLowerCase(), model },
+      [...history, ...turn],
+      { systemPrompt: retrieval.systemPrompt, maxTokens, contextStrategy, keepFirst }
+    );
+    const messages = await prepareMessages({ provider, model }, fitted.messages, userId);
+
+    // Saves the turn and the reply, then reports both in the final event
+    const finish = async (assistantMessage, usage) => {
+      const savedTurn = await saveTurn(convId, turn, parentId, userId);
+      const savedAssistant = await conversationManager.saveMessage(convId, assistantMessage, {
+        parentId: savedTurn[savedTurn.length - 1].id,
+        userId
+      });
+      if (history.length === 0) {
+        titleInBackground(convId, req.user);
+      }
+
+      send({
+        done: true,
+        streamId: stream.id,
+        conversationId: convId,
+        userMessageId: (savedTurn.find(msg => msg.role === 'user') || {}).id,
+        messageId: savedAssistant.id,
+        toolCalls: assistantMessage.toolCalls,
+        finishReason: assistantMessage.finishReason,
+        interrupted: assistantMessage.interrupted,
+        provider: provider.toLowerCase(),
+        model: assistantMessage.model,
+        usage,
+        cost: savedAssistant.cost,
+        citations: savedAssistant.citations,
+        context: fitted.context,
+        requestId: req.id
+      });
+    };
+
+    // Stream response - every provider follows the same SSE contract:
+    // { streamId } first, { content } per chunk, then either { done, usage } or { error },
+    // each with an incrementing event id
+    upstream = metrics.trackStream(provider.toLowerCase(), metrics.modelLabel(provider, model));
+    let settled = false;
     await aiService.streamResponse({
-      messages: [...history, userMessage],
+      messages,
       model,
-      systemPrompt,
+      systemPrompt: fitted.systemPrompt,
       temperature,
+      maxTokens,
+      tools,
+      toolChoice,
+      signal,
       onChunk: (chunk) => {
-        res.write(`data: ${JSON.stringify({ content: chunk })}\n\n`);
+        upstream.chunk();
+        send({ content: chunk });
       },
       onComplete: async (fullResponse) => {
-        const assistantMessage = {
-          role: 'assistant',
-          content: fullResponse.content,
-          timestamp: new Date().toISOString(),
-          model: fullResponse.model
-        };
-
-        await conversationManager.saveMessage(convId, userMessage);
-        await conversationManager.saveMessage(convId, assistantMessage);
+        settled = true;
+        upstream.complete(fullResponse.usage);
 
-        res.write(`data: ${JSON.stringify({ 
-          done: true, 
-          conversationId: convId,
-          usage: fullResponse.usage 
-        })}\n\n`);
-        res.end();
+        try {
+          await quotaManager.record(req.user, fullResponse.usage);
+          await finish({
+            role: 'assistant',
+            content: fullResponse.content,
+            ...(fullResponse.toolCalls ? { toolCalls: fullResponse.toolCalls } : {}),
+            finishReason: fullResponse.finishReason,
+            timestamp: new Date().toISOString(),
+            model: fullResponse.model,
+            provider: provider.toLowerCase(),
+            usage: fullResponse.usage,
+            ...(retrieval.citations.length > 0 ? { citations: retrieval.citations } : {})
+          }, fullResponse.usage);
+        } catch (error) {
+          logger.error('Stream save error:', error);
+          send({ error: 'Failed to save conversation', conversationId: convId, requestId: req.id });
+        }
+        streamRegistry.end(stream);
       },
       onError: (error) => {
-        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-        res.end();
+        settled = true;
+        upstream.fail(error);
+        logger.error(`Stream error from ${provider}:`, error);
+        send({ 
+          error: error.message, 
+          provider: provider.toLowerCase(),
+          requestId: req.id
+        });
+        streamRegistry.end(stream);
       }
     });
 
+    // A cancelled stream ends without either callback. Providers report usage
+    // only at the end, so what the partial reply cost is estimated; the text
+    // streamed so far is kept as an interrupted reply.
+    if (signal.aborted && !settled) {
+      const usage = {
+        prompt_tokens: fitted.context.estimatedTokens,
+        completion_tokens: contextWindow.estimateTokens(stream.content),
+        estimated: true
+      };
+      usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+      upstream.cancel(usage);
+      await quotaManager.record(req.user, usage);
+      logger.info('Stream cancelled', { streamId: stream.id, conversationId: convId, reason: signal.reason });
+
+      if (stream.content) {
+        await finish({
+          role: 'assistant',
+          content: stream.content,
+          finishReason: 'interrupted',
+          interrupted: true,
+          timestamp: new Date().toISOString(),
+          model,
+          provider: provider.toLowerCase(),
+          usage,
+          ...(retrieval.citations.length > 0 ? { citations: retrieval.citations } : {})
+        }, usage);
+      } else {
+        // Nothing to keep, so the turn isn't saved either
+        send({ done: true, streamId: stream.id, conversationId: convId, interrupted: true, usage, requestId: req.id });
+      }
+      streamRegistry.end(stream);
+    }
+
   } catch (error) {
+    if (upstream) upstream.fail(error);
     logger.error('Stream chat error:', error);
-    res.write(`data: ${JSON.stringify({ error: 'Failed to stream response' })}\n\n`);
-    res.end();
+    if (!stream && (error instanceof AttachmentError || error instanceof RetrievalError)) {
+      return res.status(error.status).json({ error: error.message, requestId: req.id });
+    }
+    if (!stream) {
+      return res.status(500).json({ error: 'Failed to stream response', requestId: req.id });
+    }
+    send({ error: 'Failed to stream response', requestId: req.id });
+    streamRegistry.end(stream);
   }
 });
 
-// Conversation management endpoints
-app.get('/api/conversations', async (req, res) => {
-  try {
-    const { limit = 20, offset = 0 } = req.query;
-    const conversations = await conversationManager.getConversations(limit, offset);
-    res.json({ conversations });
-  } catch (error) {
-    logger.error('Get conversations error:', error);
-    res.status(500).json({ error: 'Failed to fetch conversations' });
+// Reconnects to a stream: replays the events after Last-Event-ID (header, or
+// lastEventId in the query for clients that can't set it), then continues live
+app.get('/api/chat/stream/:streamId', requireScope('chat'), (req, res) => {
+  const stream = streamRegistry.get(req.params.streamId, getUserId(req));
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  openEventStream(res, stream, lastEventId);
+});
+
+// The final { done } or { error } event of a recent stream, or the text so far
+// while it is still running
+app.get('/api/chat/stream/:streamId/result', requireScope('chat'), (req, res) => {
+  const stream = streamRegistry.get(req.params.streamId, getUserId(req));
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  res.status(stream.status === 'streaming' ? 202 : 200).json(streamRegistry.summarize(stream));
+});
+
+// "Stop generating": the stream saves what it has so far and ends with { done, interrupted }
+app.post('/api/chat/stream/:streamId/cancel', requireScope('chat'), (req, res) => {
+  if (!streamRegistry.cancel(req.params.streamId, getUserId(req))) {
+    return res.status(404).json({ error: 'Stream not found' });
   }
+
+  res.json({ streamId: req.params.streamId, cancelled: true });
 });
 
-app.get('/api/conversations/:id', async (req, res) => {
+// Image uploads for chat messages: the raw image is the request body and the
+// returned id goes into { type: 'image', attachmentId } message parts
+app.post('/api/attachments', requireScope('chat'), express.raw({ type: contentParts.IMAGE_MIME_TYPES, limit: attachmentStore.maxBytes }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const conversation = await conversationManager.getConversation(id);
-    res.json({ conversation });
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: `Send the image as the request body with Content-Type ${contentParts.IMAGE_MIME_TYPES.join(', ')}`
+      });
+    }
+
+    const attachment = await attachmentStore.save({
+      buffer: req.body,
+      userId: getUserId(req),
+      name: typeof req.query.name === 'string' ? req.query.name.slice(0, 200) : undefined
+    });
+
+    res.status(201).json({ attachment });
   } catch (error) {
-    logger.error('Get conversation error:', error);
-    res.status(500).json({ error: 'Failed to fetch conversation' });
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Upload attachment error:', error);
+    res.status(500).json({ error: 'Failed to store attachment' });
   }
 });
 
-app.delete('/api/conversations/:id', async (req, res) => {
+app.get('/api/attachments/:attachmentId', requireScope('conversations:read'), async (req, res) => {
   try {
-    const { id } = req.params;
-    await conversationManager.deleteConversation(id);
-    res.json({ success: true });
+    const attachment = await attachmentStore.read(req.params.attachmentId, getUserId(req));
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.set('Content-Type', attachment.metadata.mimeType);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(attachment.data);
   } catch (error) {
-    logger.error('Delete conversation error:', error);
-    res.status(500).json({ error: 'Failed to delete conversation' });
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Get attachment error:', error);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
   }
 });
 
-// Model comparison endpoint
-app.post('/api/compare', validateChatRequest, async (req, res) => {
+// Image generation. Results are kept as attachments since OpenAI's URLs
+// expire; with a conversationId the prompt and the images join that conversation.
+const imageLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.IMAGE_RATE_LIMIT || '20'), // every image is billed
+  message: { error: 'Too many image requests, please try again later' }
+});
+
+app.post('/api/images', imageLimiter, requireScope('images'), validateImageRequest, requireConversationOwner, enforceQuota, async (req, res) => {
   try {
-    const { message, providers = ['anthropic', 'openai'], models } = req.body;
-    
-    const responses = await Promise.allSettled(
-      providers.map(async (provider) => {
-        const model = models?.[provider] || getDefaultModel(provider);
-        const aiService = getAIService(provider);
-        
-        const response = await aiService.generateResponse({
-          messages: [{ role: 'user', content: message }],
-          model,
-          temperature: 0.7,
-          maxTokens: 1000
-        });
-        
-        return {
-          provider,
-          model: response.model,
-          content: response.content,
-          usage: response.usage
-        };
-      })
-    );
+    const { prompt, model, size, quality, n = 1, conversationId } = req.body;
+    const userId = getUserId(req);
+    const openaiService = providerRegistry.getService('openai');
 
-    const results = responses.map((result, index) => ({
-      provider: providers[index],
-      status: result.status,
-      response: result.status === 'fulfilled' ? result.value : null,
-      error: result.status === 'rejected' ? result.reason.message : null
+    const result = await metrics.trackUpstream('openai', model, 'image', () => openaiService.generateImage({
+      prompt,
+      model,
+      size,
+      quality,
+      n
     }));
 
-    res.json({ results });
+    const images = [];
+    for (const image of result.images) {
+      const attachment = await attachmentStore.save({
+        buffer: Buffer.from(image.data, 'base64'),
+        userId,
+        source: 'generated',
+        details: { prompt, revisedPrompt: image.revised_prompt, model, dimensions: size, quality, conversationId }
+      });
+      images.push({
+        attachmentId: attachment.id,
+        url: `/api/attachments/${attachment.id}`,
+        mimeType: attachment.mimeType,
+        revisedPrompt: image.revised_prompt
+      });
+    }
+
+    const cost = calculateImageCost(model, { size, quality, n: images.length });
+    await quotaManager.record(req.user, quotaManager.costUsage(cost));
+    const response = { images, model, size, quality, cost, timestamp: new Date().toISOString() };
+
+    if (conversationId) {
+      const history = await conversationManager.getConversation(conversationId);
+      const savedUser = await conversationManager.saveMessage(conversationId, {
+        role: 'user',
+        content: prompt,
+        timestamp: new Date().toISOString()
+      }, {
+        parentId: history.length > 0 ? history[history.length - 1].id : null,
+        userId
+      });
+
+      // Each image is followed by the prompt the model actually used, if it rewrote it
+      const content = images.flatMap(image => [
+        { type: 'image', attachmentId: image.attachmentId, mimeType: image.mimeType },
+        ...(image.revisedPrompt ? [{ type: 'text', text: image.revisedPrompt }] : [])
+      ]);
+      const savedAssistant = await conversationManager.saveMessage(conversationId, {
+        role: 'assistant',
+        content,
+        timestamp: new Date().toISOString(),
+        provider: 'openai',
+        model,
+        image: { size, quality, revisedPrompts: images.map(image => image.revisedPrompt || null) },
+        ...(cost ? { cost } : {})
+      }, {
+        parentId: savedUser.id,
+        userId
+      });
+
+      Object.assign(response, {
+        conversationId,
+        userMessageId: savedUser.id,
+        messageId: savedAssistant.id
+      });
+    }
+
+    res.status(201).json(response);
   } catch (error) {
-    logger.error('Compare models error:', error);
-    res.status(500).json({ error: 'Failed to compare models' });
+    logger.error('Image generation error:', error);
+    res.status(500).json({
+      error: 'Failed to generate image',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
 });
 
-// Configuration endpoints
-app.get('/api/config', (req, res) => {
-  const config = {
-    availableProviders: ['anthropic', 'openai', 'gemini', 'mistral', 'cohere'],
-    defaultProvider: 'anthropic',
-    maxTokens: 4000,
-    maxConversationLength: 50,
-    supportedFeatures: {
-      streaming: ['anthropic', 'openai'],
-      vision: ['openai', 'gemini'],
-      functionCalling: ['openai', 'anthropic']
-    }
-  };
-  res.json(config);
-});
+// Gallery of the caller's generated images, newest first
+app.get('/api/images', requireScope('images'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { total, attachments } = await attachmentStore.list({
+      userId: getUserId(req),
+      source: 'generated',
+      limit,
+      offset
+    });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  logger.error('Unhandled error:', error);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    details: process.env.NODE_ENV === 'development' ? error.message : undefined
-  });
+    res.json({
+      total,
+      limit,
+      offset,
+      images: attachments.map(attachment => ({
+        attachmentId: attachment.id,
+        url: `/api/attachments/${attachment.id}`,
+        mimeType: attachment.mimeType,
+        prompt: attachment.prompt,
+        revisedPrompt: attachment.revisedPrompt,
+        model: attachment.model,
+        size: attachment.dimensions,
+        quality: attachment.quality,
+        conversationId: attachment.conversationId,
+        createdAt: attachment.createdAt
+      }))
+    });
+  } catch (error) {
+    logger.error('Image gallery error:', error);
+    res.status(500).json({ error: 'Failed to fetch images' });
+  }
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
+// Document collections for retrieval: pass collectionIds to /api/chat to answer from them
+app.post('/api/collections', requireScope('collections:write'), validateCollectionRequest, async (req, res) => {
+  try {
+    const { name, description, embedder } = req.body;
+    const collection = await retrievalService.createCollection({
+      userId: getUserId(req),
+      name,
+      description,
+      embedder
+    });
+
+    res.status(201).json({ collection: retrievalService.publicCollection(collection) });
+  } catch (error) {
+    if (error instanceof RetrievalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Create collection error:', error);
+    res.status(500).json({ error: 'Failed to create collection' });
+  }
 });
 
-// Helper functions
-function getDefaultModel(provider) {
-  const defaults = {
-    anthropic: 'claude-3-sonnet',
-    openai: 'gpt-4',
-    gemini: 'gemini-pro',
-    mistral: 'mistral-large',
-    cohere: 'command'
-  };
-  return defaults[provider] || 'claude-3-sonnet';
-}
+app.get('/api/collections', requireScope('collections:read'), async (req, res) => {
+  try {
+    const collections = await retrievalService.listCollections(getUserId(req));
+    res.json({ collections: collections.map(collection => retrievalService.publicCollection(collection)) });
+  } catch (error) {
+    logger.error('List collections error:', error);
+    res.status(500).json({ error: 'Failed to fetch collections' });
+  }
+});
 
-function getAIService(provider) {
-  const services = {
-    anthropic: anthropicService,
-    openai: openaiService,
-    gemini: geminiService,
-    mistral: mistralService,
-    cohere: cohereService
-  };
-  return services[provider];
-}
+app.get('/api/collections/:collectionId', requireScope('collections:read'), async (req, res) => {
+  try {
+    const collection = await retrievalService.getOwnedCollection(req.params.collectionId, getUserId(req));
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+    res.json({ collection: retrievalService.publicCollection(collection) });
+  } catch (error) {
+    logger.error('Get collection error:', error);
+    res.status(500).json({ error: 'Failed to fetch collection' });
+  }
 });
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
+app.delete('/api/collections/:collectionId', requireScope('collections:write'), async (req, res) => {
+  try {
+    await retrievalService.deleteCollection(req.params.collectionId, getUserId(req));
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof RetrievalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Delete collection error:', error);
+    res.status(500).json({ error: 'Failed to delete collection' });
+  }
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`🚀 Chatbot backend server running on port ${PORT}`);
-  logger.info(`📊 Health check available at http://localhost:${PORT}/health`);
-  logger.info(`🤖 Chat API available at http://localhost:${PORT}/api/chat`);
-});
\ No newline at end of file
+// A text or Markdown file as multipart "file", or JSON { name, text }
+app.post('/api/collections/:collectionId/documents', requireScope('collections:write'), enforceQuota, uploadDocument, async (req, res) => {
+  try {
+    let { name, text } = req.body;
+    let mimeType;
+
+    if (req.file) {
+      try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(req.file.buffer);
+      } catch (error) {
+        return res.status(415).json({ error: 'Documents must be UTF-8 text' });
+      }
+      name = req.file.originalname;
+      mimeType = req.file.mimetype.split(';')[0].trim().toLowerCase();
+    } else if (typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({ error: 'Send a file or a non-empty text field' });
+    } else if (Buffer.byteLength(text) > DOCUMENT_MAX_BYTES) {
+      return res.status(413).json({ error: `Document is too large (max ${DOCUMENT_MAX_BYTES} bytes)` });
+    }
+
+    if (text.includes('\u0000')) {
+      return res.status(415).json({ error: 'Documents must be text, not binary files' });
+    }
+
+    const { document, usage } = await retrievalService.addDocument(req.params.collectionId, getUserId(req), {
+      name: typeof name === 'string' ? name.slice(0, 200) : undefined,
+      text,
+      mimeType
+    });
+    await quotaManager.record(req.user, usage);
+
+    res.status(201).json({ document });
+  } catch (error) {
+    if (error instanceof RetrievalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Add document error:', error);
+    res.status(500).json({
+      error: 'Failed to index document',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+app.delete('/api/collections/:collectionId/documents/:documentId', requireScope('collections:write'), async (req, res) => {
+  try {
+    await retrievalService.deleteDocument(req.params.collectionId, getUserId(req), req.params.documentId);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof RetrievalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Delete document error:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+// Retrieval without a chat, to see what a question would pull in
+app.post('/api/collections/:collectionId/query', requireScope('collections:read'), async (req, res) => {
+  try {
+    const { query } = req.body;
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      return res.status(400).json({ error: 'Query is required and must be a string' });
+    }
+    const topK = Math.min(Math.max(parseInt(req.body.topK) || retrievalService.topK, 1), 50);
+
+    const chunks = await retrievalService.retrieve({
+      collectionIds: [req.params.collectionId],
+      query: query.trim(),
+      userId: getUserId(req),
+      topK
+    });
+
+    res.json({ results: retrievalService.buildContext(chunks).citations });
+  } catch (error) {
+    if (error instanceof RetrievalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Query collection error:', error);
+    res.status(500).json({ error: 'Failed to query collection' });
+  }
+});
+
+// Conversation management endpoints
+app.get('/api/conversations', requireScope('conversations:read'), async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const conversations = await conversationManager.getConversations(limit, offset, {
+      userId: getUserId(req)
+    });
+    res.json({ conversations });
+  } catch (error) {
+    logger.error('Get conversations error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Full-text search across all conversations (declared before /:id so it isn't shadowed)
+app.get('/api/conversations/search', requireScope('conversations:read'), async (req, res) => {
+  try {
+    const { q, role, provider, model, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (!q || typeof q !== 'string' || q.trim().length === 0) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const { total, results } = await conversationManager.searchConversations(q, {
+      limit,
+      offset,
+      role,
+      provider: provider ? provider.toLowerCase() : undefined,
+      model,
+      from: fromDate,
+      to: toDate,
+      userId: getUserId(req)
+    });
+
+    res.json({ query: q, total, limit, offset, results });
+  } catch (error) {
+    logger.error('Search conversations error:', error);
+    res.status(500).json({ error: 'Failed to search conversations' });
+  }
+});
+
+app.get('/api/conversations/:id', requireScope('conversations:read'), requireConversationOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const conversation = await conversationManager.getConversation(id);
+    res.json({ conversation });
+  } catch (error) {
+    logger.error('Get conversation error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+// The stored summary of the active branch; stale is true when there is none
+// or the branch has moved on since it was written
+app.get('/api/conversations/:id/summary', requireScope('conversations:read'), requireConversationOwner, async (req, res) => {
+  try {
+    const result = await summaryService.getCachedSummary(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({
+      conversationId: req.params.id,
+      summary: result.summary,
+      stale: result.stale
+    });
+  } catch (error) {
+    logger.error('Summary error:', error);
+    res.status(500).json({
+      error: 'Failed to load summary',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Brings the summary up to date, reusing the stored one while it still covers
+// the branch; { refresh: true } writes a new one regardless
+app.post('/api/conversations/:id/summary', requireScope('conversations:write'), requireConversationOwner, enforceQuota, async (req, res) => {
+  try {
+    const result = await summaryService.getSummary(req.params.id, { refresh: req.body.refresh === true });
+    if (!result) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (result.usage) {
+      await quotaManager.record(req.user, result.usage);
+    }
+
+    res.json({
+      conversationId: req.params.id,
+      summary: result.summary,
+      cached: result.cached,
+      usage: result.usage,
+      cost: result.cost
+    });
+  } catch (error) {
+    logger.error('Summary error:', error);
+    res.status(500).json({
+      error: 'Failed to summarize conversation',
+      attempts: error.attempts,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Asks a model for a new title, replacing the current one
+app.post('/api/conversations/:id/title', requireScope('conversations:write'), requireConversationOwner, enforceQuota, async (req, res) => {
+  try {
+    const result = await summaryService.generateTitle(req.params.id, { force: true });
+    if (!result) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await quotaManager.record(req.user, result.usage);
+    res.json({
+      conversationId: req.params.id,
+      title: result.title,
+      usage: result.usage,
+      cost: result.cost
+    });
+  } catch (error) {
+    logger.error('Title generation error:', error);
+    res.status(500).json({
+      error: 'Failed to generate title',
+      attempts: error.attempts,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Edit an earlier user message: the edit becomes a sibling branch with a fresh reply
+app.post('/api/conversations/:id/messages/:messageId/edit', requireScope('chat'), validateChatRequest, requireConversationOwner, requireCollectionAccess, enforceQuota, async (req, res) => {
+  try {
+    const { id, messageId } = req.params;
+    const found = await conversationManager.getMessage(id, messageId);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (found.message.role !== 'user') {
+      return res.status(400).json({ error: 'Only user messages can be edited' });
+    }
+
+    if (!req.body.message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const userMessage = {
+      role: 'user',
+      content: await attachmentStore.storeContent(req.body.message, getUserId(req)),
+      timestamp: new Date().toISOString(),
+      editedFrom: found.message.id
+    };
+
+    const history = found.path.slice(0, -1);
+    const retrieval = await retrieveContext(req.body, userMessage.content, getUserId(req));
+    const reply = await generateReply(
+      [...history, userMessage],
+      { ...req.body, systemPrompt: retrieval.systemPrompt },
+      getUserId(req)
+    );
+    await quotaManager.record(req.user, reply.aiResponse.usage);
+    if (retrieval.citations.length > 0) {
+      reply.assistantMessage.citations = retrieval.citations;
+    }
+
+    const savedUser = await conversationManager.saveMessage(id, userMessage, {
+      parentId: found.message.parentId,
+      userId: getUserId(req)
+    });
+    const savedAssistant = await conversationManager.saveMessage(id, reply.assistantMessage, {
+      parentId: savedUser.id,
+      userId: getUserId(req)
+    });
+
+    res.json(formatReply(id, [savedUser], savedAssistant, reply));
+  } catch (error) {
+    if (error instanceof AttachmentError || error instanceof RetrievalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Edit message error:', error);
+    res.status(500).json({
+      error: 'Failed to edit message',
+      attempts: error.attempts,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Regenerate an assistant reply as a new sibling branch
+app.post('/api/conversations/:id/messages/:messageId/regenerate', requireScope('chat'), validateGenerationOptions, requireConversationOwner, requireCollectionAccess, enforceQuota, async (req, res) => {
+  try {
+    const { id, messageId } = req.params;
+    const found = await conversationManager.getMessage(id, messageId);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (found.message.role !== 'assistant') {
+      return res.status(400).json({ error: 'Only assistant messages can be regenerated' });
+    }
+
+    // Default to the provider that produced the original reply
+    const options = { ...req.body };
+    if (!options.provider && !options.fallback && found.message.provider) {
+      options.provider = found.message.provider;
+    }
+
+    // Sources are looked up for the question the reply answered
+    const history = found.path.slice(0, -1);
+    const question = [...history].reverse().find(msg => msg.role === 'user');
+    const retrieval = await retrieveContext(options, question && question.content, getUserId(req));
+    const reply = await generateReply(history, { ...options, systemPrompt: retrieval.systemPrompt }, getUserId(req));
+    await quotaManager.record(req.user, reply.aiResponse.usage);
+    reply.assistantMessage.regeneratedFrom = found.message.id;
+    if (retrieval.citations.length > 0) {
+      reply.assistantMessage.citations = retrieval.citations;
+    }
+
+    const savedAssistant = await conversationManager.saveMessage(id, reply.assistantMessage, {
+      parentId: found.message.parentId,
+      userId: getUserId(req)
+    });
+
+    res.json(formatReply(id, [], savedAssistant, reply));
+  } catch (error) {
+    if (error instanceof RetrievalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Regenerate message error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate message',
+      attempts: error.attempts,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+app.get('/api/conversations/:id/branches', requireScope('conversations:read'), requireConversationOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const branches = await conversationManager.getBranches(id);
+    res.json(branches);
+  } catch (error) {
+    logger.error('Get branches error:', error);
+    res.status(500).json({ error: 'Failed to fetch branches' });
+  }
+});
+
+// Switch the active branch; any message on the target branch can be given
+app.put('/api/conversations/:id/branches/active', requireScope('conversations:write'), requireConversationOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { messageId } = req.body;
+
+    if (!messageId || typeof messageId !== 'string') {
+      return res.status(400).json({ error: 'MessageId is required and must be a string' });
+    }
+
+    const conversation = await conversationManager.setActiveBranch(id, messageId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json({ conversation });
+  } catch (error) {
+    logger.error('Switch branch error:', error);
+    res.status(500).json({ error: 'Failed to switch branch' });
+  }
+});
+
+// Export a single conversation as native, json, txt, markdown, html or jsonl
+app.get('/api/conversations/:id/export', requireScope('conversations:read'), requireConversationOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'native' } = req.query;
+
+    if (!exportFormats[format]) {
+      return res.status(400).json({ error: `Format must be one of: ${exportFormatNames.join(', ')}` });
+    }
+
+    const body = await conversationManager.exportConversation(id, format);
+    if (body === null) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const { contentType, extension } = exportFormats[format];
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="conversation-${id}.${extension}"`);
+    res.send(body);
+  } catch (error) {
+    logger.error('Export conversation error:', error);
+    res.status(500).json({ error: 'Failed to export conversation' });
+  }
+});
+
+// Bulk export: a zip with one file per conversation plus a manifest
+app.post('/api/conversations/export', requireScope('conversations:read'), async (req, res) => {
+  const { conversationIds, format = 'native' } = req.body;
+
+  if (!Array.isArray(conversationIds) || conversationIds.length === 0 || conversationIds.length > 500) {
+    return res.status(400).json({ error: 'ConversationIds must be an array of 1 to 500 IDs' });
+  }
+
+  if (!exportFormats[format]) {
+    return res.status(400).json({ error: `Format must be one of: ${exportFormatNames.join(', ')}` });
+  }
+
+  try {
+    const { extension } = exportFormats[format];
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const manifest = { format, exportedAt: new Date().toISOString(), conversations: [], missing: [] };
+
+    archive.on('error', (error) => {
+      logger.error('Bulk export archive error:', error);
+      res.destroy(error);
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="conversations-${Date.now()}.zip"`);
+    archive.pipe(res);
+
+    for (const id of conversationIds) {
+      // Other users' conversations are reported as missing, same as the single export
+      const access = typeof id === 'string' ? await conversationManager.getAccess(id, getUserId(req)) : 'missing';
+      const body = access === 'owner' ? await conversationManager.exportConversation(id, format) : null;
+      if (body === null) {
+        manifest.missing.push(id);
+        continue;
+      }
+
+      archive.append(body, { name: `conversation-${id}.${extension}` });
+      manifest.conversations.push(id);
+    }
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await archive.finalize();
+  } catch (error) {
+    logger.error('Bulk export error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export conversations' });
+    }
+    res.destroy(error);
+  }
+});
+
+// Import a native export (or a legacy message array); IDs are always remapped
+app.post('/api/conversations/import', requireScope('conversations:write'), async (req, res) => {
+  try {
+    const result = await conversationManager.importConversation(req.body, { userId: getUserId(req) });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    logger.error('Import conversation error:', error);
+    res.status(500).json({ error: 'Failed to import conversation' });
+  }
+});
+
+app.delete('/api/conversations/:id', requireScope('conversations:write'), requireConversationOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await conversationManager.deleteConversation(id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete conversation error:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+// Model comparison endpoint
+app.post('/api/compare', requireScope('compare'), validateChatRequest, enforceQuota, async (req, res) => {
+  try {
+    const { message, providers = ['anthropic', 'openai'], models } = req.body;
+
+    if (contentParts.hasImages({ content: message })) {
+      const blind = providers.filter(provider => !providerRegistry.supports(
+        provider,
+        'vision',
+        models?.[provider] || providerRegistry.getDefaultModel(provider)
+      ));
+      if (blind.length > 0) {
+        return res.status(400).json({
+          error: `Cannot send images to: ${blind.join(', ')}`,
+          visionModels: providerRegistry.getModelsWithCapability('vision')
+        });
+      }
+    }
+    const content = await attachmentStore.resolveContent(message, getUserId(req));
+    
+    const responses = await Promise.allSettled(
+      providers.map(async (provider) => {
+        const model = models?.[provider] || providerRegistry.getDefaultModel(provider);
+        const aiService = providerRegistry.getService(provider);
+        if (!aiService) {
+          throw new Error(`Unsupported AI provider: ${provider}`);
+        }
+        
+        const response = await metrics.trackUpstream(provider, metrics.modelLabel(provider, model), 'compare', () => aiService.generateResponse({
+          messages: [{ role: 'user', content }],
+          model,
+          temperature: 0.7,
+          maxTokens: 1000
+        }));
+        
+        await quotaManager.record(req.user, response.usage);
+
+        return {
+          provider,
+          model: response.model,
+          content: response.content,
+          usage: response.usage,
+          cost: calculateCost(provider, response.model, response.usage)
+        };
+      })
+    );
+
+    const results = responses.map((result, index) => ({
+      provider: providers[index],
+      status: result.status,
+      response: result.status === 'fulfilled' ? result.value : null,
+      error: result.status === 'rejected' ? result.reason.message : null
+    }));
+
+    res.json({ results });
+  } catch (error) {
+    logger.error('Compare models error:', error);
+    res.status(500).json({ error: 'Failed to compare models' });
+  }
+});
+
+// Token budgets of the caller (and the API key used, if any)
+app.get('/api/usage/me', requireUser, async (req, res) => {
+  try {
+    const quotas = await quotaManager.getStatus(req.user);
+    res.json({ userId: getUserId(req), apiKeyId: req.user.apiKeyId, quotas });
+  } catch (error) {
+    logger.error('Usage lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to get usage',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Spend on assistant replies; scope=all covers every user and is for operators only
+app.get('/api/usage/costs', requireScope('conversations:read'), async (req, res) => {
+  try {
+    const { groupBy = 'provider', from, to, scope } = req.query;
+
+    if (!COST_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of: ${COST_GROUPS.join(', ')}` });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const allUsers = scope === 'all';
+    if (allUsers && req.user && !isAdmin(req)) {
+      return res.status(403).json({ error: 'Reporting on all users is limited to administrators' });
+    }
+
+    const userId = allUsers ? undefined : getUserId(req);
+    // Generated images are charged from their attachments, which stay on
+    // record when the conversation they went into is deleted
+    const generatedImages = await attachmentStore.listGeneratedImages({ userId });
+
+    const report = await conversationManager.getCostReport({
+      userId,
+      groupBy,
+      from: fromDate,
+      to: toDate,
+      charges: generatedImages.map(image => ({
+        provider: 'openai',
+        model: image.model,
+        userId: image.userId,
+        timestamp: image.createdAt,
+        cost: calculateImageCost(image.model, { size: image.dimensions, quality: image.quality })
+      }))
+    });
+
+    res.json(report);
+  } catch (error) {
+    logger.error('Cost report error:', error);
+    res.status(500).json({
+      error: 'Failed to build cost report',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// API key management - keys act on behalf of the user who creates them and
+// the plaintext key is only ever returned by create and rotate
+app.post('/api/keys', requireUser, requireScope('admin'), validateApiKeyRequest, async (req, res) => {
+  try {
+    const { key, apiKey } = await apiKeyService.create({
+      userId: getUserId(req),
+      name: req.body.name,
+      scopes: req.body.scopes,
+      limits: {
+        daily: req.body.dailyTokenLimit,
+        monthly: req.body.monthlyTokenLimit
+      },
+      expiresInDays: req.body.expiresInDays
+    });
+
+    res.status(201).json({ key, apiKey });
+  } catch (error) {
+    logger.error('API key creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+app.get('/api/keys', requireUser, requireScope('admin'), async (req, res) => {
+  try {
+    const keys = await apiKeyService.list(getUserId(req));
+    res.json({ keys });
+  } catch (error) {
+    logger.error('API key listing error:', error);
+    res.status(500).json({
+      error: 'Failed to list API keys',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+app.post('/api/keys/:keyId/rotate', requireUser, requireScope('admin'), async (req, res) => {
+  try {
+    const rotated = await apiKeyService.rotate(req.params.keyId, getUserId(req));
+
+    if (!rotated) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    res.status(201).json(rotated);
+  } catch (error) {
+    logger.error('API key rotation error:', error);
+    res.status(500).json({
+      error: 'Failed to rotate API key',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+app.delete('/api/keys/:keyId', requireUser, requireScope('admin'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.params.keyId, getUserId(req));
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked successfully', apiKey });
+  } catch (error) {
+    logger.error('API key revocation error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Configuration endpoints
+app.get('/api/config', (req, res) => {
+  const config = {
+    availableProviders: providerRegistry.getProviderNames(),
+    defaultProvider: providerRegistry.defaultProvider,
+    authStrategies: getAuthStrategies(),
+    fallbackChain: fallbackChain.defaultChain,
+    maxTokens: 4000,
+    maxAttachmentBytes: attachmentStore.maxBytes,
+    imageTypes: contentParts.IMAGE_MIME_TYPES,
+    maxAudioBytes: attachmentStore.maxAudioBytes,
+    audioTypes: AUDIO_MIME_TYPES,
+    embedders: embedderTypes,
+    defaultEmbedder: retrievalService.defaultEmbedder,
+    contextStrategies: contextWindow.strategies,
+    defaultContextStrategy: contextWindow.defaultStrategy,
+    supportedFeatures: {
+      streaming: providerRegistry.getProvidersWithCapability('streaming'),
+      vision: providerRegistry.getProvidersWithCapability('vision'),
+      visionModels: providerRegistry.getModelsWithCapability('vision'),
+      functionCalling: providerRegistry.getProvidersWithCapability('functionCalling')
+    }
+  };
+  res.json(config);
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  logger.error('Unhandled error:', error);
+  res.status(500).json({ 
+    error: 'Internal server error',
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({ error: 'Endpoint not found' });
+});
+
+// Helper functions
+
+// Runs the request's provider chain and builds the assistant message to store
+async function generateReply(messages, { provider, model, fallback, systemPrompt, temperature = 0.7, maxTokens = 1000, contextStrategy, keepFirst, tools, toolChoice }, userId = null) {
+  // Providers to try in order; a single entry unless a fallback chain applies
+  let chain = fallbackChain.resolve({ fallback, provider, model });
+  let context;
+
+  // A reply that may call tools can only come from a provider that supports them
+  const useTools = toolCalls.shouldUseTools(tools, toolChoice);
+  if (useTools) {
+    chain = chain.filter(entry => providerRegistry.supports(entry.provider, 'functionCalling'));
+    if (chain.length === 0) {
+      throw new Error('No provider in the fallback chain supports tool calling');
+    }
+  }
+
+  // Same for images in the message being answered
+  if (contentParts.hasImages(messages[messages.length - 1])) {
+    chain = chain.filter(entry => providerRegistry.supports(entry.provider, 'vision', entry.model));
+    if (chain.length === 0) {
+      throw new Error('No model in the fallback chain can read images');
+    }
+  }
+
+  const { result: aiResponse, provider: answeredBy, skipped } = await fallbackChain.execute(
+    chain,
+    async (aiService, entry) => {
+      // Each provider in the chain gets a window sized for its own model
+      const fitted = await fitContext(aiService, entry, messages, { systemPrompt, maxTokens, contextStrategy, keepFirst });
+      context = fitted.context;
+
+      const prepared = await prepareMessages(entry, fitted.messages, userId);
+
+      return metrics.trackUpstream(entry.provider, metrics.modelLabel(entry.provider, entry.model), 'generate', () => aiService.generateResponse({
+        messages: prepared,
+        model: entry.model,
+        systemPrompt: fitted.systemPrompt,
+        temperature,
+        maxTokens,
+        ...(useTools ? { tools, toolChoice } : {})
+      }));
+    }
+  );
+
+  const assistantMessage = {
+    role: 'assistant',
+    content: aiResponse.content,
+    ...(aiResponse.toolCalls ? { toolCalls: aiResponse.toolCalls } : {}),
+    finishReason: aiResponse.finishReason,
+    timestamp: new Date().toISOString(),
+    model: aiResponse.model,
+    provider: answeredBy,
+    usage: aiResponse.usage
+  };
+
+  if (skipped.length > 0) {
+    assistantMessage.fallback = { skipped };
+  }
+
+  return { aiResponse, provider: answeredBy, skipped, assistantMessage, context };
+}
+
+// Adapts stored messages to what the model accepts: images are loaded for
+// vision models and become placeholders otherwise, and tool messages become
+// text for providers without tool calling
+async function prepareMessages({ provider, model }, messages, userId) {
+  const withImages = providerRegistry.supports(provider, 'vision', model)
+    ? await attachmentStore.resolveMessages(messages, userId)
+    : contentParts.flattenImages(messages);
+
+  return providerRegistry.supports(provider, 'functionCalling')
+    ? withImages
+    : toolCalls.flattenToolMessages(withImages);
+}
+
+// Trims the history to the model's context window; the summarize strategy asks
+// the same provider to condense the turns that no longer fit
+function fitContext(aiService, { provider, model }, messages, { systemPrompt, maxTokens, contextStrategy, keepFirst }) {
+  return contextWindow.fit(messages, {
+    provider,
+    model,
+    systemPrompt,
+    maxTokens,
+    strategy: contextStrategy,
+    keepFirst,
+    summarize: async (olderMessages, summaryTokens) => {
+      const window = providerRegistry.getContextWindow(provider, model);
+      const summary = await metrics.trackUpstream(provider, metrics.modelLabel(provider, model), 'summarize', () => aiService.generateResponse({
+        messages: [{
+          role: 'user',
+          content: 'Summarize the following conversation so it can be continued later. ' +
+            'Keep names, facts, decisions and open questions.\n\n' +
+            contextWindow.toTranscript(olderMessages, Math.floor(window / 2))
+        }],
+        model,
+        temperature: 0.3,
+        maxTokens: summaryTokens
+      }));
+      return summary.content;
+    }
+  });
+}
+
+// Tool results answer the calls of the last assistant message; the user message is optional then
+function buildTurn(history, { message, toolResults, audio }) {
+  const turn = [];
+  const timestamp = new Date().toISOString();
+
+  if (toolResults) {
+    const last = history[history.length - 1];
+    const calls = last && last.role === 'assistant' && toolCalls.hasToolCalls(last) ? last.toolCalls : [];
+    const answered = new Set(toolResults.map(result => result.toolCallId));
+    const missing = calls.filter(call => !answered.has(call.id));
+
+    if (calls.length === 0) {
+      return { error: 'The conversation is not waiting for tool results' };
+    }
+    if (missing.length > 0) {
+      return { error: `Missing results for tool calls: ${missing.map(call => call.id).join(', ')}` };
+    }
+
+    for (const result of toolResults) {
+      const call = calls.find(candidate => candidate.id === result.toolCallId);
+      if (!call) {
+        return { error: `Unknown tool call: ${result.toolCallId}` };
+      }
+      turn.push({
+        role: 'tool',
+        toolCallId: call.id,
+        name: result.name || call.name,
+        content: result.content,
+        timestamp
+      });
+    }
+  }
+
+  if (message) {
+    turn.push({ role: 'user', content: message, timestamp, ...(audio ? { audio } : {}) });
+  }
+
+  return { turn };
+}
+
+// Whisper bills by the minute, so the quota is debited the token equivalent
+async function transcribe(user, buffer, mimeType, { language, prompt }) {
+  const openaiService = providerRegistry.getService('openai');
+  const transcription = await metrics.trackUpstream('openai', 'whisper-1', 'transcribe', () => openaiService.transcribeAudio({
+    audioBuffer: buffer,
+    mimeType,
+    language,
+    prompt
+  }));
+
+  await quotaManager.record(user, quotaManager.costUsage(calculateTranscriptionCost(transcription.model, transcription)));
+  return transcription;
+}
+
+// Stores the recording, then puts its transcript in req.body.message for the chat pipeline
+async function transcribeVoiceMessage(req, res, next) {
+  try {
+    const attachment = await attachmentStore.save({
+      buffer: req.file.buffer,
+      userId: getUserId(req),
+      name: req.file.originalname,
+      kind: 'audio',
+      source: 'voice'
+    });
+    const transcription = await transcribe(req.user, req.file.buffer, attachment.mimeType, req.body);
+
+    if (!transcription.text || !transcription.text.trim()) {
+      return res.status(400).json({ error: 'No speech was recognized in the audio' });
+    }
+
+    req.body.message = transcription.text;
+    req.voice = {
+      transcript: transcription.text,
+      audio: {
+        attachmentId: attachment.id,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        duration: transcription.duration,
+        language: transcription.language
+      }
+    };
+    next();
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Voice message error:', error);
+    res.status(500).json({
+      error: 'Failed to transcribe voice message',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+function openEventStream(res, stream, lastEventId = 0) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'X-Stream-Id': stream.id
+  });
+  metrics.trackSseConnection(res);
+  streamRegistry.attach(stream, res, lastEventId);
+}
+
+// A new conversation keeps its placeholder title until a model has named it;
+// the reply never waits for this and a failure only costs the better title
+function titleInBackground(conversationId, user) {
+  if (process.env.AUTO_TITLES === 'false') return;
+
+  summaryService.generateTitle(conversationId)
+    .then(result => result && quotaManager.record(user, result.usage))
+    .catch(error => logger.warn('Background title generation failed', { conversationId, error: error.message }));
+}
+
+// Passages from the requested collections, added to the system prompt as numbered sources
+async function retrieveContext({ collectionIds, systemPrompt }, message, userId) {
+  const query = message ? contentParts.textOf(message).trim() : '';
+  if (!collectionIds || !query) {
+    return { systemPrompt, citations: [] };
+  }
+
+  const chunks = await retrievalService.retrieve({ collectionIds, query, userId });
+  return retrievalService.buildContext(chunks, systemPrompt);
+}
+
+// Saves the turn's messages as a chain under parentId
+async function saveTurn(conversationId, turn, parentId, userId) {
+  const saved = [];
+  for (const msg of turn) {
+    const previous = saved[saved.length - 1];
+    saved.push(await conversationManager.saveMessage(conversationId, msg, {
+      parentId: previous ? previous.id : parentId,
+      userId
+    }));
+  }
+  return saved;
+}
+
+function formatReply(conversationId, savedTurn, savedAssistant, reply) {
+  const savedUser = savedTurn.find(msg => msg.role === 'user');
+  const savedResults = savedTurn.filter(msg => msg.role === 'tool');
+
+  return {
+    response: reply.aiResponse.content,
+    toolCalls: reply.aiResponse.toolCalls,
+    finishReason: reply.aiResponse.finishReason,
+    conversationId,
+    userMessageId: savedUser ? savedUser.id : undefined,
+    toolResultIds: savedResults.length > 0 ? savedResults.map(msg => msg.id) : undefined,
+    messageId: savedAssistant.id,
+    parentId: savedAssistant.parentId,
+    provider: reply.provider,
+    model: reply.aiResponse.model,
+    usage: reply.aiResponse.usage,
+    cost: savedAssistant.cost,
+    citations: savedAssistant.citations,
+    skipped: reply.skipped,
+    context: reply.context,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Graceful shutdown
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  try {
+    await conversationManager.close();
+  } catch (error) {
+    logger.error('Failed to close conversation storage:', error);
+  }
+  try {
+    await authService.close();
+  } catch (error) {
+    logger.error('Failed to close user store:', error);
+  }
+  try {
+    await retrievalService.close();
+  } catch (error) {
+    logger.error('Failed to close collection index:', error);
+  }
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Start server once conversation and user storage are ready
+Promise.all([conversationManager.ready, authService.ready, apiKeyService.ready, attachmentStore.ready, retrievalService.ready])
+  .then(() => {
+    app.listen(PORT, () => {
+      logger.info(`🚀 Chatbot backend server running on port ${PORT}`);
+      logger.info(`📊 Health check available at http://localhost:${PORT}/health`);
+      logger.info(`🤖 Chat API available at http://localhost:${PORT}/api/chat`);
+      logger.info(`💾 Conversation storage: ${conversationManager.store.name}`);
+    });
+  })
+  .catch((error) => {
+    logger.error('Storage unavailable, exiting:', error);
+    process.exit(1);
+  });
@@ -1,5 +1,7 @@
 const { CohereClient } = require('cohere-ai');
 const logger = require('../utils/logger');
+const ProviderError = require('../utils/providerError');
+const resilience = require('../utils/resilience');
 
 class CohereService {
   constructor() {
@@ -14,14 +16,16 @@ class CohereService {
       const chatHistory = this.formatMessages(messages.slice(0, -1));
       const currentMessage = messages[messages.length - 1].content;
       
-      const response = await this.client.chat({
+      // Cohere's client retries by default; the shared resilience layer owns retries.
+      // Its request options (cohere-ai 7.x) take no headers, so no X-Request-Id here.
+      const response = await resilience.execute('cohere', () => this.client.chat({
         model,
         message: currentMessage,
         chatHistory,
         preamble: systemPrompt,
         temperature,
         maxTokens
-      });
+      }, { maxRetries: 0 }));
 
       return {
         content: response.text,
@@ -34,28 +38,34 @@ class CohereService {
       };
     } catch (error) {
       logger.error('Cohere API error:', error);
-      throw new Error(`Cohere API error: ${error.message}`);
+      throw ProviderError.from('cohere', 'Cohere API error', error);
     }
   }
 
-  async streamResponse({ messages, model = 'command', systemPrompt, temperature = 0.7, onChunk, onComplete, onError }) {
+  async streamResponse({ messages, model = 'command', systemPrompt, temperature = 0.7, maxTokens = 1000, signal, onChunk, onComplete, onError }) {
     try {
       const chatHistory = this.formatMessages(messages.slice(0, -1));
       const currentMessage = messages[messages.length - 1].content;
       
-      const stream = await this.client.chatStream({
+      const stream = await resilience.execute('cohere', () => this.client.chatStream({
         model,
         message: currentMessage,
         chatHistory,
         preamble: systemPrompt,
         temperature,
-        maxTokens: 1000
-      });
+        maxTokens
+      }, { maxRetries: 0, abortSignal: signal }), { signal });
 
       let fullContent = '';
-      let usage = null;
+      let usage = {
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0
+      };
 
       for await (const chunk of stream) {
+        if (signal?.aborted) return;
+
         if (chunk.eventType === 'text-generation') {
           const content = chunk.text;
           fullContent += content;
@@ -75,8 +85,10 @@ class CohereService {
         usage
       });
     } catch (error) {
+      // Cancelled by the caller, which keeps what onChunk already delivered
+      if (signal?.aborted) return;
       logger.error('Cohere streaming error:', error);
-      onError(error);
+      onError(ProviderError.from('cohere', 'Cohere API error', error));
     }
   }
 
@@ -87,16 +99,18 @@ class CohereService {
     }));
   }
 
-  async generateEmbeddings({ texts, model = 'embed-english-v3.0' }) {
+  // v3 models want to know whether they embed stored documents or a search query
+  async generateEmbeddings({ texts, model = 'embed-english-v3.0', inputType = 'search_document' }) {
     try {
-      const response = await this.client.embed({
+      const response = await resilience.execute('cohere', () => this.client.embed({
         texts,
         model,
-        inputType: 'search_document'
-      });
+        inputType
+      }, { maxRetries: 0 }));
 
       return {
-        embeddings: response.embeddings,
+        // Float embeddings come back as a plain array or, when requested by type, under .float
+        embeddings: Array.isArray(response.embeddings) ? response.embeddings : response.embeddings?.float,
         model,
         usage: {
           total_tokens: response.meta?.billedUnits?.inputTokens || 0
@@ -104,21 +118,24 @@ class CohereService {
       };
     } catch (error) {
       logger.error('Cohere embeddings error:', error);
-      throw new Error(`Cohere embeddings error: ${error.message}`);
+      throw ProviderError.from('cohere', 'Cohere embeddings error', error);
     }
   }
 
   async rerank({ query, documents, model = 'rerank-english-v3.0', topN = 10 }) {
     try {
-      const response = await this.client.rerank({
+      const response = await resilience.execute('cohere', () => this.client.rerank({
         query,
         documents,
         model,
         topN
-      });
+      }, { maxRetries: 0 }));
 
       return {
-        results: response.results,
+        results: response.results.map(result => ({
+          index: result.index,
+          relevanceScore: result.relevanceScore ?? result.relevance_score
+        })),
         model,
         usage: {
           total_tokens: response.meta?.billedUnits?.searchUnits || 0
@@ -126,19 +143,19 @@ class CohereService {
       };
     } catch (error) {
       logger.error('Cohere rerank error:', error);
-      throw new Error(`Cohere rerank error: ${error.message}`);
+      throw ProviderError.from('cohere', 'Cohere rerank error', error);
     }
   }
 
   async summarize({ text, model = 'command', length = 'medium', format = 'paragraph' }) {
     try {
-      const response = await this.client.summarize({
+      const response = await resilience.execute('cohere', () => this.client.summarize({
         text,
         model,
         length,
         format,
         temperature: 0.3
-      });
+      }, { maxRetries: 0 }));
 
       return {
         summary: response.summary,
@@ -151,7 +168,7 @@ class CohereService {
       };
     } catch (error) {
       logger.error('Cohere summarize error:', error);
-      throw new Error(`Cohere summarize error: ${error.message}`);
+      throw ProviderError.from('cohere', 'Cohere summarize error', error);
     }
   }
 
@@ -0,0 +1,84 @@
+// Message content is either a string or an array of parts:
+//   { type: 'text', text }
+//   { type: 'image', attachmentId, mimeType }   (how images are stored)
+//   { type: 'image', data, mimeType }            (base64, before storing / when sent upstream)
+//   { type: 'image', url: 'data:image/png;base64,...' }
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_IMAGES_PER_MESSAGE = 10;
+
+// Rough cost of one image in the context window; providers bill by resolution
+const IMAGE_TOKENS = 1000;
+
+const isImagePart = (part) => Boolean(part) && part.type === 'image';
+
+const hasImages = (message) => Boolean(message) && Array.isArray(message.content) && message.content.some(isImagePart);
+
+const countImages = (content) => (Array.isArray(content) ? content.filter(isImagePart).length : 0);
+
+// Text only, for titles, previews and search
+const textOf = (content) => {
+  if (!Array.isArray(content)) return String(content || '');
+  return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+};
+
+// Text with a placeholder per image, for transcripts, exports and text-only models
+const flattenContent = (content) => {
+  if (!Array.isArray(content)) return String(content || '');
+  return content
+    .map(part => (isImagePart(part) ? `[Image${part.mimeType ? `: ${part.mimeType}` : ''}]` : part.text))
+    .join('\n');
+};
+
+const flattenImages = (messages) => messages.map(msg => (
+  Array.isArray(msg.content) ? { ...msg, content: flattenContent(msg.content) } : msg
+));
+
+const parseDataUrl = (url) => {
+  const match = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(url));
+  return match ? { mimeType: match[1].toLowerCase(), data: match[2].replace(/\s/g, '') } : null;
+};
+
+const isBase64 = (data) => typeof data === 'string' && data.length > 0 && /^[A-Za-z0-9+/\s]+={0,2}$/.test(data);
+
+// Clients often label every image as JPEG, so the bytes decide
+const sniffMimeType = (buffer) => {
+  if (buffer.length >= 8 && buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) {
+    return 'image/gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// Inline image parts as { mimeType, buffer }; the declared type is only a hint
+const decodeImage = (part) => {
+  const inline = part.url ? parseDataUrl(part.url) : { data: part.data, mimeType: part.mimeType };
+  if (!inline || !isBase64(inline.data)) return null;
+
+  const buffer = Buffer.from(inline.data, 'base64');
+  const mimeType = sniffMimeType(buffer);
+  return mimeType ? { mimeType, buffer } : null;
+};
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  MAX_IMAGES_PER_MESSAGE,
+  IMAGE_TOKENS,
+  isImagePart,
+  hasImages,
+  countImages,
+  textOf,
+  flattenContent,
+  flattenImages,
+  parseDataUrl,
+  isBase64,
+  sniffMimeType,
+  decodeImage
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The module builds a default store on load; keep it out of the working directory
+process.env.ATTACHMENTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+
+const contentParts = require('../utils/contentParts');
+const { AttachmentStore } = require('../utils/attachmentStore');
+const providerRegistry = require('../services/providerRegistry');
+const contextWindow = require('../utils/contextWindow');
+const openaiService = require('../services/openaiService');
+const anthropicService = require('../services/anthropicService');
+const geminiService = require('../services/geminiService');
+
+// Enough of each format for the signature check
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]).toString('base64');
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 16]).toString('base64');
+
+describe('contentParts', () => {
+  const content = [{ type: 'text', text: 'What is this?' }, { type: 'image', attachmentId: 'a1', mimeType: 'image/png' }];
+
+  it('reads text and images out of content', () => {
+    expect(contentParts.hasImages({ content })).toBe(true);
+    expect(contentParts.hasImages({ content: 'plain' })).toBe(false);
+    expect(contentParts.countImages(content)).toBe(1);
+    expect(contentParts.textOf(content)).toBe('What is this?');
+    expect(contentParts.flattenContent(content)).toBe('What is this?\n[Image: image/png]');
+    expect(contentParts.flattenImages([{ role: 'user', content }])[0].content).toBe('What is this?\n[Image: image/png]');
+  });
+
+  it('trusts the bytes over the declared type', () => {
+    expect(contentParts.decodeImage({ type: 'image', data: PNG, mimeType: 'image/jpeg' }).mimeType).toBe('image/png');
+    expect(contentParts.decodeImage({ type: 'image', url: `data:image/png;base64,${JPEG}` }).mimeType).toBe('image/jpeg');
+    expect(contentParts.decodeImage({ type: 'image', data: Buffer.from('not an image').toString('base64') })).toBeNull();
+    expect(contentParts.decodeImage({ type: 'image', url: 'https://example.com/cat.png' })).toBeNull();
+  });
+});
+
+describe('AttachmentStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new AttachmentStore({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-')), maxBytes: 64 });
+  });
+
+  it('stores inline images and keeps only references in the message', async () => {
+    const stored = await store.storeContent([{ type: 'text', text: 'Look' }, { type: 'image', data: PNG }], 'ada');
+
+    expect(stored[0]).toEqual({ type: 'text', text: 'Look' });
+    expect(stored[1]).toEqual({ type: 'image', attachmentId: expect.any(String), mimeType: 'image/png' });
+    expect((await store.read(stored[1].attachmentId, 'ada')).data.toString('base64')).toBe(PNG);
+  });
+
+  it('keeps attachments to their owner', async () => {
+    const { id } = await store.save({ buffer: Buffer.from(PNG, 'base64'), userId: 'ada' });
+
+    expect(await store.read(id, 'grace')).toBeNull();
+    await expect(store.storeContent([{ type: 'image', attachmentId: id }], 'grace')).rejects.toThrow(`Attachment not found: ${id}`);
+    expect(await store.resolveContent([{ type: 'image', attachmentId: id }], 'grace')).toEqual([{ type: 'text', text: '[Image unavailable]' }]);
+    expect(await store.resolveContent([{ type: 'image', attachmentId: id }], 'ada')).toEqual([{ type: 'image', mimeType: 'image/png', data: PNG }]);
+  });
+
+  it('rejects unknown formats, oversized images and unsafe IDs', async () => {
+    await expect(store.save({ buffer: Buffer.from('hello') })).rejects.toMatchObject({ name: 'AttachmentError', status: 415 });
+    await expect(store.save({ buffer: Buffer.alloc(65) })).rejects.toMatchObject({ status: 413 });
+    await expect(store.getMetadata('../users/users')).rejects.toThrow('Invalid attachment ID');
+  });
+});
+
+describe('vision support', () => {
+  it('answers per model where the provider overrides it', () => {
+    expect(providerRegistry.supports('openai', 'vision', 'gpt-4-turbo-2024-04-09')).toBe(true);
+    expect(providerRegistry.supports('openai', 'vision', 'gpt-4')).toBe(false);
+    expect(providerRegistry.supports('gemini', 'vision', 'gemini-pro-vision')).toBe(true);
+    expect(providerRegistry.supports('mistral', 'vision', 'mistral-large')).toBe(false);
+    expect(providerRegistry.getModelsWithCapability('vision').gemini).toEqual(['gemini-pro-vision']);
+  });
+
+  it('counts images against the context window', () => {
+    const withImage = { role: 'user', content: [{ type: 'text', text: 'Hi' }, { type: 'image', attachmentId: 'a1' }] };
+
+    expect(contextWindow.estimateMessageTokens(withImage) - contextWindow.estimateMessageTokens({ role: 'user', content: 'Hi' }))
+      .toBe(contentParts.IMAGE_TOKENS);
+  });
+});
+
+describe('provider formats', () => {
+  const content = [{ type: 'text', text: 'What is this?' }, { type: 'image', mimeType: 'image/png', data: PNG }];
+
+  it('sends images to OpenAI as data URLs', () => {
+    expect(openaiService.formatContent(content)).toEqual([
+      { type: 'text', text: 'What is this?' },
+      { type: 'image_url', image_url: { url: `data:image/png;base64,${PNG}` } }
+    ]);
+  });
+
+  it('sends images to Anthropic as base64 sources', () => {
+    expect(anthropicService.formatMessages([{ role: 'user', content }])).toEqual([{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'What is this?' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: PNG } }
+      ]
+    }]);
+  });
+
+  it('sends images to Gemini as inline data', async () => {
+    const sendMessage = jest.fn(async () => ({ response: { text: () => 'A pixel', usageMetadata: {} } }));
+    geminiService.client = { getGenerativeModel: () => ({ startChat: () => ({ sendMessage }) }) };
+
+    await geminiService.generateWithVision({ prompt: 'What is this?', imageData: PNG, mimeType: 'image/png' });
+
+    expect(sendMessage).toHaveBeenCalledWith([{ text: 'What is this?' }, { inlineData: { data: PNG, mimeType: 'image/png' } }]);
+  });
+});
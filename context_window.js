@@ -0,0 +1,180 @@
+const providerRegistry = require('../services/providerRegistry');
+const logger = require('./logger');
+const contentParts = require('./contentParts');
+
+const STRATEGIES = ['sliding', 'keep-first', 'summarize'];
+
+// Rough per-message cost of role markers and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Decides which stored messages fit into a model's context window. The full
+// history stays in storage; only the request sent upstream is trimmed.
+class ContextWindow {
+  constructor() {
+    this.strategies = STRATEGIES;
+    this.defaultStrategy = process.env.CONTEXT_STRATEGY || 'sliding';
+    this.defaultKeepFirst = parseInt(process.env.CONTEXT_KEEP_FIRST || '2');
+    // Storage keeps every message; a request never looks at more than this many
+    this.maxHistoryMessages = parseInt(process.env.MAX_HISTORY_MESSAGES || '200');
+  }
+
+  // ~4 characters per token holds well enough for English across providers
+  estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / 4);
+  }
+
+  estimateMessageTokens(message) {
+    const toolCallTokens = message.toolCalls ? this.estimateTokens(JSON.stringify(message.toolCalls)) : 0;
+    const imageTokens = contentParts.countImages(message.content) * contentParts.IMAGE_TOKENS;
+    return this.estimateTokens(contentParts.textOf(message.content)) + imageTokens + toolCallTokens + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  // An assistant message that calls tools and the results that follow it are
+  // kept or dropped together; this is where the unit holding messages[index] starts
+  unitStart(messages, index) {
+    let start = index;
+    while (start > 0 && messages[start].role === 'tool') start--;
+
+    if (messages[start].role === 'tool' || (messages[start].role === 'assistant' && messages[start].toolCalls)) {
+      return start;
+    }
+    return Math.min(start + 1, index);
+  }
+
+  // First index past the tool results that answer the message before index
+  unitEnd(messages, index) {
+    let end = index;
+    while (end < messages.length && messages[end].role === 'tool') end++;
+    return end;
+  }
+
+  // Collects messages from the end while they fit in the budget
+  takeRecent(messages, budget) {
+    const selected = [];
+    let used = 0;
+
+    for (let end = messages.length; end > 0;) {
+      const start = this.unitStart(messages, end - 1);
+      const unit = messages.slice(start, end);
+      const tokens = unit.reduce((sum, msg) => sum + this.estimateMessageTokens(msg), 0);
+      if (used + tokens > budget && selected.length > 0) break;
+      selected.unshift(...unit);
+      used += tokens;
+      end = start;
+    }
+
+    return { selected, used };
+  }
+
+  // Providers expect the conversation to open with a user turn, and never with
+  // tool results whose call was trimmed away
+  dropLeadingAssistant(messages) {
+    const firstUser = messages.findIndex(msg => msg.role === 'user');
+    if (firstUser >= 0) {
+      return messages.slice(firstUser);
+    }
+
+    const firstOther = messages.findIndex(msg => msg.role !== 'tool');
+    return firstOther >= 0 ? messages.slice(firstOther) : [];
+  }
+
+  // The most recent maxHistoryMessages, plus the first keepHead when those are pinned
+  capMessages(messages, keepHead = 0) {
+    if (messages.length <= this.maxHistoryMessages) {
+      return messages;
+    }
+
+    const headEnd = keepHead > 0 ? this.unitEnd(messages, Math.min(keepHead, this.maxHistoryMessages - 1)) : 0;
+    const tail = messages.slice(Math.max(messages.length - (this.maxHistoryMessages - headEnd), headEnd));
+    return [...messages.slice(0, headEnd), ...this.dropLeadingAssistant(tail)];
+  }
+
+  // Dropping old messages by count alone amounts to one of these
+  capStrategy(strategy) {
+    return strategy === 'keep-first' ? 'keep-first' : 'sliding';
+  }
+
+  async fit(history, {
+    provider,
+    model,
+    systemPrompt,
+    maxTokens = 1000,
+    strategy = this.defaultStrategy,
+    keepFirst = this.defaultKeepFirst,
+    summarize
+  }) {
+    const messages = this.capMessages(history, strategy === 'keep-first' ? keepFirst : 0);
+    const capped = messages.length < history.length;
+
+    const contextWindow = providerRegistry.getContextWindow(provider, model) || 4096;
+    // Leave room for the reply and the system prompt
+    const budget = Math.max(contextWindow - maxTokens - this.estimateTokens(systemPrompt), 0);
+
+    const totalTokens = messages.reduce((sum, msg) => sum + this.estimateMessageTokens(msg), 0);
+
+    let selected = messages;
+    let finalSystemPrompt = systemPrompt;
+    let summarizedIds = [];
+
+    if (totalTokens > budget) {
+      if (strategy === 'keep-first') {
+        // A pinned tool call keeps its results
+        const pinned = this.unitEnd(messages, keepFirst);
+        const head = this.dropLeadingAssistant(messages.slice(0, pinned));
+        const headTokens = head.reduce((sum, msg) => sum + this.estimateMessageTokens(msg), 0);
+        // The tail starts after the whole pinned window, even when its leading replies were dropped
+        const { selected: tail } = this.takeRecent(messages.slice(pinned), budget - headTokens);
+        selected = [...head, ...this.dropLeadingAssistant(tail)];
+      } else if (strategy === 'summarize' && summarize) {
+        // Reserve a slice of the window for the summary itself
+        const summaryBudget = Math.min(Math.floor(budget / 4), 1000);
+        const recent = this.dropLeadingAssistant(this.takeRecent(messages, budget - summaryBudget).selected);
+        const older = messages.slice(0, messages.length - recent.length);
+
+        try {
+          const summary = await summarize(older, summaryBudget);
+          finalSystemPrompt = [
+            systemPrompt,
+            `Summary of the earlier conversation:\n${summary}`
+          ].filter(Boolean).join('\n\n');
+          summarizedIds = older.map(msg => msg.id).filter(Boolean);
+          selected = recent;
+        } catch (error) {
+          logger.warn('Conversation summary failed, using sliding window', { error: error.message });
+          strategy = 'sliding';
+          selected = this.dropLeadingAssistant(this.takeRecent(messages, budget).selected);
+        }
+      } else {
+        strategy = 'sliding';
+        selected = this.dropLeadingAssistant(this.takeRecent(messages, budget).selected);
+      }
+    }
+
+    const included = new Set(selected);
+
+    return {
+      messages: selected,
+      systemPrompt: finalSystemPrompt,
+      context: {
+        strategy: totalTokens > budget ? strategy : (capped ? this.capStrategy(strategy) : 'full'),
+        contextWindow,
+        estimatedTokens: selected.reduce((sum, msg) => sum + this.estimateMessageTokens(msg), 0) +
+          this.estimateTokens(finalSystemPrompt),
+        includedMessageIds: selected.map(msg => msg.id).filter(Boolean),
+        droppedMessageCount: history.filter(msg => !included.has(msg)).length,
+        summarizedMessageIds: summarizedIds
+      }
+    };
+  }
+
+  // Flattens messages into a transcript, cut to roughly the given token budget
+  toTranscript(messages, maxTokens) {
+    const transcript = messages
+      .map(msg => `${msg.role.toUpperCase()}: ${contentParts.flattenContent(msg.content)}`)
+      .join('\n\n');
+    return transcript.slice(-maxTokens * 4);
+  }
+}
+
+module.exports = new ContextWindow();
@@ -0,0 +1,154 @@
+const providerRegistry = require('../services/providerRegistry');
+const contextWindow = require('../utils/contextWindow');
+
+// Every message costs 13 estimated tokens: 36 characters plus the per-message overhead
+const conversation = (count) => Array.from({ length: count }, (_, i) => ({
+  id: String(i),
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `${i}`.padEnd(36, '.')
+}));
+
+const ids = (messages) => messages.map(msg => msg.id);
+
+// 100 token window minus 40 for the reply leaves room for four messages
+const options = { provider: 'tiny', maxTokens: 40 };
+
+beforeAll(() => {
+  providerRegistry.register({
+    name: 'tiny',
+    models: ['tiny-1'],
+    contextWindow: 100,
+    service: { generateResponse: async () => ({}) }
+  });
+});
+
+describe('contextWindow.fit', () => {
+  it('sends everything when the history fits', async () => {
+    const { messages, context } = await contextWindow.fit(conversation(3), options);
+
+    expect(ids(messages)).toEqual(['0', '1', '2']);
+    expect(context).toMatchObject({ strategy: 'full', contextWindow: 100, droppedMessageCount: 0 });
+  });
+
+  it('keeps the newest messages and never starts with an assistant reply', async () => {
+    const { messages, context } = await contextWindow.fit(conversation(9), options);
+
+    expect(ids(messages)).toEqual(['6', '7', '8']);
+    expect(context).toMatchObject({ strategy: 'sliding', droppedMessageCount: 6, includedMessageIds: ['6', '7', '8'] });
+  });
+
+  it('pins the opening messages with keep-first', async () => {
+    const { messages, context } = await contextWindow.fit(conversation(9), { ...options, strategy: 'keep-first', keepFirst: 2 });
+
+    expect(ids(messages)).toEqual(['0', '1', '8']);
+    expect(context.strategy).toBe('keep-first');
+  });
+
+  it('summarizes what no longer fits into the system prompt', async () => {
+    const summarize = jest.fn(async () => 'They talked about dots.');
+
+    const { messages, systemPrompt, context } = await contextWindow.fit(conversation(9), {
+      ...options,
+      systemPrompt: 'Be brief.',
+      strategy: 'summarize',
+      summarize
+    });
+
+    expect(ids(summarize.mock.calls[0][0])).toEqual(['0', '1', '2', '3', '4', '5']);
+    expect(ids(messages)).toEqual(['6', '7', '8']);
+    expect(systemPrompt).toBe('Be brief.\n\nSummary of the earlier conversation:\nThey talked about dots.');
+    expect(context.summarizedMessageIds).toEqual(['0', '1', '2', '3', '4', '5']);
+  });
+
+  it('falls back to a sliding window when the summary fails', async () => {
+    const { messages, systemPrompt, context } = await contextWindow.fit(conversation(9), {
+      ...options,
+      strategy: 'summarize',
+      summarize: async () => { throw new Error('provider down'); }
+    });
+
+    expect(ids(messages)).toEqual(['6', '7', '8']);
+    expect(systemPrompt).toBeUndefined();
+    expect(context.strategy).toBe('sliding');
+  });
+
+  it('uses the window of the model being called', async () => {
+    expect((await contextWindow.fit([], { provider: 'openai', model: 'gpt-4-turbo-preview' })).context.contextWindow).toBe(128000);
+    expect((await contextWindow.fit([], { provider: 'openai', model: 'gpt-4' })).context.contextWindow).toBe(8192);
+  });
+});
+
+describe('history cap', () => {
+  const maxHistoryMessages = contextWindow.maxHistoryMessages;
+
+  afterEach(() => {
+    contextWindow.maxHistoryMessages = maxHistoryMessages;
+  });
+
+  it('never considers more than maxHistoryMessages, even with room to spare', async () => {
+    contextWindow.maxHistoryMessages = 3;
+
+    const { messages, context } = await contextWindow.fit(conversation(9), { provider: 'anthropic' });
+
+    expect(ids(messages)).toEqual(['6', '7', '8']);
+    expect(context).toMatchObject({ strategy: 'sliding', droppedMessageCount: 6 });
+  });
+
+  it('keeps the pinned messages when capping for keep-first', async () => {
+    contextWindow.maxHistoryMessages = 4;
+
+    const { messages, context } = await contextWindow.fit(conversation(9), { provider: 'anthropic', strategy: 'keep-first', keepFirst: 2 });
+
+    expect(ids(messages)).toEqual(['0', '1', '8']);
+    expect(context.strategy).toBe('keep-first');
+  });
+});
+
+describe('tool calls', () => {
+  // user, assistant calling two tools, both results, the final answer, then a follow-up
+  const withTools = () => [
+    { id: 'q', role: 'user', content: 'Weather in Paris and Rome?'.padEnd(36, '.') },
+    { id: 'call', role: 'assistant', content: '', toolCalls: [{ id: 't1', name: 'weather', arguments: { city: 'Paris' } }, { id: 't2', name: 'weather', arguments: { city: 'Rome' } }] },
+    { id: 'r1', role: 'tool', toolCallId: 't1', name: 'weather', content: 'Sunny'.padEnd(36, '.') },
+    { id: 'r2', role: 'tool', toolCallId: 't2', name: 'weather', content: 'Rain'.padEnd(36, '.') },
+    { id: 'a', role: 'assistant', content: 'Sunny in Paris, rain in Rome'.padEnd(36, '.') },
+    { id: 'f', role: 'user', content: 'Thanks'.padEnd(36, '.') }
+  ];
+
+  const answered = (messages) => messages
+    .filter(msg => msg.role === 'tool')
+    .every(result => messages.some(msg => (msg.toolCalls || []).some(call => call.id === result.toolCallId)));
+
+  it('drops a tool call together with its results', async () => {
+    const { messages } = await contextWindow.fit(withTools(), options);
+
+    // The final answer goes too: the window can't open with an assistant reply
+    expect(ids(messages)).toEqual(['f']);
+  });
+
+  it('never keeps results without the call they answer', async () => {
+    for (const maxTokens of [10, 20, 30, 40, 50]) {
+      const { messages } = await contextWindow.fit(withTools(), { provider: 'tiny', maxTokens });
+      expect(messages[0].role).not.toBe('tool');
+      expect(answered(messages)).toBe(true);
+    }
+  });
+
+  it('keeps the results of a pinned tool call', async () => {
+    const { messages } = await contextWindow.fit(withTools(), { ...options, strategy: 'keep-first', keepFirst: 2 });
+
+    expect(ids(messages).slice(0, 4)).toEqual(['q', 'call', 'r1', 'r2']);
+  });
+
+  it('moves the history cap past tool results instead of splitting them off', () => {
+    const maxHistoryMessages = contextWindow.maxHistoryMessages;
+    contextWindow.maxHistoryMessages = 5;
+
+    try {
+      expect(ids(contextWindow.capMessages(withTools()))).toEqual(['f']);
+      expect(ids(contextWindow.capMessages(withTools(), 2))).toEqual(['q', 'call', 'r1', 'r2', 'f']);
+    } finally {
+      contextWindow.maxHistoryMessages = maxHistoryMessages;
+    }
+  });
+});
@@ -0,0 +1,71 @@
+process.env.CONVERSATION_STORE = 'memory';
+
+const MemoryStorageAdapter = require('../utils/memoryStorageAdapter');
+const { ConversationManager } = require('../services/conversationManager');
+
+const user = (content) => ({ role: 'user', content, timestamp: new Date().toISOString() });
+const assistant = (content) => ({ role: 'assistant', content, timestamp: new Date().toISOString() });
+
+let manager;
+
+beforeEach(() => {
+  manager = new ConversationManager(new MemoryStorageAdapter());
+});
+
+describe('conversation trees', () => {
+  it('reads messages stored before branching as one linear chain', () => {
+    const tree = manager.buildTree([{ id: 1, content: 'a' }, { id: 2, content: 'b' }, { id: 3, content: 'c' }]);
+
+    expect(tree.activeLeafId).toBe('3');
+    expect(manager.getPath(tree, '3').map(msg => msg.parentId)).toEqual([null, '1', '2']);
+  });
+
+  it('continues the active branch by default', async () => {
+    const first = await manager.saveMessage('c', user('Hi'));
+    const reply = await manager.saveMessage('c', assistant('Hello'));
+
+    expect(first.parentId).toBeNull();
+    expect(reply.parentId).toBe(first.id);
+    expect((await manager.getConversation('c')).map(msg => msg.content)).toEqual(['Hi', 'Hello']);
+  });
+
+  it('adds an edit as a sibling and makes it the active branch', async () => {
+    const question = await manager.saveMessage('c', user('What is 2 + 2?'));
+    await manager.saveMessage('c', assistant('4'));
+    const edited = await manager.saveMessage('c', user('What is 2 + 3?'), { parentId: null });
+    await manager.saveMessage('c', assistant('5'));
+
+    expect((await manager.getConversation('c')).map(msg => msg.content)).toEqual(['What is 2 + 3?', '5']);
+
+    const { activeLeafId, branches } = await manager.getBranches('c');
+    expect(branches).toHaveLength(2);
+    expect(branches.find(branch => branch.active).leafId).toBe(activeLeafId);
+    expect(branches.find(branch => !branch.active)).toMatchObject({ divergesAt: question.id, messageCount: 2 });
+    expect(edited.parentId).toBeNull();
+  });
+
+  it('switches to the newest leaf below the selected message', async () => {
+    const question = await manager.saveMessage('c', user('Tell me a joke'));
+    const firstAnswer = await manager.saveMessage('c', assistant('Joke one'));
+    await manager.saveMessage('c', assistant('Joke two'), { parentId: question.id });
+
+    const path = await manager.setActiveBranch('c', firstAnswer.id);
+
+    expect(path.map(msg => msg.content)).toEqual(['Tell me a joke', 'Joke one']);
+    expect((await manager.getConversation('c')).map(msg => msg.content)).toEqual(['Tell me a joke', 'Joke one']);
+    expect(await manager.setActiveBranch('c', 'missing')).toBeNull();
+  });
+
+  it('rejects a parent that is not in the conversation', async () => {
+    await expect(manager.saveMessage('c', user('Hi'), { parentId: 'nope' })).rejects.toThrow('Parent message nope not found');
+  });
+
+  it('keeps every message of a long conversation', async () => {
+    for (let i = 0; i < 30; i++) {
+      await manager.saveMessage('long', user(`Question ${i}`));
+      await manager.saveMessage('long', assistant(`Answer ${i}`));
+    }
+
+    expect(await manager.getConversation('long')).toHaveLength(60);
+  });
+});
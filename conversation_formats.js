@@ -0,0 +1,227 @@
+const Joi = require('joi');
+const { flattenContent, IMAGE_MIME_TYPES } = require('./contentParts');
+
+const NATIVE_FORMAT = 'chatbot-conversation';
+const NATIVE_VERSION = 1;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const roleLabel = (role) => role.charAt(0).toUpperCase() + role.slice(1);
+
+// Renderers receive { id, metadata, messages (active branch), tree (every message) }
+const formats = {
+  native: {
+    extension: 'json',
+    contentType: 'application/json',
+    // Versioned, lossless: keeps every branch so it can be imported again
+    render: ({ id, metadata, tree }) => JSON.stringify({
+      format: NATIVE_FORMAT,
+      version: NATIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      conversation: { id, metadata, messages: tree }
+    }, null, 2)
+  },
+  json: {
+    extension: 'json',
+    contentType: 'application/json',
+    render: ({ messages }) => JSON.stringify(messages, null, 2)
+  },
+  txt: {
+    extension: 'txt',
+    contentType: 'text/plain; charset=utf-8',
+    render: ({ messages }) => messages.map(msg =>
+      `[${msg.timestamp}] ${msg.role.toUpperCase()}: ${flattenContent(msg.content)}`
+    ).join('\n\n')
+  },
+  markdown: {
+    extension: 'md',
+    contentType: 'text/markdown; charset=utf-8',
+    render: ({ metadata, messages }) => {
+      const lines = [`# ${metadata?.title || 'Conversation'}`, ''];
+
+      if (metadata?.createdAt) {
+        lines.push(`_Started ${metadata.createdAt}_`, '');
+      }
+
+      for (const msg of messages) {
+        const details = [msg.provider, msg.model].filter(Boolean).join(' · ');
+        lines.push(`## ${roleLabel(msg.role)}${details ? ` (${details})` : ''}`, '');
+        lines.push(flattenContent(msg.content), '');
+      }
+
+      return lines.join('\n');
+    }
+  },
+  html: {
+    extension: 'html',
+    contentType: 'text/html; charset=utf-8',
+    // Standalone page with inline styles, no external assets
+    render: ({ metadata, messages }) => {
+      const title = escapeHtml(metadata?.title || 'Conversation');
+      const body = messages.map(msg => {
+        const details = [msg.provider, msg.model].filter(Boolean).map(escapeHtml).join(' · ');
+        return `  <section class="message ${escapeHtml(msg.role)}">
+    <header><strong>${escapeHtml(roleLabel(msg.role))}</strong>${details ? ` <span>${details}</span>` : ''}${msg.timestamp ? ` <time>${escapeHtml(msg.timestamp)}</time>` : ''}</header>
+    <div class="content">${escapeHtml(flattenContent(msg.content))}</div>
+  </section>`;
+      }).join('\n');
+
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+    .message { border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; }
+    .message.user { background: #eef4ff; }
+    .message.assistant { background: #f6f8fa; }
+    .message header { font-size: 0.85rem; margin-bottom: 0.5rem; color: #57606a; }
+    .message header strong { color: #1f2328; }
+    .content { white-space: pre-wrap; line-height: 1.5; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+${body}
+</body>
+</html>
+`;
+    }
+  },
+  jsonl: {
+    extension: 'jsonl',
+    contentType: 'application/jsonl',
+    // OpenAI fine-tuning format: one training example per line
+    render: ({ messages }) => JSON.stringify({
+      messages: messages
+        .filter(msg => ['system', 'user', 'assistant'].includes(msg.role))
+        .map(msg => ({ role: msg.role, content: flattenContent(msg.content) }))
+    }) + '\n'
+  }
+};
+
+const messageSchema = Joi.object({
+  id: Joi.alternatives().try(Joi.string(), Joi.number()),
+  parentId: Joi.alternatives().try(Joi.string(), Joi.number()).allow(null),
+  role: Joi.string().valid('system', 'user', 'assistant', 'tool').required(),
+  content: Joi.alternatives().try(
+    Joi.string().allow(''),
+    Joi.array().items(
+      Joi.object({ type: Joi.string().valid('text').required(), text: Joi.string().allow('').required() }),
+      Joi.object({
+        type: Joi.string().valid('image').required(),
+        attachmentId: Joi.string().required(),
+        mimeType: Joi.string().valid(...IMAGE_MIME_TYPES)
+      })
+    )
+  ).required(),
+  timestamp: Joi.string().isoDate(),
+  createdAt: Joi.string().isoDate(),
+  // Recorded by the server for its own provider calls; an import can't vouch for them
+  usage: Joi.any().strip(),
+  cost: Joi.any().strip(),
+  // Ties a message to one of this server's logged requests
+  requestId: Joi.any().strip()
+}).unknown(true);
+
+const nativeSchema = Joi.object({
+  format: Joi.string().valid(NATIVE_FORMAT).required(),
+  version: Joi.number().integer().valid(NATIVE_VERSION).required(),
+  exportedAt: Joi.string().isoDate(),
+  conversation: Joi.object({
+    id: Joi.string(),
+    metadata: Joi.object({
+      title: Joi.string().max(200),
+      activeLeafId: Joi.alternatives().try(Joi.string(), Joi.number())
+    }).unknown(true).allow(null),
+    messages: Joi.array().items(messageSchema).min(1).max(10000).required()
+  }).required()
+});
+
+// Older exports (format=json) are a bare message array
+const legacySchema = Joi.array().items(messageSchema).min(1).max(10000);
+
+const invalidImport = (details) => {
+  const validationError = new Error('Invalid conversation import');
+  validationError.details = details;
+  return validationError;
+};
+
+// The tree the messages describe, read the way ConversationManager.buildTree
+// reads it: a message without a parentId follows the one before it. Every
+// parent chain has to end at a root inside the import, without loops.
+const checkTree = (messages) => {
+  const parents = new Map();
+
+  for (const [index, msg] of messages.entries()) {
+    const id = String(msg.id);
+    if (parents.has(id)) {
+      return [`Message ID ${id} is used more than once`];
+    }
+
+    const parentId = msg.parentId !== undefined ? msg.parentId : (index > 0 ? messages[index - 1].id : null);
+    parents.set(id, parentId === null ? null : String(parentId));
+  }
+
+  const dangling = Array.from(parents.values()).filter(parentId => parentId !== null && !parents.has(parentId));
+  if (dangling.length > 0) {
+    return [`${dangling.length} messages reference a parent that is not part of the import`];
+  }
+
+  // IDs already known to lead to a root
+  const rooted = new Set();
+  for (const id of parents.keys()) {
+    const chain = new Set();
+    let current = id;
+
+    while (current !== null && !rooted.has(current)) {
+      if (chain.has(current)) {
+        return [`Message ${current} is its own ancestor`];
+      }
+      chain.add(current);
+      current = parents.get(current);
+    }
+
+    chain.forEach(chainId => rooted.add(chainId));
+  }
+
+  return [];
+};
+
+// Returns { messages, metadata } or throws an error with a details list.
+// Messages without an ID get a placeholder so parent links can be resolved.
+const parseImport = (data) => {
+  const schema = Array.isArray(data) ? legacySchema : nativeSchema;
+  const { error, value } = schema.validate(data, { abortEarly: false });
+
+  if (error) {
+    throw invalidImport(error.details.map(detail => detail.message));
+  }
+
+  const { messages, metadata } = Array.isArray(value) ? { messages: value, metadata: null } : value.conversation;
+  const withIds = messages.map((msg, index) => ({
+    ...msg,
+    id: msg.id !== undefined ? msg.id : `imported-${index}`
+  }));
+
+  const problems = checkTree(withIds);
+  if (problems.length > 0) {
+    throw invalidImport(problems);
+  }
+
+  return { messages: withIds, metadata: metadata || null };
+};
+
+module.exports = {
+  formats,
+  formatNames: Object.keys(formats),
+  parseImport,
+  NATIVE_FORMAT,
+  NATIVE_VERSION
+};
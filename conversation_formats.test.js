@@ -0,0 +1,129 @@
+process.env.CONVERSATION_STORE = 'memory';
+
+const { formats, parseImport, NATIVE_FORMAT } = require('../utils/conversationFormats');
+const MemoryStorageAdapter = require('../utils/memoryStorageAdapter');
+const { ConversationManager } = require('../services/conversationManager');
+
+const messages = [
+  { id: 'm1', role: 'user', content: 'Is 1 < 2?', timestamp: '2024-05-01T10:00:00.000Z' },
+  { id: 'm2', parentId: 'm1', role: 'assistant', content: 'Yes & always', provider: 'openai', model: 'gpt-4', timestamp: '2024-05-01T10:00:05.000Z' }
+];
+
+// The errors parseImport reports for data
+const importErrors = (data) => {
+  try {
+    parseImport(data);
+  } catch (error) {
+    return error.details;
+  }
+  return [];
+};
+
+describe('export formats', () => {
+  const context = { id: 'c1', metadata: { title: 'Comparisons', createdAt: '2024-05-01T10:00:00.000Z' }, messages, tree: messages };
+
+  it('shows images as placeholders in text formats', () => {
+    const withImage = [{ ...messages[0], content: [{ type: 'text', text: 'Look' }, { type: 'image', attachmentId: 'a1', mimeType: 'image/png' }] }];
+
+    expect(formats.markdown.render({ ...context, messages: withImage, tree: withImage })).toContain('Look\n[Image: image/png]');
+  });
+
+  it('renders markdown with the provider and model of each reply', () => {
+    expect(formats.markdown.render(context)).toBe([
+      '# Comparisons', '', '_Started 2024-05-01T10:00:00.000Z_', '',
+      '## User', '', 'Is 1 < 2?', '',
+      '## Assistant (openai · gpt-4)', '', 'Yes & always', ''
+    ].join('\n'));
+  });
+
+  it('escapes message content in HTML', () => {
+    const html = formats.html.render(context);
+
+    expect(html).toContain('<title>Comparisons</title>');
+    expect(html).toContain('<div class="content">Is 1 &lt; 2?</div>');
+    expect(html).toContain('Yes &amp; always');
+  });
+
+  it('writes one fine-tuning example per conversation in jsonl', () => {
+    expect(JSON.parse(formats.jsonl.render(context))).toEqual({
+      messages: [{ role: 'user', content: 'Is 1 < 2?' }, { role: 'assistant', content: 'Yes & always' }]
+    });
+  });
+
+  it('keeps every branch in the native format', () => {
+    const exported = JSON.parse(formats.native.render({ ...context, messages: messages.slice(0, 1) }));
+
+    expect(exported).toMatchObject({ format: NATIVE_FORMAT, version: 1, conversation: { id: 'c1', messages } });
+  });
+});
+
+describe('parseImport', () => {
+  it('accepts native exports and bare message arrays', () => {
+    const native = parseImport({ format: NATIVE_FORMAT, version: 1, conversation: { metadata: { title: 'T' }, messages } });
+    expect(native.metadata).toEqual({ title: 'T' });
+    expect(native.messages.map(msg => msg.id)).toEqual(['m1', 'm2']);
+
+    const legacy = parseImport([{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]);
+    expect(legacy).toEqual({
+      metadata: null,
+      messages: [
+        { id: 'imported-0', role: 'user', content: 'Hi' },
+        { id: 'imported-1', role: 'assistant', content: 'Hello' }
+      ]
+    });
+  });
+
+  it('accepts images as attachment references only', () => {
+    const image = { type: 'image', attachmentId: 'a1', mimeType: 'image/png' };
+
+    expect(parseImport([{ role: 'user', content: [{ type: 'text', text: 'Look' }, image] }]).messages[0].content[1]).toEqual(image);
+    expect(importErrors([{ role: 'user', content: [{ type: 'image', data: 'AAAA', mimeType: 'image/png' }] }])).not.toHaveLength(0);
+  });
+
+  it('reports every schema problem', () => {
+    expect(importErrors([{ role: 'robot', content: 'Beep' }, { role: 'user' }])).toEqual([
+      expect.stringContaining('"[0].role" must be one of'),
+      '"[1].content" is required'
+    ]);
+    expect(importErrors({ format: NATIVE_FORMAT, version: 2, conversation: { messages } })).toEqual([
+      '"version" must be [1]'
+    ]);
+  });
+
+  it('rejects duplicate IDs, missing parents and cycles', () => {
+    expect(importErrors([messages[0], { ...messages[1], id: 'm1' }])).toEqual(['Message ID m1 is used more than once']);
+    expect(importErrors([messages[0], { ...messages[1], parentId: 'gone' }])).toEqual(['1 messages reference a parent that is not part of the import']);
+    expect(importErrors([{ ...messages[0], parentId: 'm2' }, messages[1]])).toEqual(['Message m1 is its own ancestor']);
+  });
+
+  it('drops usage, cost and request IDs the server would otherwise take at face value', () => {
+    const forged = { ...messages[1], usage: { total_tokens: 1000000 }, cost: { total: 1000, currency: 'USD' }, requestId: 'req-1' };
+    const [, reply] = parseImport([messages[0], forged]).messages;
+
+    expect(reply).not.toHaveProperty('usage');
+    expect(reply).not.toHaveProperty('cost');
+    expect(reply).not.toHaveProperty('requestId');
+    expect(reply).toMatchObject({ provider: 'openai', model: 'gpt-4' });
+  });
+});
+
+describe('ConversationManager import and export', () => {
+  it('round-trips a branched conversation under new IDs', async () => {
+    const manager = new ConversationManager(new MemoryStorageAdapter());
+    const question = await manager.saveMessage('c1', { role: 'user', content: 'Pick a color', timestamp: '2024-05-01T10:00:00.000Z' });
+    await manager.saveMessage('c1', { role: 'assistant', content: 'Blue', timestamp: '2024-05-01T10:00:01.000Z' });
+    await manager.saveMessage('c1', { role: 'assistant', content: 'Green', timestamp: '2024-05-01T10:00:02.000Z' }, { parentId: question.id });
+
+    const exported = JSON.parse(await manager.exportConversation('c1', 'native'));
+    const { conversationId, messageCount } = await manager.importConversation(exported);
+
+    expect(messageCount).toBe(3);
+    expect(conversationId).not.toBe('c1');
+
+    const imported = await manager.getConversation(conversationId);
+    expect(imported.map(msg => msg.content)).toEqual(['Pick a color', 'Green']);
+    expect(imported.map(msg => msg.id)).not.toContain(question.id);
+    expect((await manager.getBranches(conversationId)).branches).toHaveLength(2);
+    expect(await manager.exportConversation('missing', 'txt')).toBeNull();
+  });
+});
@@ -1,80 +1,319 @@
-const fs = require('fs').promises;
-const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('./logger');
+const KeyedMutex = require('./keyedMutex');
+const SearchIndex = require('./searchIndex');
+const { formats, parseImport } = require('./conversationFormats');
+const { createStorageAdapter } = require('./storageAdapters');
+const { calculateCost, roundCost, CURRENCY } = require('./costCalculator');
+const { getRequestId } = require('./requestContext');
+const contentParts = require('./contentParts');
+
+const COST_GROUPS = ['provider', 'model', 'user', 'day'];
 
 class ConversationManager {
-  constructor() {
-    this.conversationsDir = path.join(process.cwd(), 'data', 'conversations');
-    this.ensureDirectoryExists();
+  constructor(store) {
+    // Backend is chosen by CONVERSATION_STORE (file, memory, sqlite, mongodb)
+    this.store = store || createStorageAdapter();
+    // Every read-modify-write of a conversation goes through its lock
+    this.locks = new KeyedMutex();
+    this.searchIndex = new SearchIndex();
+    this.ready = this.store.init()
+      .then(() => this.rebuildOrphanedMetadata())
+      .catch(error => {
+        logger.error(`Failed to initialize ${this.store.name} conversation storage:`, error);
+        throw error;
+      });
   }
 
-  async ensureDirectoryExists() {
-    try {
-      await fs.mkdir(this.conversationsDir, { recursive: true });
-    } catch (error) {
-      logger.error('Failed to create conversations directory:', error);
+  async rebuildOrphanedMetadata() {
+    const orphaned = this.store.orphanedConversationIds || [];
+
+    for (const conversationId of orphaned) {
+      const conversation = await this.store.getMessages(conversationId) || [];
+      if (conversation.length === 0) continue;
+
+      const first = conversation[0];
+      const last = conversation[conversation.length - 1];
+
+      await this.store.saveMetadata(conversationId, {
+        createdAt: first.createdAt || first.timestamp || new Date().toISOString(),
+        messageCount: conversation.length,
+        title: this.generateTitle(first.content),
+        lastUpdated: last.createdAt || last.timestamp || new Date().toISOString(),
+        lastMessage: this.summarizeMessage(last),
+        // Messages carry the owner too, so ownership survives an index rebuild
+        userId: (conversation.find(msg => msg.userId) || {}).userId || null
+      });
+    }
+
+    if (orphaned.length > 0) {
+      logger.warn(`Rebuilt metadata for ${orphaned.length} conversations`);
     }
   }
 
-  async saveMessage(conversationId, message) {
-    try {
-      const filePath = path.join(this.conversationsDir, `${conversationId}.json`);
-      
-      let conversation = [];
-      try {
-        const existingData = await fs.readFile(filePath, 'utf8');
-        conversation = JSON.parse(existingData);
-      } catch (error) {
-        // File doesn't exist yet, start with empty array
-      }
+  // A conversation is a tree: every message points at its parent and editing or
+  // regenerating adds a sibling instead of overwriting. The metadata remembers
+  // which leaf is active; the path from the root to that leaf is "the" conversation.
+  buildTree(messages, activeLeafId) {
+    const byId = new Map();
+    const children = new Map();
 
-      conversation.push({
-        ...message,
-        id: Date.now() + Math.random(), // Simple unique ID
-        createdAt: new Date().toISOString()
-      });
+    const nodes = messages.map((msg, index) => {
+      // Messages stored before branching existed form a single linear chain
+      const parentId = msg.parentId !== undefined
+        ? msg.parentId
+        : (index > 0 ? String(messages[index - 1].id) : null);
 
-      // Keep only last 50 messages to prevent files from growing too large
-      if (conversation.length > 50) {
-        conversation = conversation.slice(-50);
+      return { ...msg, id: String(msg.id), parentId: parentId === null ? null : String(parentId) };
+    });
+
+    for (const node of nodes) {
+      byId.set(node.id, node);
+      if (!children.has(node.parentId)) {
+        children.set(node.parentId, []);
       }
+      children.get(node.parentId).push(node.id);
+    }
 
-      await fs.writeFile(filePath, JSON.stringify(conversation, null, 2));
-      
-      // Update conversation metadata
-      await this.updateConversationMetadata(conversationId, message);
-      
+    const tree = { messages: nodes, byId, children, activeLeafId: null };
+
+    // Fall back to the newest message if the stored active leaf is unknown
+    const fallbackLeaf = nodes.length > 0 ? nodes[nodes.length - 1].id : null;
+    tree.activeLeafId = activeLeafId && byId.has(String(activeLeafId))
+      ? this.findLeaf(tree, String(activeLeafId))
+      : fallbackLeaf;
+
+    return tree;
+  }
+
+  // Follows the most recent child until reaching a leaf. Both walks stop at a
+  // message they have already seen, so corrupt parent links can't loop forever.
+  findLeaf(tree, messageId) {
+    const seen = new Set([messageId]);
+    let current = messageId;
+    while (tree.children.has(current)) {
+      const childIds = tree.children.get(current);
+      const next = childIds[childIds.length - 1];
+      if (seen.has(next)) break;
+      seen.add(next);
+      current = next;
+    }
+    return current;
+  }
+
+  getPath(tree, leafId) {
+    const path = [];
+    const seen = new Set();
+    let current = leafId ? tree.byId.get(leafId) : null;
+    while (current && !seen.has(current.id)) {
+      seen.add(current.id);
+      path.push(current);
+      current = current.parentId ? tree.byId.get(current.parentId) : null;
+    }
+    return path.reverse();
+  }
+
+  async loadTree(conversationId) {
+    const messages = await this.store.getMessages(conversationId) || [];
+    const metadata = await this.store.getMetadata(conversationId);
+    return this.buildTree(messages, metadata?.activeLeafId);
+  }
+
+  // options.parentId places the message under a specific parent (null for a new
+  // root); by default it continues the active branch. options.userId stamps the
+  // owner on a new conversation. Returns the stored message.
+  async saveMessage(conversationId, message, options = {}) {
+    try {
+      await this.ready;
+      return await this.locks.runExclusive(conversationId, () => this.appendMessage(conversationId, message, options));
     } catch (error) {
       logger.error(`Failed to save message for conversation ${conversationId}:`, error);
       throw error;
     }
   }
 
+  // Caller must hold the conversation lock
+  async appendMessage(conversationId, message, { parentId, userId } = {}) {
+    const conversation = await this.store.getMessages(conversationId) || [];
+    const metadata = await this.store.getMetadata(conversationId);
+    const tree = this.buildTree(conversation, metadata?.activeLeafId);
+
+    if (userId !== undefined && metadata && (metadata.userId || null) !== (userId || null)) {
+      throw new Error(`Conversation ${conversationId} belongs to another user`);
+    }
+
+    const parent = parentId === undefined ? tree.activeLeafId : parentId;
+    if (parent !== null && !tree.byId.has(String(parent))) {
+      throw new Error(`Parent message ${parent} not found in conversation ${conversationId}`);
+    }
+
+    // The request that wrote a message lets support trace it back through the logs
+    const requestId = getRequestId();
+    const savedMessage = {
+      ...this.withCost(message),
+      ...(userId ? { userId } : {}),
+      ...(requestId ? { requestId } : {}),
+      id: uuidv4(),
+      parentId: parent === null ? null : String(parent),
+      createdAt: new Date().toISOString()
+    };
+
+    // Full history is kept; context trimming happens when building provider requests
+    await this.store.saveMessages(conversationId, [...tree.messages, savedMessage]);
+
+    // Update conversation metadata
+    await this.applyMetadataUpdate(conversationId, savedMessage, { activeLeafId: savedMessage.id, userId });
+    this.searchIndex.addMessage(conversationId, savedMessage);
+
+    return savedMessage;
+  }
+
+  // Assistant replies carry what they cost, priced when they are stored
+  withCost(message) {
+    if (message.role !== 'assistant' || !message.usage || message.cost !== undefined) {
+      return message;
+    }
+
+    const cost = calculateCost(message.provider, message.model, message.usage);
+    return cost ? { ...message, cost } : message;
+  }
+
+  // Returns the active branch as a linear list, ready to send to a provider
   async getConversation(conversationId) {
     try {
-      const filePath = path.join(this.conversationsDir, `${conversationId}.json`);
-      const data = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(data);
+      await this.ready;
+      const tree = await this.loadTree(conversationId);
+      return this.getPath(tree, tree.activeLeafId);
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        return []; // Return empty array if conversation doesn't exist
-      }
       logger.error(`Failed to get conversation ${conversationId}:`, error);
       throw error;
     }
   }
 
-  async getConversations(limit = 20, offset = 0) {
+  async getMessage(conversationId, messageId) {
+    await this.ready;
+    const tree = await this.loadTree(conversationId);
+    const message = tree.byId.get(String(messageId));
+    return message ? { message, path: this.getPath(tree, message.id) } : null;
+  }
+
+  async getBranches(conversationId) {
     try {
-      const metadataPath = path.join(this.conversationsDir, 'metadata.json');
-      let metadata = {};
-      
-      try {
-        const metadataData = await fs.readFile(metadataPath, 'utf8');
-        metadata = JSON.parse(metadataData);
-      } catch (error) {
-        // No metadata file yet
-      }
+      await this.ready;
+      const tree = await this.loadTree(conversationId);
+      const activePath = new Set(this.getPath(tree, tree.activeLeafId).map(msg => msg.id));
+
+      const branches = tree.messages
+        .filter(msg => !tree.children.has(msg.id))
+        .map(leaf => {
+          const path = this.getPath(tree, leaf.id);
+          const divergesAt = path.find(msg => !activePath.has(msg.id));
+
+          return {
+            leafId: leaf.id,
+            active: leaf.id === tree.activeLeafId,
+            messageCount: path.length,
+            // First message that is not shared with the active branch
+            divergesAt: divergesAt ? divergesAt.id : null,
+            lastMessage: this.summarizeMessage(leaf),
+            updatedAt: leaf.createdAt
+          };
+        });
+
+      return { activeLeafId: tree.activeLeafId, branches };
+    } catch (error) {
+      logger.error(`Failed to get branches for conversation ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  // Any message can be selected; the branch continues to its most recent leaf
+  async setActiveBranch(conversationId, messageId) {
+    try {
+      await this.ready;
+      return await this.locks.runExclusive(conversationId, async () => {
+        const tree = await this.loadTree(conversationId);
+
+        if (!tree.byId.has(String(messageId))) {
+          return null;
+        }
+
+        const leafId = this.findLeaf(tree, String(messageId));
+        const metadata = await this.store.getMetadata(conversationId) || {
+          createdAt: new Date().toISOString(),
+          messageCount: tree.messages.length,
+          title: this.generateTitle(tree.messages[0].content)
+        };
+
+        metadata.activeLeafId = leafId;
+        metadata.lastUpdated = new Date().toISOString();
+        metadata.lastMessage = this.summarizeMessage(tree.byId.get(leafId));
+        await this.store.saveMetadata(conversationId, metadata);
+
+        return this.getPath(tree, leafId);
+      });
+    } catch (error) {
+      logger.error(`Failed to switch branch for conversation ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  async getMetadata(conversationId) {
+    await this.ready;
+    return this.store.getMetadata(conversationId);
+  }
+
+  // Merges fields such as a generated title or cached summary into the metadata;
+  // null if the conversation doesn't exist
+  async updateMetadata(conversationId, changes) {
+    await this.ready;
+    return this.locks.runExclusive(conversationId, async () => {
+      const metadata = await this.store.getMetadata(conversationId);
+      if (!metadata) return null;
+
+      const updated = { ...metadata, ...changes };
+      await this.store.saveMetadata(conversationId, updated);
+      return updated;
+    });
+  }
+
+  // Conversations without an owner belong to the anonymous user (null)
+  isOwner(metadata, userId) {
+    return (metadata.userId || null) === (userId || null);
+  }
+
+  // 'owner', 'forbidden' or 'missing' for a conversation that doesn't exist yet
+  async getAccess(conversationId, userId) {
+    await this.ready;
+    const metadata = await this.store.getMetadata(conversationId);
+
+    if (metadata) {
+      return this.isOwner(metadata, userId) ? 'owner' : 'forbidden';
+    }
+
+    const messages = await this.store.getMessages(conversationId);
+    if (!messages || messages.length === 0) {
+      return 'missing';
+    }
+
+    const owner = (messages.find(msg => msg.userId) || {}).userId || null;
+    return owner === (userId || null) ? 'owner' : 'forbidden';
+  }
+
+  // options.userId restricts the listing to that user's conversations
+  async getOwnedMetadata({ userId } = {}) {
+    const metadata = await this.store.getAllMetadata();
+    if (userId === undefined) {
+      return metadata;
+    }
+
+    return Object.fromEntries(Object.entries(metadata).filter(([, data]) => this.isOwner(data, userId)));
+  }
+
+  async getConversations(limit = 20, offset = 0, options = {}) {
+    try {
+      await this.ready;
+      const metadata = await this.getOwnedMetadata(options);
 
       const conversations = Object.entries(metadata)
         .sort(([,a], [,b]) => new Date(b.lastUpdated) - new Date(a.lastUpdated))
@@ -93,20 +332,14 @@ class ConversationManager {
 
   async deleteConversation(conversationId) {
     try {
-      const filePath = path.join(this.conversationsDir, `${conversationId}.json`);
-      await fs.unlink(filePath);
-      
-      // Remove from metadata
-      const metadataPath = path.join(this.conversationsDir, 'metadata.json');
-      try {
-        const metadataData = await fs.readFile(metadataPath, 'utf8');
-        const metadata = JSON.parse(metadataData);
-        delete metadata[conversationId];
-        await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
-      } catch (error) {
-        // Metadata file might not exist
-      }
-      
+      await this.ready;
+      await this.locks.runExclusive(conversationId, async () => {
+        await this.store.deleteMessages(conversationId);
+
+        // Remove from metadata
+        await this.store.deleteMetadata(conversationId);
+        this.searchIndex.removeConversation(conversationId);
+      });
     } catch (error) {
       logger.error(`Failed to delete conversation ${conversationId}:`, error);
       throw error;
@@ -114,95 +347,102 @@ class ConversationManager {
   }
 
   async updateConversationMetadata(conversationId, lastMessage) {
+    await this.ready;
+    await this.locks.runExclusive(conversationId, () => this.applyMetadataUpdate(conversationId, lastMessage));
+  }
+
+  // Caller must hold the conversation lock
+  async applyMetadataUpdate(conversationId, lastMessage, { activeLeafId, userId } = {}) {
     try {
-      const metadataPath = path.join(this.conversationsDir, 'metadata.json');
-      let metadata = {};
-      
-      try {
-        const metadataData = await fs.readFile(metadataPath, 'utf8');
-        metadata = JSON.parse(metadataData);
-      } catch (error) {
-        // File doesn't exist yet
-      }
+      let metadata = await this.store.getMetadata(conversationId);
 
-      if (!metadata[conversationId]) {
-        metadata[conversationId] = {
+      if (!metadata) {
+        metadata = {
           createdAt: new Date().toISOString(),
           messageCount: 0,
-          title: this.generateTitle(lastMessage.content)
+          title: this.generateTitle(lastMessage.content),
+          userId: userId || null
         };
       }
 
-      metadata[conversationId].lastUpdated = new Date().toISOString();
-      metadata[conversationId].messageCount += 1;
-      metadata[conversationId].lastMessage = {
-        role: lastMessage.role,
-        content: lastMessage.content.substring(0, 100) + (lastMessage.content.length > 100 ? '...' : ''),
-        timestamp: lastMessage.timestamp
-      };
+      metadata.lastUpdated = new Date().toISOString();
+      metadata.messageCount += 1;
+      metadata.lastMessage = this.summarizeMessage(lastMessage);
+      if (lastMessage.cost) {
+        metadata.totalCost = roundCost((metadata.totalCost || 0) + lastMessage.cost.total);
+      }
+      if (activeLeafId) {
+        metadata.activeLeafId = activeLeafId;
+      }
 
-      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      await this.store.saveMetadata(conversationId, metadata);
     } catch (error) {
       logger.error('Failed to update conversation metadata:', error);
     }
   }
 
+  summarizeMessage(message) {
+    const text = contentParts.flattenContent(message.content);
+    return {
+      role: message.role,
+      content: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+      timestamp: message.timestamp
+    };
+  }
+
+  // Placeholder from the first message until a generated title replaces it
   generateTitle(content) {
-    // Generate a title from the first message content
-    const cleanContent = content.replace(/[^\w\s]/gi, '').trim();
+    const cleanContent = contentParts.textOf(content).replace(/[^\w\s]/gi, '').trim();
     const words = cleanContent.split(' ').slice(0, 5);
     return words.join(' ') || 'New Conversation';
   }
 
-  async searchConversations(query, limit = 10) {
+  // options: limit, offset, role, provider, model, from, to (Date), userId
+  async searchConversations(query, { userId, ...options } = {}) {
     try {
-      const files = await fs.readdir(this.conversationsDir);
-      const conversationFiles = files.filter(file => file.endsWith('.json') && file !== 'metadata.json');
-      
-      const results = [];
-      
-      for (const file of conversationFiles) {
-        const conversationId = file.replace('.json', '');
-        const conversation = await this.getConversation(conversationId);
-        
-        // Search through messages
-        const matchingMessages = conversation.filter(msg => 
-          msg.content.toLowerCase().includes(query.toLowerCase())
-        );
-        
-        if (matchingMessages.length > 0) {
-          results.push({
-            conversationId,
-            matches: matchingMessages.length,
-            preview: matchingMessages[0].content.substring(0, 200) + '...'
-          });
-        }
-        
-        if (results.length >= limit) break;
+      await this.ready;
+      await this.searchIndex.ensureBuilt(() => this.loadAllConversations());
+
+      if (userId !== undefined) {
+        options.conversationIds = new Set(Object.keys(await this.getOwnedMetadata({ userId })));
+      }
+
+      const { total, results } = this.searchIndex.search(query, options);
+
+      for (const result of results) {
+        const metadata = await this.store.getMetadata(result.conversationId);
+        result.title = metadata ? metadata.title : null;
+        result.lastUpdated = metadata ? metadata.lastUpdated : null;
       }
-      
-      return results.sort((a, b) => b.matches - a.matches);
+
+      return { total, results };
     } catch (error) {
       logger.error('Failed to search conversations:', error);
       throw error;
     }
   }
 
-  async getConversationStats() {
+  // Every message of every conversation, including inactive branches
+  async loadAllConversations() {
+    const conversationIds = await this.store.listConversationIds();
+    const conversations = [];
+
+    for (const conversationId of conversationIds) {
+      const tree = this.buildTree(await this.store.getMessages(conversationId) || []);
+      conversations.push({ conversationId, messages: tree.messages });
+    }
+
+    return conversations;
+  }
+
+  async getConversationStats(options = {}) {
     try {
-      const metadataPath = path.join(this.conversationsDir, 'metadata.json');
-      let metadata = {};
-      
-      try {
-        const metadataData = await fs.readFile(metadataPath, 'utf8');
-        metadata = JSON.parse(metadataData);
-      } catch (error) {
-        return { totalConversations: 0, totalMessages: 0 };
-      }
+      await this.ready;
+      const metadata = await this.getOwnedMetadata(options);
 
       const totalConversations = Object.keys(metadata).length;
       const totalMessages = Object.values(metadata).reduce((sum, conv) => sum + conv.messageCount, 0);
-      
+
       return {
         totalConversations,
         totalMessages,
@@ -214,41 +454,174 @@ class ConversationManager {
     }
   }
 
+  // Sums the cost of every assistant reply (all branches - each one was paid for),
+  // grouped by provider, model, user or day. options.userId limits it to one user.
+  // options.charges adds costs kept outside conversations, such as generated
+  // images: { provider, model, userId, timestamp, cost }.
+  async getCostReport({ userId, groupBy = 'provider', from, to, charges = [] } = {}) {
+    try {
+      await this.ready;
+
+      if (!COST_GROUPS.includes(groupBy)) {
+        throw new Error(`Unsupported cost grouping: ${groupBy}`);
+      }
+
+      const metadata = await this.getOwnedMetadata({ userId });
+      const entries = [...charges];
+
+      for (const conversationId of Object.keys(metadata)) {
+        const messages = await this.store.getMessages(conversationId) || [];
+
+        // Generated images carry a cost but no usage; they come in through charges
+        for (const msg of messages) {
+          if (msg.role !== 'assistant' || !msg.usage) continue;
+
+          entries.push({
+            provider: msg.provider,
+            model: msg.model,
+            userId: msg.userId || metadata[conversationId].userId,
+            timestamp: msg.createdAt || msg.timestamp,
+            // Messages stored before pricing existed are priced on the fly
+            cost: msg.cost || calculateCost(msg.provider, msg.model, msg.usage),
+            usage: msg.usage
+          });
+        }
+      }
+
+      const groups = new Map();
+      const total = { cost: 0, messages: 0, promptTokens: 0, completionTokens: 0 };
+
+      for (const { provider, model, userId: owner, timestamp, cost, usage = {} } of entries) {
+        const time = new Date(timestamp).getTime();
+        if ((from || to) && isNaN(time)) continue;
+        if (from && time < from.getTime()) continue;
+        if (to && time > to.getTime()) continue;
+
+        const key = {
+          provider,
+          model,
+          user: owner,
+          day: typeof timestamp === 'string' ? timestamp.slice(0, 10) : null
+        }[groupBy] || 'unknown';
+
+        if (!groups.has(key)) {
+          groups.set(key, { key, cost: 0, messages: 0, promptTokens: 0, completionTokens: 0, unpricedMessages: 0 });
+        }
+
+        const group = groups.get(key);
+        for (const bucket of [group, total]) {
+          bucket.cost += cost ? cost.total : 0;
+          bucket.messages += 1;
+          bucket.promptTokens += usage.prompt_tokens || 0;
+          bucket.completionTokens += usage.completion_tokens || 0;
+        }
+        if (!cost) group.unpricedMessages += 1;
+      }
+
+      const results = Array.from(groups.values())
+        .map(group => ({ ...group, cost: roundCost(group.cost) }))
+        .sort(groupBy === 'day'
+          ? (a, b) => a.key.localeCompare(b.key)
+          : (a, b) => b.cost - a.cost);
+
+      return {
+        groupBy,
+        currency: CURRENCY,
+        total: { ...total, cost: roundCost(total.cost) },
+        groups: results
+      };
+    } catch (error) {
+      logger.error('Failed to build cost report:', error);
+      throw error;
+    }
+  }
+
+  // Renders a conversation in one of the formats from conversationFormats;
+  // returns null when the conversation does not exist
   async exportConversation(conversationId, format = 'json') {
     try {
-      const conversation = await this.getConversation(conversationId);
-      
-      if (format === 'txt') {
-        return conversation.map(msg => 
-          `[${msg.timestamp}] ${msg.role.toUpperCase()}: ${msg.content}`
-        ).join('\n\n');
+      await this.ready;
+      const renderer = formats[format];
+      if (!renderer) {
+        throw new Error(`Unsupported export format: ${format}`);
       }
-      
-      return JSON.stringify(conversation, null, 2);
+
+      const tree = await this.loadTree(conversationId);
+      if (tree.messages.length === 0) {
+        return null;
+      }
+
+      const metadata = await this.store.getMetadata(conversationId);
+
+      return renderer.render({
+        id: conversationId,
+        metadata,
+        messages: this.getPath(tree, tree.activeLeafId),
+        tree: tree.messages
+      });
     } catch (error) {
       logger.error(`Failed to export conversation ${conversationId}:`, error);
       throw error;
     }
   }
 
-  async importConversation(conversationData, conversationId) {
+  // Accepts a native export or a legacy message array. The import always gets
+  // fresh conversation and message IDs so it can never overwrite existing data.
+  async importConversation(conversationData, { userId } = {}) {
     try {
-      const id = conversationId || Date.now().toString();
-      const filePath = path.join(this.conversationsDir, `${id}.json`);
-      
-      await fs.writeFile(filePath, JSON.stringify(conversationData, null, 2));
-      
-      // Update metadata
-      if (conversationData.length > 0) {
-        await this.updateConversationMetadata(id, conversationData[conversationData.length - 1]);
-      }
-      
-      return id;
+      await this.ready;
+      const { messages, metadata } = parseImport(conversationData);
+      const source = this.buildTree(messages, metadata?.activeLeafId);
+
+      const idMap = new Map(source.messages.map(msg => [msg.id, uuidv4()]));
+      const imported = source.messages.map(msg => ({
+        ...msg,
+        userId: userId || undefined,
+        id: idMap.get(msg.id),
+        parentId: msg.parentId ? idMap.get(msg.parentId) : null,
+        createdAt: msg.createdAt || msg.timestamp || new Date().toISOString()
+      }));
+
+      const tree = this.buildTree(imported, idMap.get(source.activeLeafId));
+      const activePath = this.getPath(tree, tree.activeLeafId);
+      const firstUser = activePath.find(msg => msg.role === 'user') || activePath[0];
+      const id = uuidv4();
+
+      await this.locks.runExclusive(id, async () => {
+        await this.store.saveMessages(id, imported);
+
+        // Metadata is rebuilt from the messages rather than trusted from the file
+        await this.store.saveMetadata(id, {
+          createdAt: imported[0].createdAt,
+          messageCount: imported.length,
+          title: metadata?.title || this.generateTitle(firstUser.content),
+          lastUpdated: new Date().toISOString(),
+          lastMessage: this.summarizeMessage(tree.byId.get(tree.activeLeafId)),
+          activeLeafId: tree.activeLeafId,
+          importedAt: new Date().toISOString(),
+          userId: userId || null
+        });
+
+        for (const message of imported) {
+          this.searchIndex.addMessage(id, message);
+        }
+      });
+
+      return { conversationId: id, messageCount: imported.length };
     } catch (error) {
-      logger.error('Failed to import conversation:', error);
+      if (!error.details) {
+        logger.error('Failed to import conversation:', error);
+      }
       throw error;
     }
   }
+
+  async close() {
+    await this.ready;
+    await this.store.close();
+  }
 }
 
-module.exports = new ConversationManager();
\ No newline at end of file
+module.exports = new ConversationManager();
+module.exports.ConversationManager = ConversationManager;
+module.exports.COST_GROUPS = COST_GROUPS;
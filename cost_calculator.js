@@ -0,0 +1,56 @@
+const providerRegistry = require('../services/providerRegistry');
+const { IMAGE_MODELS, TRANSCRIPTION_PRICES } = require('../services/openaiService');
+
+const CURRENCY = 'USD';
+
+// Sub-cent amounts add up, so keep more precision than a display would
+const roundCost = (amount) => Math.round(amount * 1e6) / 1e6;
+
+// Prices a provider's normalized usage with the registry's price table.
+// Returns null when the model has no known price or there is no usage.
+const calculateCost = (provider, model, usage) => {
+  const price = providerRegistry.getPrice(provider, model);
+  if (!price || !usage) return null;
+
+  const input = (usage.prompt_tokens || 0) / 1000 * price.input;
+  const output = (usage.completion_tokens || 0) / 1000 * price.output;
+
+  return {
+    input: roundCost(input),
+    output: roundCost(output),
+    total: roundCost(input + output),
+    currency: CURRENCY
+  };
+};
+
+// Image models are priced per image by quality and size
+const calculateImageCost = (model, { size, quality = 'standard', n = 1 }) => {
+  const price = IMAGE_MODELS[model]?.prices[`${quality}:${size}`];
+  if (price === undefined) return null;
+
+  return {
+    images: n,
+    total: roundCost(price * n),
+    currency: CURRENCY
+  };
+};
+
+// Transcriptions are priced per minute of audio; duration is in seconds
+const calculateTranscriptionCost = (model, { duration }) => {
+  const price = TRANSCRIPTION_PRICES[model];
+  if (price === undefined || !duration) return null;
+
+  return {
+    minutes: roundCost(duration / 60),
+    total: roundCost(price * duration / 60),
+    currency: CURRENCY
+  };
+};
+
+module.exports = {
+  calculateCost,
+  calculateImageCost,
+  calculateTranscriptionCost,
+  roundCost,
+  CURRENCY
+};
@@ -0,0 +1,87 @@
+process.env.CONVERSATION_STORE = 'memory';
+
+const { calculateCost, roundCost } = require('../utils/costCalculator');
+const providerRegistry = require('../services/providerRegistry');
+const MemoryStorageAdapter = require('../utils/memoryStorageAdapter');
+const { ConversationManager } = require('../services/conversationManager');
+
+const usage = (prompt_tokens, completion_tokens) => ({ prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens });
+
+describe('calculateCost', () => {
+  it('prices input and output tokens per 1K', () => {
+    expect(calculateCost('openai', 'gpt-4', usage(1000, 500))).toEqual({ input: 0.03, output: 0.03, total: 0.06, currency: 'USD' });
+  });
+
+  it('prices versioned model names by their longest known prefix', () => {
+    expect(providerRegistry.getPrice('anthropic', 'claude-3-haiku-20240307')).toEqual({ input: 0.00025, output: 0.00125 });
+    expect(providerRegistry.getPrice('openai', 'gpt-4-turbo-preview')).toEqual({ input: 0.01, output: 0.03 });
+  });
+
+  it('returns null without a price or usage', () => {
+    expect(calculateCost('openai', 'gpt-5', usage(10, 10))).toBeNull();
+    expect(calculateCost('llama', 'gpt-4', usage(10, 10))).toBeNull();
+    expect(calculateCost('openai', 'gpt-4', undefined)).toBeNull();
+  });
+
+  it('keeps sub-cent precision', () => {
+    expect(roundCost(0.1 + 0.2)).toBe(0.3);
+    expect(calculateCost('anthropic', 'claude-3-haiku', usage(1, 0)).total).toBe(0);
+    expect(calculateCost('anthropic', 'claude-3-haiku', usage(4, 0)).total).toBe(0.000001);
+  });
+});
+
+describe('ConversationManager cost accounting', () => {
+  let manager;
+
+  const reply = (provider, model, tokens, createdAt = '2024-03-01T10:00:00.000Z') =>
+    ({ id: `${provider}-${createdAt}`, role: 'assistant', content: 'ok', provider, model, usage: usage(tokens, tokens), createdAt });
+
+  // Stored as-is, the way replies from before pricing existed sit in the store
+  const seed = async (conversationId, userId, answer) => {
+    await manager.store.saveMessages(conversationId, [{ id: 'q', role: 'user', content: 'hi' }, { ...answer, parentId: 'q' }]);
+    await manager.store.saveMetadata(conversationId, { title: 'hi', userId });
+  };
+
+  beforeEach(() => {
+    manager = new ConversationManager(new MemoryStorageAdapter());
+  });
+
+  it('prices assistant replies when they are stored and totals them per conversation', async () => {
+    const saved = await manager.saveMessage('c', reply('openai', 'gpt-4', 1000));
+    await manager.saveMessage('c', reply('openai', 'gpt-4', 1000));
+    await manager.saveMessage('c', { ...reply('openai', 'gpt-4', 1000), cost: { total: 1, currency: 'USD' } });
+
+    expect(saved.cost).toEqual({ input: 0.03, output: 0.06, total: 0.09, currency: 'USD' });
+    expect((await manager.store.getMetadata('c')).totalCost).toBe(1.18);
+  });
+
+  it('groups spend by provider, model, user and day', async () => {
+    await seed('a', 'ada', reply('openai', 'gpt-4', 1000));
+    await seed('b', 'ada', reply('anthropic', 'claude-3-haiku', 1000, '2024-03-02T10:00:00.000Z'));
+    await seed('c', 'grace', reply('openai', 'gpt-3.5-turbo', 1000));
+
+    const byProvider = await manager.getCostReport();
+    expect(byProvider.total).toMatchObject({ cost: 0.0935, messages: 3, promptTokens: 3000, completionTokens: 3000 });
+    expect(byProvider.groups.map(group => [group.key, group.cost])).toEqual([['openai', 0.092], ['anthropic', 0.0015]]);
+
+    expect((await manager.getCostReport({ groupBy: 'user' })).groups.map(group => group.key)).toEqual(['ada', 'grace']);
+    expect((await manager.getCostReport({ groupBy: 'day' })).groups.map(group => group.key)).toEqual(['2024-03-01', '2024-03-02']);
+    expect((await manager.getCostReport({ groupBy: 'model', userId: 'grace' })).groups).toEqual([
+      expect.objectContaining({ key: 'gpt-3.5-turbo', messages: 1, cost: 0.002 })
+    ]);
+  });
+
+  it('filters by date and counts unpriced replies', async () => {
+    await seed('a', 'ada', reply('openai', 'gpt-4', 1000));
+    await seed('b', 'ada', reply('openai', 'unknown-model', 1000, '2024-04-01T10:00:00.000Z'));
+
+    const report = await manager.getCostReport({ from: new Date('2024-03-15'), to: new Date('2024-04-30') });
+
+    expect(report.total).toMatchObject({ cost: 0, messages: 1 });
+    expect(report.groups).toEqual([expect.objectContaining({ key: 'openai', unpricedMessages: 1 })]);
+  });
+
+  it('rejects unknown groupings', async () => {
+    await expect(manager.getCostReport({ groupBy: 'week' })).rejects.toThrow('Unsupported cost grouping: week');
+  });
+});
@@ -0,0 +1,100 @@
+const cohereService = require('../services/cohereService');
+const metrics = require('./metrics');
+
+// Cohere accepts at most 96 texts per embed call
+const COHERE_BATCH_SIZE = 96;
+
+// Embedders turn texts into vectors: embed(texts, { inputType: 'document' | 'query' })
+// resolves to { embeddings, usage }. A collection remembers which embedder built
+// it, since vectors from different models can't be compared.
+class CohereEmbedder {
+  constructor({ model } = {}) {
+    this.provider = 'cohere';
+    this.model = model || process.env.COHERE_EMBED_MODEL || 'embed-english-v3.0';
+  }
+
+  async embed(texts, { inputType = 'document' } = {}) {
+    const embeddings = [];
+    let totalTokens = 0;
+
+    for (let i = 0; i < texts.length; i += COHERE_BATCH_SIZE) {
+      const batch = texts.slice(i, i + COHERE_BATCH_SIZE);
+      const result = await metrics.trackUpstream('cohere', this.model, 'embed', () => cohereService.generateEmbeddings({
+        texts: batch,
+        model: this.model,
+        inputType: inputType === 'query' ? 'search_query' : 'search_document'
+      }));
+      embeddings.push(...result.embeddings);
+      totalTokens += result.usage.total_tokens;
+    }
+
+    return { embeddings, usage: { total_tokens: totalTokens } };
+  }
+}
+
+// Deterministic feature hashing of words and word pairs: no network and the
+// same text always gets the same vector. Meant for tests and offline setups;
+// it matches vocabulary, not meaning.
+class LocalEmbedder {
+  constructor({ dimensions, model } = {}) {
+    this.provider = 'local';
+    // Existing collections pass their model name back in, which fixes the size
+    const fromModel = /^hashing-(\d+)$/.exec(model || '');
+    this.dimensions = dimensions || (fromModel ? parseInt(fromModel[1]) : parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS || '512'));
+    this.model = `hashing-${this.dimensions}`;
+  }
+
+  // FNV-1a, 32 bit
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+    for (const feature of features) {
+      const hash = this.hash(feature);
+      // The top bit picks the sign so collisions tend to cancel out
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  async embed(texts) {
+    return {
+      embeddings: texts.map(text => this.embedOne(text)),
+      usage: { total_tokens: 0 }
+    };
+  }
+}
+
+const embedders = {
+  cohere: (options) => new CohereEmbedder(options),
+  local: (options) => new LocalEmbedder(options)
+};
+
+const createEmbedder = (type = process.env.EMBEDDING_PROVIDER || 'cohere', options = {}) => {
+  const factory = embedders[String(type).toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${type}". Expected one of: ${Object.keys(embedders).join(', ')}`);
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  createEmbedder,
+  embedderTypes: Object.keys(embedders),
+  CohereEmbedder,
+  LocalEmbedder
+};
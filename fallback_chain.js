@@ -0,0 +1,121 @@
+const providerRegistry = require('./providerRegistry');
+const logger = require('../utils/logger');
+const resilience = require('../utils/resilience');
+
+class FallbackChain {
+  constructor() {
+    this.defaultChain = this.parseChain(process.env.FALLBACK_CHAIN);
+  }
+
+  // Accepts "provider:model" strings or { provider, model } objects
+  parseEntry(entry) {
+    let provider;
+    let model;
+
+    if (typeof entry === 'string') {
+      [provider, model] = entry.split(':').map(part => part.trim());
+    } else if (entry && typeof entry === 'object') {
+      ({ provider, model } = entry);
+    }
+
+    if (!provider || !providerRegistry.has(provider)) {
+      return null;
+    }
+
+    provider = provider.toLowerCase();
+
+    return {
+      provider,
+      model: model || providerRegistry.getDefaultModel(provider)
+    };
+  }
+
+  parseChain(spec) {
+    if (!spec) return [];
+
+    const entries = Array.isArray(spec) ? spec : String(spec).split(',');
+
+    return entries
+      .filter(entry => entry && (typeof entry !== 'string' || entry.trim()))
+      .map(entry => {
+        const parsed = this.parseEntry(entry);
+        if (!parsed) {
+          logger.warn('Ignoring invalid fallback chain entry:', entry);
+        }
+        return parsed;
+      })
+      .filter(Boolean);
+  }
+
+  // An explicit fallback list wins, then an explicit provider, then the server default
+  resolve({ fallback, provider, model }) {
+    if (Array.isArray(fallback) && fallback.length > 0) {
+      return this.parseChain(fallback);
+    }
+
+    if (provider) {
+      return [{
+        provider: provider.toLowerCase(),
+        model: model || providerRegistry.getDefaultModel(provider)
+      }];
+    }
+
+    if (this.defaultChain.length > 0) {
+      return this.defaultChain;
+    }
+
+    return [{
+      provider: providerRegistry.defaultProvider,
+      model: model || providerRegistry.getDefaultModel()
+    }];
+  }
+
+  // Anything except a rejected request is worth another provider: bad requests
+  // would most likely be rejected the same way by the next backend
+  isRetryable(error) {
+    return this.getErrorType(error) !== 'client';
+  }
+
+  getErrorType(error) {
+    return error.type || resilience.classifyError(error).type;
+  }
+
+  async execute(chain, callback) {
+    const skipped = [];
+
+    for (let i = 0; i < chain.length; i++) {
+      const { provider, model } = chain[i];
+      const service = providerRegistry.getService(provider);
+
+      try {
+        const result = await callback(service, { provider, model });
+        return { result, provider, model, skipped };
+      } catch (error) {
+        const isLast = i === chain.length - 1;
+        const retryable = this.isRetryable(error);
+
+        skipped.push({
+          provider,
+          model,
+          reason: error.message,
+          type: this.getErrorType(error),
+          status: error.status
+        });
+
+        if (isLast || !retryable) {
+          error.attempts = skipped;
+          throw error;
+        }
+
+        logger.warn(`Provider ${provider} failed, falling back to ${chain[i + 1].provider}`, {
+          model,
+          reason: error.message
+        });
+      }
+    }
+
+    throw new Error('Fallback chain is empty');
+  }
+}
+
+module.exports = new FallbackChain();
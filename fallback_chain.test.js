@@ -0,0 +1,108 @@
+const fallbackChain = require('../services/fallbackChain');
+const ProviderError = require('../utils/providerError');
+
+describe('fallbackChain', () => {
+  afterEach(() => {
+    fallbackChain.defaultChain = [];
+  });
+
+  describe('parseChain', () => {
+    it('accepts provider:model strings, objects and comma-separated specs', () => {
+      expect(fallbackChain.parseChain(['OpenAI:gpt-4-turbo', { provider: 'mistral' }])).toEqual([
+        { provider: 'openai', model: 'gpt-4-turbo' },
+        { provider: 'mistral', model: 'mistral-large' }
+      ]);
+      expect(fallbackChain.parseChain('anthropic, cohere:command-light')).toEqual([
+        { provider: 'anthropic', model: 'claude-3-sonnet' },
+        { provider: 'cohere', model: 'command-light' }
+      ]);
+    });
+
+    it('drops entries for unknown providers', () => {
+      expect(fallbackChain.parseChain(['llama:70b', 'gemini', ''])).toEqual([{ provider: 'gemini', model: 'gemini-pro' }]);
+      expect(fallbackChain.parseChain(undefined)).toEqual([]);
+    });
+  });
+
+  describe('resolve', () => {
+    it('prefers an explicit fallback list, then the provider, then the server chain', () => {
+      fallbackChain.defaultChain = fallbackChain.parseChain('openai,mistral');
+
+      expect(fallbackChain.resolve({ fallback: ['cohere'], provider: 'openai' })).toEqual([{ provider: 'cohere', model: 'command' }]);
+      expect(fallbackChain.resolve({ provider: 'Gemini', model: 'gemini-pro-vision' })).toEqual([{ provider: 'gemini', model: 'gemini-pro-vision' }]);
+      expect(fallbackChain.resolve({}).map(entry => entry.provider)).toEqual(['openai', 'mistral']);
+    });
+
+    it('falls back to the default provider without a server chain', () => {
+      expect(fallbackChain.resolve({})).toEqual([{ provider: 'anthropic', model: 'claude-3-sonnet' }]);
+    });
+  });
+
+  describe('execute', () => {
+    const chain = fallbackChain.parseChain('anthropic,openai,mistral');
+
+    it('moves down the chain on retryable failures and reports what was skipped', async () => {
+      const outcome = await fallbackChain.execute(chain, async (service, { provider }) => {
+        if (provider !== 'mistral') {
+          throw new ProviderError(`${provider} is overloaded`, { provider, status: provider === 'anthropic' ? 529 : 503 });
+        }
+        return { content: 'hi' };
+      });
+
+      expect(outcome.provider).toBe('mistral');
+      expect(outcome.result).toEqual({ content: 'hi' });
+      expect(outcome.skipped).toEqual([
+        { provider: 'anthropic', model: 'claude-3-sonnet', reason: 'anthropic is overloaded', type: 'server', status: 529 },
+        { provider: 'openai', model: 'gpt-4', reason: 'openai is overloaded', type: 'server', status: 503 }
+      ]);
+    });
+
+    it('passes each provider its own service', async () => {
+      const services = [];
+      await fallbackChain.execute(chain.slice(0, 1), async (service) => services.push(service));
+
+      expect(services[0]).toBe(require('../services/providerRegistry').getService('anthropic'));
+    });
+
+    it('stops at a request error another provider would reject too', async () => {
+      const calls = [];
+      const failure = fallbackChain.execute(chain, async (service, { provider }) => {
+        calls.push(provider);
+        throw new ProviderError('Bad request', { provider, status: 400 });
+      });
+
+      await expect(failure).rejects.toMatchObject({ status: 400, attempts: [{ provider: 'anthropic' }] });
+      expect(calls).toEqual(['anthropic']);
+    });
+
+    it('throws the last error with every attempt once the chain is used up', async () => {
+      const failure = fallbackChain.execute(chain, async (service, { provider }) => {
+        throw new ProviderError(`${provider} timed out`, { provider, status: 504 });
+      });
+
+      await expect(failure).rejects.toMatchObject({ message: 'mistral timed out' });
+      await failure.catch(error => expect(error.attempts.map(attempt => attempt.provider)).toEqual(['anthropic', 'openai', 'mistral']));
+    });
+  });
+});
+
+describe('ProviderError.from', () => {
+  it('keeps the status and lower-cased headers of SDK errors', () => {
+    const error = ProviderError.from('openai', 'OpenAI API error', Object.assign(new Error('Rate limited'), {
+      status: 429,
+      headers: { 'Retry-After': '2' }
+    }));
+
+    expect(error).toMatchObject({ provider: 'openai', status: 429, headers: { 'retry-after': '2' } });
+    expect(error.message).toBe('OpenAI API error: Rate limited');
+  });
+
+  it('reads the status from messages like Gemini\'s', () => {
+    expect(ProviderError.from('gemini', 'Gemini API error', new Error('[503 Service Unavailable] overloaded')).status).toBe(503);
+  });
+
+  it('passes ProviderErrors through unchanged', () => {
+    const original = new ProviderError('x', { status: 500 });
+    expect(ProviderError.from('openai', 'label', original)).toBe(original);
+  });
+});
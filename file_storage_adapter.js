@@ -0,0 +1,216 @@
+const fs = require('fs').promises;
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+const { writeFileAtomic } = require('./atomicWrite');
+const logger = require('./logger');
+
+// Journal entries appended before metadata.json is rewritten in one go
+const COMPACT_AFTER_ENTRIES = 500;
+
+// One JSON file per conversation plus a metadata index. The index lives in
+// memory; changes are appended to metadata.journal and periodically compacted
+// into metadata.json, so a message no longer rewrites the whole index.
+class FileStorageAdapter extends StorageAdapter {
+  constructor({ directory } = {}) {
+    super('file');
+    this.conversationsDir = directory || path.join(process.cwd(), 'data', 'conversations');
+    this.quarantineDir = path.join(this.conversationsDir, 'quarantine');
+    this.metadataPath = path.join(this.conversationsDir, 'metadata.json');
+    this.journalPath = path.join(this.conversationsDir, 'metadata.journal');
+    this.metadata = new Map();
+    this.journalEntries = 0;
+    // Single writer: every index write is chained onto this promise
+    this.metadataWrites = Promise.resolve();
+    this.orphanedConversationIds = [];
+  }
+
+  async init() {
+    await fs.mkdir(this.conversationsDir, { recursive: true });
+    await this.removeStaleTempFiles();
+    await this.loadMetadata();
+    await this.recoverConversations();
+
+    // Start from a compact index so the journal only holds changes from this run
+    await this.compactMetadata();
+  }
+
+  async close() {
+    await this.metadataWrites;
+    await this.compactMetadata();
+  }
+
+  getConversationPath(conversationId) {
+    // Conversation IDs become file names, so never let one escape the directory
+    if (!/^[\w-]+$/.test(conversationId)) {
+      throw new Error(`Invalid conversation ID: ${conversationId}`);
+    }
+    return path.join(this.conversationsDir, `${conversationId}.json`);
+  }
+
+  async removeStaleTempFiles() {
+    const files = await fs.readdir(this.conversationsDir);
+    await Promise.all(files
+      .filter(file => file.endsWith('.tmp'))
+      .map(file => fs.unlink(path.join(this.conversationsDir, file)).catch(() => {})));
+  }
+
+  async quarantine(filePath, reason) {
+    await fs.mkdir(this.quarantineDir, { recursive: true });
+    const target = path.join(this.quarantineDir, `${path.basename(filePath)}.${Date.now()}`);
+    await fs.rename(filePath, target);
+    logger.warn('Quarantined corrupt conversation file', { file: path.basename(filePath), movedTo: target, reason });
+  }
+
+  async loadMetadata() {
+    try {
+      const data = await fs.readFile(this.metadataPath, 'utf8');
+      this.metadata = new Map(Object.entries(JSON.parse(data)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        // The index is derived data, it gets rebuilt from the conversation files
+        await this.quarantine(this.metadataPath, error.message);
+      }
+      this.metadata = new Map();
+    }
+
+    let journal;
+    try {
+      journal = await fs.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      return;
+    }
+
+    const lines = journal.split('\n').filter(line => line.trim());
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.deleted) {
+          this.metadata.delete(entry.id);
+        } else {
+          this.metadata.set(entry.id, entry.data);
+        }
+      } catch (error) {
+        // A crash mid-append can only truncate the last line; skip it
+        logger.warn('Skipping unreadable metadata journal entry');
+      }
+    }
+  }
+
+  async recoverConversations() {
+    const conversationIds = await this.listConversationIds();
+    const existing = new Set();
+
+    for (const conversationId of conversationIds) {
+      const filePath = this.getConversationPath(conversationId);
+      try {
+        const messages = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        if (!Array.isArray(messages)) {
+          throw new Error('Conversation file does not contain a message array');
+        }
+        existing.add(conversationId);
+      } catch (error) {
+        await this.quarantine(filePath, error.message);
+      }
+    }
+
+    // Index entries whose conversation file is gone (or was quarantined)
+    for (const conversationId of this.metadata.keys()) {
+      if (!existing.has(conversationId)) {
+        this.metadata.delete(conversationId);
+      }
+    }
+
+    // Conversations without an index entry; ConversationManager rebuilds these
+    this.orphanedConversationIds = Array.from(existing).filter(id => !this.metadata.has(id));
+  }
+
+  async getMessages(conversationId) {
+    try {
+      const data = await fs.readFile(this.getConversationPath(conversationId), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async saveMessages(conversationId, messages) {
+    await writeFileAtomic(this.getConversationPath(conversationId), JSON.stringify(messages, null, 2));
+  }
+
+  async deleteMessages(conversationId) {
+    try {
+      await fs.unlink(this.getConversationPath(conversationId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async listConversationIds() {
+    const files = await fs.readdir(this.conversationsDir);
+    return files
+      .filter(file => file.endsWith('.json') && !file.startsWith('.') && file !== 'metadata.json')
+      .map(file => file.replace(/\.json$/, ''));
+  }
+
+  async getMetadata(conversationId) {
+    const data = this.metadata.get(conversationId);
+    return data ? JSON.parse(JSON.stringify(data)) : null;
+  }
+
+  async getAllMetadata() {
+    return JSON.parse(JSON.stringify(Object.fromEntries(this.metadata)));
+  }
+
+  async saveMetadata(conversationId, data) {
+    this.metadata.set(conversationId, JSON.parse(JSON.stringify(data)));
+    await this.appendJournal({ id: conversationId, data });
+  }
+
+  async deleteMetadata(conversationId) {
+    if (this.metadata.delete(conversationId)) {
+      await this.appendJournal({ id: conversationId, deleted: true });
+    }
+  }
+
+  appendJournal(entry) {
+    const write = this.metadataWrites.then(async () => {
+      await fs.appendFile(this.journalPath, JSON.stringify(entry) + '\n');
+      this.journalEntries += 1;
+
+      if (this.journalEntries >= COMPACT_AFTER_ENTRIES) {
+        await this.writeCompactedMetadata();
+      }
+    });
+
+    // Keep the chain alive even if one write fails; the caller still sees the error
+    this.metadataWrites = write.catch(error => {
+      logger.error('Failed to write conversation metadata journal:', error);
+    });
+
+    return write;
+  }
+
+  compactMetadata() {
+    const write = this.metadataWrites.then(() => this.writeCompactedMetadata());
+    this.metadataWrites = write.catch(error => {
+      logger.error('Failed to compact conversation metadata:', error);
+    });
+    return write;
+  }
+
+  // Must only run on the metadataWrites chain
+  async writeCompactedMetadata() {
+    await writeFileAtomic(this.metadataPath, JSON.stringify(Object.fromEntries(this.metadata), null, 2));
+    await fs.writeFile(this.journalPath, '');
+    this.journalEntries = 0;
+  }
+}
+
+module.exports = FileStorageAdapter;
@@ -0,0 +1,95 @@
+process.env.CONVERSATION_STORE = 'memory';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileStorageAdapter = require('../utils/fileStorageAdapter');
+const { ConversationManager } = require('../services/conversationManager');
+
+let directory;
+
+const open = async () => {
+  const store = new FileStorageAdapter({ directory });
+  await store.init();
+  return store;
+};
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+});
+
+describe('FileStorageAdapter', () => {
+  it('keeps journaled metadata across restarts', async () => {
+    const store = await open();
+    await store.saveMessages('a', []);
+    await store.saveMessages('b', []);
+    await store.saveMetadata('a', { title: 'First' });
+    await store.saveMetadata('b', { title: 'Second' });
+    await store.deleteMetadata('b');
+
+    // No close(): the journal alone has to carry the changes
+    const reopened = await open();
+    expect(await reopened.getAllMetadata()).toEqual({ a: { title: 'First' } });
+    expect(fs.readFileSync(path.join(directory, 'metadata.journal'), 'utf8')).toBe('');
+  });
+
+  it('quarantines unreadable conversation files and drops their metadata', async () => {
+    const store = await open();
+    await store.saveMessages('broken', []);
+    await store.saveMetadata('broken', { title: 'Broken' });
+    await store.close();
+    fs.writeFileSync(path.join(directory, 'broken.json'), '[{"role": "us');
+
+    const reopened = await open();
+
+    expect(await reopened.listConversationIds()).toEqual([]);
+    expect(await reopened.getMetadata('broken')).toBeNull();
+    expect(fs.readdirSync(path.join(directory, 'quarantine'))).toEqual([expect.stringMatching(/^broken\.json\.\d+$/)]);
+  });
+
+  it('removes temp files left behind by an interrupted write', async () => {
+    fs.writeFileSync(path.join(directory, '.a.json.123.abcd.tmp'), '[');
+
+    await open();
+
+    expect(fs.readdirSync(directory).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('reports conversations that have no metadata entry', async () => {
+    fs.writeFileSync(path.join(directory, 'orphan.json'), '[]');
+
+    const store = await open();
+
+    expect(store.orphanedConversationIds).toEqual(['orphan']);
+  });
+});
+
+describe('ConversationManager on file storage', () => {
+  it('does not lose messages saved concurrently to one conversation', async () => {
+    const manager = new ConversationManager(new FileStorageAdapter({ directory }));
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => (
+      manager.saveMessage('busy', { role: 'user', content: `Message ${i}` })
+    )));
+
+    expect(await manager.getConversation('busy')).toHaveLength(10);
+    expect((await manager.getConversations())[0].messageCount).toBe(10);
+  });
+
+  it('rebuilds metadata for conversations whose index entry was lost', async () => {
+    fs.writeFileSync(path.join(directory, 'orphan.json'), JSON.stringify([
+      { role: 'user', content: 'Where is my metadata?', createdAt: '2024-01-01T00:00:00.000Z' },
+      { role: 'assistant', content: 'Rebuilt', createdAt: '2024-01-01T00:01:00.000Z' }
+    ]));
+
+    const manager = new ConversationManager(new FileStorageAdapter({ directory }));
+
+    expect(await manager.getConversations()).toEqual([expect.objectContaining({
+      id: 'orphan',
+      title: 'Where is my metadata',
+      messageCount: 2,
+      lastUpdated: '2024-01-01T00:01:00.000Z'
+    })]);
+  });
+});
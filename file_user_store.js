@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const path = require('path');
+const MemoryUserStore = require('./memoryUserStore');
+const { writeFileAtomic } = require('./atomicWrite');
+const logger = require('./logger');
+
+// Token counters change on every chat request; they are written back at most this often
+const USAGE_FLUSH_MS = parseInt(process.env.USAGE_FLUSH_MS || '5000');
+
+// Account data is small, so the whole store is held in memory and written
+// back to a single JSON file (atomically) after every change. Usage counters
+// are the exception: they are batched, so a crash loses at most USAGE_FLUSH_MS
+// of counted tokens instead of every request rewriting the file.
+class FileUserStore extends MemoryUserStore {
+  constructor({ directory } = {}) {
+    super('file');
+    this.directory = directory || path.join(process.cwd(), 'data', 'users');
+    this.filePath = path.join(this.directory, 'users.json');
+    // Single writer: every save is chained onto this promise
+    this.writes = Promise.resolve();
+    this.usageFlush = null;
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      // Unlike the conversation index this can't be rebuilt, so refuse to start
+      logger.error('User store file is unreadable:', error);
+      throw error;
+    }
+
+    this.users = new Map(Object.entries(data.users || {}));
+    this.refreshTokens = new Map(Object.entries(data.refreshTokens || {}));
+    this.revokedAccessTokens = new Map(Object.entries(data.revokedAccessTokens || {}));
+    this.apiKeys = new Map(Object.entries(data.apiKeys || {}));
+    this.usage = new Map(Object.entries(data.usage || {}));
+  }
+
+  async close() {
+    if (this.usageFlush) {
+      clearTimeout(this.usageFlush);
+      this.usageFlush = null;
+      await this.persist().catch(error => logger.error('Failed to write usage counters:', error));
+    }
+    await this.writes;
+  }
+
+  async persistUsage() {
+    if (this.usageFlush) return;
+
+    this.usageFlush = setTimeout(() => {
+      this.usageFlush = null;
+      this.persist().catch(error => logger.error('Failed to write usage counters:', error));
+    }, USAGE_FLUSH_MS);
+    this.usageFlush.unref();
+  }
+
+  persist() {
+    const write = this.writes.then(() => writeFileAtomic(this.filePath, JSON.stringify({
+      users: Object.fromEntries(this.users),
+      refreshTokens: Object.fromEntries(this.refreshTokens),
+      revokedAccessTokens: Object.fromEntries(this.revokedAccessTokens),
+      apiKeys: Object.fromEntries(this.apiKeys),
+      usage: Object.fromEntries(this.usage)
+    }, null, 2)));
+
+    // Keep the chain alive after a failed write; the caller still sees the error
+    this.writes = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = FileUserStore;
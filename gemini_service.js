@@ -1,34 +1,36 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const logger = require('../utils/logger');
+const ProviderError = require('../utils/providerError');
+const resilience = require('../utils/resilience');
+const { getUpstreamHeaders } = require('../utils/requestContext');
 
 class GeminiService {
   constructor() {
     this.client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
   }
 
+  // A ChatSession keeps its history and send state, so every attempt gets a fresh one
+  startChat(model, history, { temperature, maxTokens }) {
+    const generationConfig = {
+      temperature,
+      maxOutputTokens: maxTokens
+    };
+
+    return this.client
+      .getGenerativeModel({ model, generationConfig }, { customHeaders: getUpstreamHeaders() })
+      .startChat({ history, generationConfig });
+  }
+
   async generateResponse({ messages, model = 'gemini-pro', systemPrompt, temperature = 0.7, maxTokens = 1000 }) {
     try {
-      const genModel = this.client.getGenerativeModel({ 
-        model,
-        generationConfig: {
-          temperature,
-          maxOutputTokens: maxTokens
-        }
-      });
-
       // Format conversation for Gemini
       const formattedMessages = this.formatMessages(messages, systemPrompt);
-      
-      const chat = genModel.startChat({
-        history: formattedMessages.slice(0, -1), // All but the last message
-        generationConfig: {
-          temperature,
-          maxOutputTokens: maxTokens
-        }
-      });
-
+      const history = formattedMessages.slice(0, -1); // All but the last message
       const lastMessage = formattedMessages[formattedMessages.length - 1];
-      const result = await chat.sendMessage(lastMessage.parts[0].text);
+
+      const result = await resilience.execute('gemini', () => (
+        this.startChat(model, history, { temperature, maxTokens }).sendMessage(lastMessage.parts)
+      ));
       const response = await result.response;
 
       return {
@@ -42,35 +44,31 @@ class GeminiService {
       };
     } catch (error) {
       logger.error('Gemini API error:', error);
-      throw new Error(`Gemini API error: ${error.message}`);
+      throw ProviderError.from('gemini', 'Gemini API error', error);
     }
   }
 
-  async streamResponse({ messages, model = 'gemini-pro', systemPrompt, temperature = 0.7, onChunk, onComplete, onError }) {
+  async streamResponse({ messages, model = 'gemini-pro', systemPrompt, temperature = 0.7, maxTokens = 1000, signal, onChunk, onComplete, onError }) {
     try {
-      const genModel = this.client.getGenerativeModel({ 
-        model,
-        generationConfig: {
-          temperature,
-          maxOutputTokens: 1000
-        }
-      });
-
       const formattedMessages = this.formatMessages(messages, systemPrompt);
-      
-      const chat = genModel.startChat({
-        history: formattedMessages.slice(0, -1)
-      });
-
+      const history = formattedMessages.slice(0, -1);
       const lastMessage = formattedMessages[formattedMessages.length - 1];
-      const result = await chat.sendMessageStream(lastMessage.parts[0].text);
+
+      const result = await resilience.execute('gemini', () => (
+        this.startChat(model, history, { temperature, maxTokens }).sendMessageStream(lastMessage.parts)
+      ), { signal });
 
       let fullContent = '';
       
+      // This SDK version takes no abort signal; leaving the loop stops reading the stream
       for await (const chunk of result.stream) {
+        if (signal?.aborted) return;
+
         const chunkText = chunk.text();
-        fullContent += chunkText;
-        onChunk(chunkText);
+        if (chunkText) {
+          fullContent += chunkText;
+          onChunk(chunkText);
+        }
       }
 
       const finalResult = await result.response;
@@ -85,8 +83,10 @@ class GeminiService {
         }
       });
     } catch (error) {
+      // Cancelled by the caller, which keeps what onChunk already delivered
+      if (signal?.aborted) return;
       logger.error('Gemini streaming error:', error);
-      onError(error);
+      onError(ProviderError.from('gemini', 'Gemini API error', error));
     }
   }
 
@@ -109,42 +109,33 @@ class GeminiService {
     messages.forEach(msg => {
       formattedMessages.push({
         role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
+        parts: this.formatParts(msg.content)
       });
     });
 
     return formattedMessages;
   }
 
-  async generateWithVision({ prompt, imageData, model = 'gemini-pro-vision' }) {
-    try {
-      const genModel = this.client.getGenerativeModel({ model });
-      
-      const result = await genModel.generateContent([
-        prompt,
-        {
-          inlineData: {
-            data: imageData,
-            mimeType: 'image/jpeg'
-          }
-        }
-      ]);
+  formatParts(content) {
+    if (!Array.isArray(content)) return [{ text: content }];
 
-      const response = await result.response;
-      
-      return {
-        content: response.text(),
-        model,
-        usage: {
-          prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
-          completion_tokens: response.usageMetadata?.candidatesTokenCount || 0,
-          total_tokens: response.usageMetadata?.totalTokenCount || 0
-        }
-      };
-    } catch (error) {
-      logger.error('Gemini vision error:', error);
-      throw new Error(`Gemini vision error: ${error.message}`);
-    }
+    return content.map(part => (part.type === 'image'
+      ? { inlineData: { data: part.data, mimeType: part.mimeType } }
+      : { text: part.text }));
+  }
+
+  // Single-image shortcut over the regular message path
+  async generateWithVision({ prompt, imageData, mimeType = 'image/jpeg', model = 'gemini-pro-vision' }) {
+    return this.generateResponse({
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image', data: imageData, mimeType }
+        ]
+      }],
+      model
+    });
   }
 
   async validateApiKey() {
@@ -0,0 +1,108 @@
+process.env.CONVERSATION_STORE = 'memory';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The module builds a default store on load; keep it out of the working directory
+process.env.ATTACHMENTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+
+const openaiService = require('../services/openaiService');
+const { calculateImageCost } = require('../utils/costCalculator');
+const { AttachmentStore } = require('../utils/attachmentStore');
+const MemoryStorageAdapter = require('../utils/memoryStorageAdapter');
+const { ConversationManager } = require('../services/conversationManager');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+
+describe('OpenAIService.generateImage', () => {
+  it('asks for base64 images and leaves out quality where the model has no choice', async () => {
+    const generate = jest.fn(async () => ({ data: [{ b64_json: 'AAAA', revised_prompt: 'A red lighthouse' }] }));
+    openaiService.client = { images: { generate } };
+
+    const result = await openaiService.generateImage({ prompt: 'A lighthouse', model: 'dall-e-2', size: '256x256', n: 1 });
+
+    expect(generate.mock.calls[0][0]).toEqual({ model: 'dall-e-2', prompt: 'A lighthouse', size: '256x256', n: 1, response_format: 'b64_json' });
+    expect(result).toEqual({ model: 'dall-e-2', images: [{ data: 'AAAA', revised_prompt: 'A red lighthouse' }] });
+
+    await openaiService.generateImage({ prompt: 'A lighthouse', quality: 'hd' });
+    expect(generate.mock.calls[1][0]).toMatchObject({ model: 'dall-e-3', quality: 'hd' });
+  });
+});
+
+describe('calculateImageCost', () => {
+  it('prices per image by quality and size', () => {
+    expect(calculateImageCost('dall-e-3', { size: '1792x1024', quality: 'hd' })).toEqual({ images: 1, total: 0.12, currency: 'USD' });
+    expect(calculateImageCost('dall-e-2', { size: '512x512', n: 3 })).toEqual({ images: 3, total: 0.054, currency: 'USD' });
+    expect(calculateImageCost('dall-e-2', { size: '1792x1024' })).toBeNull();
+  });
+});
+
+describe('generated images', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new AttachmentStore({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-')), maxBytes: 4 });
+  });
+
+  const generate = (userId, details = {}) => store.save({
+    buffer: PNG,
+    userId,
+    source: 'generated',
+    details: { prompt: 'A lighthouse', model: 'dall-e-3', dimensions: '1024x1024', quality: 'standard', ...details }
+  });
+
+  it('are not held to the upload limit', async () => {
+    await expect(store.save({ buffer: PNG, userId: 'ada' })).rejects.toMatchObject({ status: 413 });
+    await expect(generate('ada')).resolves.toMatchObject({ source: 'generated', prompt: 'A lighthouse' });
+  });
+
+  it('are listed per user and per source', async () => {
+    const first = await generate('ada');
+    await store.save({ buffer: Buffer.from([0xff, 0xd8, 0xff, 0xe0]), userId: 'ada', source: 'inline' });
+    const second = await generate('ada');
+    await generate('grace');
+
+    // A second store reads the same directory from disk
+    const reopened = new AttachmentStore({ directory: store.directory });
+    const { total, attachments } = await reopened.list({ userId: 'ada', source: 'generated' });
+
+    expect(total).toBe(2);
+    expect(attachments.map(image => image.id).sort()).toEqual([first.id, second.id].sort());
+    expect((await store.list({ userId: 'ada' })).total).toBe(3);
+  });
+
+  it('stay on record for cost reports whether or not they went into a conversation', async () => {
+    await generate('ada', { conversationId: 'deleted-later' });
+    await generate('ada');
+    await generate('grace');
+
+    expect(await store.listGeneratedImages({ userId: 'ada' })).toHaveLength(2);
+    expect(await store.listGeneratedImages()).toHaveLength(3);
+  });
+
+  it('count once in cost reports, through the charges', async () => {
+    const manager = new ConversationManager(new MemoryStorageAdapter());
+    const cost = calculateImageCost('dall-e-3', { size: '1024x1024' });
+
+    // The conversation copy of a generated image has a cost but no usage
+    await manager.saveMessage('c', { role: 'user', content: 'A lighthouse' }, { userId: 'ada' });
+    await manager.saveMessage('c', { role: 'assistant', content: [], provider: 'openai', model: 'dall-e-3', cost }, { userId: 'ada' });
+
+    const report = await manager.getCostReport({
+      userId: 'ada',
+      groupBy: 'model',
+      charges: [{ provider: 'openai', model: 'dall-e-3', userId: 'ada', timestamp: new Date().toISOString(), cost }]
+    });
+
+    expect(report.total).toMatchObject({ cost: 0.04, messages: 1 });
+    expect(report.groups).toEqual([expect.objectContaining({ key: 'dall-e-3', cost: 0.04, unpricedMessages: 0 })]);
+
+    await manager.deleteConversation('c');
+    const afterDelete = await manager.getCostReport({
+      userId: 'ada',
+      charges: [{ provider: 'openai', model: 'dall-e-3', userId: 'ada', timestamp: new Date().toISOString(), cost }]
+    });
+    expect(afterDelete.total.cost).toBe(0.04);
+  });
+});
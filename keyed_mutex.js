@@ -0,0 +1,33 @@
+// Serializes async work per key: tasks for the same key run one after another,
+// tasks for different keys run concurrently. Only guards this process.
+class KeyedMutex {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  async runExclusive(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    try {
+      await previous;
+      return await task();
+    } finally {
+      release();
+      // Drop the entry once nothing else is queued behind us
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+
+  isLocked(key) {
+    return this.tails.has(key);
+  }
+}
+
+module.exports = KeyedMutex;
@@ -0,0 +1,50 @@
+const KeyedMutex = require('../utils/keyedMutex');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('KeyedMutex', () => {
+  it('runs tasks for the same key one after another', async () => {
+    const mutex = new KeyedMutex();
+    const events = [];
+    const task = (name) => async () => {
+      events.push(`${name} start`);
+      await tick();
+      events.push(`${name} end`);
+      return name;
+    };
+
+    const results = await Promise.all([
+      mutex.runExclusive('a', task('first')),
+      mutex.runExclusive('a', task('second'))
+    ]);
+
+    expect(results).toEqual(['first', 'second']);
+    expect(events).toEqual(['first start', 'first end', 'second start', 'second end']);
+  });
+
+  it('runs tasks for different keys concurrently', async () => {
+    const mutex = new KeyedMutex();
+    const events = [];
+    const task = (name) => async () => {
+      events.push(`${name} start`);
+      await tick();
+      events.push(`${name} end`);
+    };
+
+    await Promise.all([mutex.runExclusive('a', task('a')), mutex.runExclusive('b', task('b'))]);
+
+    expect(events.slice(0, 2)).toEqual(['a start', 'b start']);
+  });
+
+  it('releases the key when a task fails and forgets idle keys', async () => {
+    const mutex = new KeyedMutex();
+
+    const failed = mutex.runExclusive('a', async () => { throw new Error('boom'); });
+    const next = mutex.runExclusive('a', async () => 'ran');
+
+    expect(mutex.isLocked('a')).toBe(true);
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ran');
+    expect(mutex.isLocked('a')).toBe(false);
+  });
+});
@@ -1,5 +1,6 @@
 const winston = require('winston');
 const path = require('path');
+const { getRequestId } = require('./requestContext');
 
 // Create logs directory if it doesn't exist
 const fs = require('fs');
@@ -8,8 +9,18 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Tags entries logged while handling a request with that request's ID
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) {
+    info.requestId = requestId;
+  }
+  return info;
+});
+
 // Custom format for logs
 const logFormat = winston.format.combine(
+  requestIdFormat(),
   winston.format.timestamp({
     format: 'YYYY-MM-DD HH:mm:ss'
   }),
@@ -20,6 +31,7 @@ const logFormat = winston.format.combine(
 
 // Console format for development
 const consoleFormat = winston.format.combine(
+  requestIdFormat(),
   winston.format.colorize(),
   winston.format.timestamp({
     format: 'HH:mm:ss'
@@ -0,0 +1,51 @@
+const StorageAdapter = require('./storageAdapter');
+
+// Keeps everything in process memory - useful for tests and throwaway deployments
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super('memory');
+    this.conversations = new Map();
+    this.metadata = new Map();
+  }
+
+  // Copy on the way in and out so callers can't mutate stored state
+  clone(value) {
+    return value === null || value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  async getMessages(conversationId) {
+    return this.conversations.has(conversationId)
+      ? this.clone(this.conversations.get(conversationId))
+      : null;
+  }
+
+  async saveMessages(conversationId, messages) {
+    this.conversations.set(conversationId, this.clone(messages));
+  }
+
+  async deleteMessages(conversationId) {
+    return this.conversations.delete(conversationId);
+  }
+
+  async listConversationIds() {
+    return Array.from(this.conversations.keys());
+  }
+
+  async getMetadata(conversationId) {
+    return this.metadata.has(conversationId) ? this.clone(this.metadata.get(conversationId)) : null;
+  }
+
+  async getAllMetadata() {
+    return this.clone(Object.fromEntries(this.metadata));
+  }
+
+  async saveMetadata(conversationId, data) {
+    this.metadata.set(conversationId, this.clone(data));
+  }
+
+  async deleteMetadata(conversationId) {
+    this.metadata.delete(conversationId);
+  }
+}
+
+module.exports = MemoryStorageAdapter;
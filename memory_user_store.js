@@ -0,0 +1,180 @@
+const UserStore = require('./userStore');
+const { UserExistsError } = require('./userStore');
+
+// Keeps accounts in process memory - useful for tests and throwaway deployments
+class MemoryUserStore extends UserStore {
+  constructor(name = 'memory') {
+    super(name);
+    this.users = new Map();
+    this.refreshTokens = new Map();
+    this.revokedAccessTokens = new Map(); // jti -> expiresAt
+    this.apiKeys = new Map();
+    this.usage = new Map(); // counterKey -> { tokens, expiresAt }
+  }
+
+  // Copy on the way in and out so callers can't mutate stored state
+  clone(value) {
+    return value === null || value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  usernameKey(username) {
+    return String(username).toLowerCase();
+  }
+
+  async getUser(userId) {
+    return this.clone(this.users.get(userId)) || null;
+  }
+
+  async findUserByUsername(username) {
+    const key = this.usernameKey(username);
+    for (const user of this.users.values()) {
+      if (this.usernameKey(user.username) === key) {
+        return this.clone(user);
+      }
+    }
+    return null;
+  }
+
+  async createUser(user) {
+    // Check and insert without awaiting in between so two registrations can't both win
+    const key = this.usernameKey(user.username);
+    for (const existing of this.users.values()) {
+      if (this.usernameKey(existing.username) === key) {
+        throw new UserExistsError(user.username);
+      }
+    }
+
+    this.users.set(user.id, this.clone(user));
+    await this.persist();
+    return this.clone(user);
+  }
+
+  async getRefreshToken(tokenId) {
+    return this.clone(this.refreshTokens.get(tokenId)) || null;
+  }
+
+  async saveRefreshToken(token) {
+    this.refreshTokens.set(token.id, this.clone(token));
+    await this.persist();
+  }
+
+  // filter: { familyId } or { userId }; returns how many tokens were revoked
+  async revokeRefreshTokens(filter, revokedAt = new Date().toISOString()) {
+    let revoked = 0;
+
+    for (const token of this.refreshTokens.values()) {
+      const matches = Object.entries(filter).every(([field, value]) => token[field] === value);
+      if (matches && !token.revokedAt) {
+        token.revokedAt = revokedAt;
+        revoked++;
+      }
+    }
+
+    if (revoked > 0) {
+      await this.persist();
+    }
+    return revoked;
+  }
+
+  async revokeAccessToken(jti, expiresAt) {
+    this.revokedAccessTokens.set(jti, expiresAt);
+    await this.persist();
+  }
+
+  async isAccessTokenRevoked(jti) {
+    return this.revokedAccessTokens.has(jti);
+  }
+
+  async getApiKey(keyId) {
+    return this.clone(this.apiKeys.get(keyId)) || null;
+  }
+
+  async findApiKeyByPrefix(prefix) {
+    for (const apiKey of this.apiKeys.values()) {
+      if (apiKey.prefix === prefix) {
+        return this.clone(apiKey);
+      }
+    }
+    return null;
+  }
+
+  async listApiKeys(userId) {
+    return this.clone(Array.from(this.apiKeys.values())
+      .filter(apiKey => userId === undefined || apiKey.userId === userId));
+  }
+
+  async saveApiKey(apiKey) {
+    this.apiKeys.set(apiKey.id, this.clone(apiKey));
+    await this.persist();
+  }
+
+  async touchApiKey(keyId, lastUsedAt) {
+    const apiKey = this.apiKeys.get(keyId);
+    if (!apiKey) return;
+
+    apiKey.lastUsedAt = lastUsedAt;
+    await this.persist();
+  }
+
+  async getUsage(counterKeys) {
+    const now = Date.now();
+    return Object.fromEntries(counterKeys.map(key => {
+      const counter = this.usage.get(key);
+      const live = counter && new Date(counter.expiresAt).getTime() > now;
+      return [key, live ? counter.tokens : 0];
+    }));
+  }
+
+  // counters: [{ key, expiresAt }]
+  async addUsage(counters, tokens) {
+    const now = Date.now();
+    for (const { key, expiresAt } of counters) {
+      const counter = this.usage.get(key);
+      const live = counter && new Date(counter.expiresAt).getTime() > now;
+      this.usage.set(key, { tokens: (live ? counter.tokens : 0) + tokens, expiresAt });
+    }
+    await this.persistUsage();
+  }
+
+  async pruneExpired(now = new Date()) {
+    const cutoff = now.getTime();
+    let pruned = 0;
+
+    for (const [id, token] of this.refreshTokens) {
+      if (new Date(token.expiresAt).getTime() < cutoff) {
+        this.refreshTokens.delete(id);
+        pruned++;
+      }
+    }
+
+    // A revoked access token only needs remembering until it would have expired anyway
+    for (const [jti, expiresAt] of this.revokedAccessTokens) {
+      if (new Date(expiresAt).getTime() < cutoff) {
+        this.revokedAccessTokens.delete(jti);
+        pruned++;
+      }
+    }
+
+    for (const [key, counter] of this.usage) {
+      if (new Date(counter.expiresAt).getTime() < cutoff) {
+        this.usage.delete(key);
+        pruned++;
+      }
+    }
+
+    if (pruned > 0) {
+      await this.persist();
+    }
+    return pruned;
+  }
+
+  // Durable subclasses write their state here
+  async persist() {}
+
+  // Usage changes on every request; stores may write it back less eagerly
+  async persistUsage() {
+    await this.persist();
+  }
+}
+
+module.exports = MemoryUserStore;
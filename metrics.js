@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const client = require('prom-client');
+const logger = require('./logger');
+const { classifyError } = require('./resilience');
+const providerRegistry = require('../services/providerRegistry');
+
+const register = new client.Registry();
+
+// process_resident_memory_bytes, nodejs_heap_size_*_bytes, event loop lag, GC...
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route and status (SSE requests last for the whole stream)',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register]
+});
+
+const upstreamRequests = new client.Counter({
+  name: 'upstream_requests_total',
+  help: 'Calls to AI providers by outcome',
+  labelNames: ['provider', 'model', 'operation', 'outcome'],
+  registers: [register]
+});
+
+const upstreamErrors = new client.Counter({
+  name: 'upstream_errors_total',
+  help: 'Failed calls to AI providers by error type',
+  labelNames: ['provider', 'model', 'operation', 'type'],
+  registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'AI provider call latency, including retries',
+  labelNames: ['provider', 'model', 'operation'],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+  registers: [register]
+});
+
+const tokens = new client.Counter({
+  name: 'ai_tokens_total',
+  help: 'Tokens reported by AI providers',
+  labelNames: ['provider', 'model', 'type'],
+  registers: [register]
+});
+
+const timeToFirstToken = new client.Histogram({
+  name: 'stream_time_to_first_token_seconds',
+  help: 'Time from starting a streamed request to its first chunk',
+  labelNames: ['provider', 'model'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 20],
+  registers: [register]
+});
+
+const activeStreams = new client.Gauge({
+  name: 'sse_active_connections',
+  help: 'Server-Sent Events streams currently open',
+  registers: [register]
+});
+
+// Route patterns (/api/conversations/:id) instead of URLs keep label cardinality bounded
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// Same for models a client picked: versioned names count under the listed
+// model and anything the registry doesn't list is 'other'
+const modelLabel = (provider, model) => providerRegistry.resolveModel(provider, model) || 'other';
+
+// Bearer token check for the scrape endpoint, in constant time
+const checkToken = (header, token) => {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const presented = Buffer.from(header || '');
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+};
+
+const httpMiddleware = (req, res, next) => {
+  const end = httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+    httpRequests.inc(labels);
+    end(labels);
+  });
+
+  next();
+};
+
+const recordUsage = (provider, model, usage) => {
+  if (!usage) return;
+  tokens.inc({ provider, model, type: 'prompt' }, usage.prompt_tokens || 0);
+  tokens.inc({ provider, model, type: 'completion' }, usage.completion_tokens || 0);
+  logger.logAIRequest(provider, model, usage);
+};
+
+const recordUpstreamError = (provider, model, operation, error) => {
+  const type = (error.classification || classifyError(error)).type;
+  upstreamRequests.inc({ provider, model, operation, outcome: 'error' });
+  upstreamErrors.inc({ provider, model, operation, type });
+};
+
+// Times a non-streaming provider call and counts its outcome and tokens.
+// model is the requested model; versioned names from responses would explode cardinality,
+// and a model that comes from the request should go through modelLabel first.
+const trackUpstream = async (provider, model, operation, call) => {
+  const end = upstreamDuration.startTimer({ provider, model, operation });
+
+  try {
+    const result = await call();
+    end();
+    upstreamRequests.inc({ provider, model, operation, outcome: 'success' });
+    recordUsage(provider, model, result && result.usage);
+    return result;
+  } catch (error) {
+    end();
+    recordUpstreamError(provider, model, operation, error);
+    throw error;
+  }
+};
+
+// Streams report through callbacks, so the route drives this tracker:
+// chunk() on every chunk, then complete(usage), fail(error) or cancel(usage) once
+const trackStream = (provider, model) => {
+  const labels = { provider, model, operation: 'stream' };
+  const endDuration = upstreamDuration.startTimer(labels);
+  const endFirstToken = timeToFirstToken.startTimer({ provider, model });
+  let firstChunk = true;
+  let finished = false;
+
+  const finish = () => {
+    if (finished) return false;
+    finished = true;
+    endDuration();
+    return true;
+  };
+
+  return {
+    chunk() {
+      if (firstChunk) {
+        firstChunk = false;
+        endFirstToken();
+      }
+    },
+    complete(usage) {
+      if (!finish()) return;
+      upstreamRequests.inc({ ...labels, outcome: 'success' });
+      recordUsage(provider, model, usage);
+    },
+    fail(error) {
+      if (!finish()) return;
+      recordUpstreamError(provider, model, 'stream', error);
+    },
+    // Stopped by the client; usage is what the partial reply is estimated to have cost
+    cancel(usage) {
+      if (!finish()) return;
+      upstreamRequests.inc({ ...labels, outcome: 'cancelled' });
+      recordUsage(provider, model, usage);
+    }
+  };
+};
+
+// Counts an SSE response as open until the client or the server closes it
+const trackSseConnection = (res) => {
+  activeStreams.inc();
+  res.once('close', () => activeStreams.dec());
+};
+
+module.exports = {
+  register,
+  httpMiddleware,
+  trackUpstream,
+  trackStream,
+  trackSseConnection,
+  modelLabel,
+  checkToken
+};
@@ -0,0 +1,72 @@
+const { EventEmitter } = require('events');
+const metrics = require('../utils/metrics');
+
+const value = async (name, labels) => {
+  const metric = (await metrics.register.getMetricsAsJSON()).find(entry => entry.name === name);
+  const sample = metric && metric.values.find(entry => Object.entries(labels).every(([key, label]) => entry.labels[key] === label));
+  return sample ? sample.value : 0;
+};
+
+describe('metrics', () => {
+  it('labels models by the registry entry they resolve to', () => {
+    expect(metrics.modelLabel('openai', 'gpt-4')).toBe('gpt-4');
+    expect(metrics.modelLabel('anthropic', 'claude-3-haiku-20240307')).toBe('claude-3-haiku');
+    expect(metrics.modelLabel('openai', 'made-up-model-1234')).toBe('other');
+    expect(metrics.modelLabel('llama', 'gpt-4')).toBe('other');
+  });
+
+  it('checks the scrape token exactly', () => {
+    expect(metrics.checkToken('Bearer s3cret', 's3cret')).toBe(true);
+    expect(metrics.checkToken('Bearer s3cre', 's3cret')).toBe(false);
+    expect(metrics.checkToken('Bearer s3creT', 's3cret')).toBe(false);
+    expect(metrics.checkToken(undefined, 's3cret')).toBe(false);
+  });
+
+  it('counts provider calls, their tokens and their failures', async () => {
+    const labels = { provider: 'openai', model: 'gpt-4', operation: 'generate' };
+
+    await metrics.trackUpstream('openai', 'gpt-4', 'generate', async () => ({ usage: { prompt_tokens: 12, completion_tokens: 3 } }));
+    const failure = Object.assign(new Error('Too many requests'), { status: 429 });
+    await expect(metrics.trackUpstream('openai', 'gpt-4', 'generate', () => Promise.reject(failure))).rejects.toBe(failure);
+
+    expect(await value('upstream_requests_total', { ...labels, outcome: 'success' })).toBe(1);
+    expect(await value('upstream_requests_total', { ...labels, outcome: 'error' })).toBe(1);
+    expect(await value('upstream_errors_total', { ...labels, type: 'rate_limit' })).toBe(1);
+    expect(await value('ai_tokens_total', { provider: 'openai', model: 'gpt-4', type: 'prompt' })).toBe(12);
+    expect(await value('ai_tokens_total', { provider: 'openai', model: 'gpt-4', type: 'completion' })).toBe(3);
+  });
+
+  it('settles a stream once', async () => {
+    const stream = metrics.trackStream('mistral', 'mistral-small');
+
+    stream.chunk();
+    stream.complete({ prompt_tokens: 5, completion_tokens: 7 });
+    stream.fail(new Error('late error'));
+    stream.complete({ prompt_tokens: 5, completion_tokens: 7 });
+
+    const labels = { provider: 'mistral', model: 'mistral-small', operation: 'stream' };
+    expect(await value('upstream_requests_total', { ...labels, outcome: 'success' })).toBe(1);
+    expect(await value('upstream_requests_total', { ...labels, outcome: 'error' })).toBe(0);
+    expect(await value('ai_tokens_total', { provider: 'mistral', model: 'mistral-small', type: 'completion' })).toBe(7);
+  });
+
+  it('labels HTTP requests by route pattern', async () => {
+    const req = { method: 'GET', baseUrl: '/api', route: { path: '/conversations/:id' } };
+    const res = Object.assign(new EventEmitter(), { statusCode: 404 });
+
+    metrics.httpMiddleware(req, res, () => {});
+    res.emit('finish');
+
+    expect(await value('http_requests_total', { route: '/api/conversations/:id', status: 404 })).toBe(1);
+  });
+
+  it('tracks open SSE connections', async () => {
+    const res = new EventEmitter();
+
+    metrics.trackSseConnection(res);
+    expect(await value('sse_active_connections', {})).toBe(1);
+
+    res.emit('close');
+    expect(await value('sse_active_connections', {})).toBe(0);
+  });
+});
@@ -1,13 +1,128 @@
 // middleware/validation.js
 const logger = require('../utils/logger');
+const providerRegistry = require('../services/providerRegistry');
+const fallbackChain = require('../services/fallbackChain');
+const { SCOPES } = require('../services/apiKeyService');
+const contextWindow = require('../utils/contextWindow');
+const { TOOL_CHOICES } = require('../utils/toolCalls');
+const contentParts = require('../utils/contentParts');
+const { IMAGE_MODELS, DEFAULT_IMAGE_MODEL } = require('../services/openaiService');
+const { embedderTypes } = require('../utils/embedders');
+
+// Content parts: [{ type: 'text', text }, { type: 'image', data + mimeType | url | attachmentId }]
+// Returns an error message, or null after trimming the text parts
+const validateContentParts = (parts) => {
+  if (parts.length === 0) {
+    return 'Message must contain at least one part';
+  }
+
+  for (const part of parts) {
+    if (!part || typeof part !== 'object') {
+      return 'Each message part must be an object';
+    }
+
+    if (part.type === 'text') {
+      if (typeof part.text !== 'string' || part.text.trim().length === 0) {
+        return 'Text parts need non-empty text';
+      }
+      part.text = part.text.trim();
+    } else if (part.type === 'image') {
+      const sources = ['data', 'url', 'attachmentId'].filter(key => part[key] !== undefined);
+      if (sources.length !== 1) {
+        return 'Image parts need exactly one of data, url or attachmentId';
+      }
+
+      if (part.data !== undefined && !contentParts.isBase64(part.data)) {
+        return 'Image data must be base64 encoded';
+      }
+      if (part.url !== undefined) {
+        const inline = contentParts.parseDataUrl(part.url);
+        if (!inline || !contentParts.IMAGE_MIME_TYPES.includes(inline.mimeType)) {
+          return `Image urls must be base64 data URLs of type ${contentParts.IMAGE_MIME_TYPES.join(', ')}`;
+        }
+      }
+      if (part.attachmentId !== undefined && typeof part.attachmentId !== 'string') {
+        return 'AttachmentId must be a string';
+      }
+      if (part.mimeType !== undefined && !contentParts.IMAGE_MIME_TYPES.includes(part.mimeType)) {
+        return `Image mimeType must be one of: ${contentParts.IMAGE_MIME_TYPES.join(', ')}`;
+      }
+    } else {
+      return 'Message part type must be text or image';
+    }
+  }
+
+  if (contentParts.countImages(parts) > contentParts.MAX_IMAGES_PER_MESSAGE) {
+    return `A message can carry at most ${contentParts.MAX_IMAGES_PER_MESSAGE} images`;
+  }
+
+  if (contentParts.textOf(parts).length > 10000) {
+    return 'Message is too long (max 10,000 characters)';
+  }
+
+  return null;
+};
+
+// Conversation IDs double as file names in the file store
+const CONVERSATION_ID_PATTERN = /^[\w-]{1,128}$/;
+
+const isValidConversationId = (id) => typeof id === 'string' && CONVERSATION_ID_PATTERN.test(id);
+
+// Registered with app.param so every /:id route rejects malformed IDs up front
+const validateConversationId = (req, res, next, id) => {
+  if (!isValidConversationId(id)) {
+    return res.status(400).json({
+      error: 'Invalid conversation ID'
+    });
+  }
+
+  next();
+};
 
 const validateChatRequest = (req, res, next) => {
-  const { message, provider, model } = req.body;
+  const { message, toolResults } = req.body;
+
+  // A turn may just answer the tool calls of the previous reply
+  if (toolResults !== undefined) {
+    if (!Array.isArray(toolResults) || toolResults.length === 0 || toolResults.length > 64) {
+      return res.status(400).json({
+        error: 'ToolResults must be a non-empty array of at most 64 results'
+      });
+    }
+
+    const invalidResult = toolResults.find(result =>
+      !result || typeof result.toolCallId !== 'string' || result.content === undefined
+    );
+    if (invalidResult !== undefined) {
+      return res.status(400).json({
+        error: 'Each tool result needs a toolCallId and content'
+      });
+    }
+
+    // Structured results are passed to the model as JSON text
+    req.body.toolResults = toolResults.map(result => ({
+      toolCallId: result.toolCallId,
+      name: typeof result.name === 'string' ? result.name : undefined,
+      content: typeof result.content === 'string' ? result.content : JSON.stringify(result.content)
+    }));
+
+    if (message === undefined) {
+      return validateGenerationOptions(req, res, next);
+    }
+  }
+
+  if (Array.isArray(message)) {
+    const partsError = validateContentParts(message);
+    if (partsError) {
+      return res.status(400).json({ error: partsError });
+    }
+    return validateGenerationOptions(req, res, next);
+  }
 
   // Validate required fields
   if (!message || typeof message !== 'string') {
     return res.status(400).json({ 
-      error: 'Message is required and must be a string' 
+      error: 'Message is required and must be a string or an array of content parts' 
     });
   }
 
@@ -23,13 +138,43 @@ const validateChatRequest = (req, res, next) => {
     });
   }
 
+  // Sanitize inputs
+  req.body.message = message.trim();
+
+  validateGenerationOptions(req, res, next);
+};
+
+// Provider options shared by every route that generates a reply
+const validateGenerationOptions = (req, res, next) => {
+  const { provider } = req.body;
+
   // Validate provider if specified
-  if (provider && !['anthropic', 'openai', 'gemini', 'mistral', 'cohere'].includes(provider.toLowerCase())) {
+  if (provider && !providerRegistry.has(provider)) {
     return res.status(400).json({ 
       error: 'Invalid AI provider specified' 
     });
   }
 
+  // Validate fallback chain if specified: ["provider:model", { provider, model }, ...]
+  if (req.body.fallback !== undefined) {
+    if (!Array.isArray(req.body.fallback) || req.body.fallback.length === 0) {
+      return res.status(400).json({
+        error: 'Fallback must be a non-empty array of providers'
+      });
+    }
+
+    const invalidEntry = req.body.fallback.find(entry => {
+      const entryProvider = typeof entry === 'string' ? entry.split(':')[0].trim() : entry?.provider;
+      return !providerRegistry.has(entryProvider);
+    });
+
+    if (invalidEntry !== undefined) {
+      return res.status(400).json({
+        error: 'Invalid AI provider in fallback chain'
+      });
+    }
+  }
+
   // Validate temperature if specified
   if (req.body.temperature !== undefined) {
     const temp = parseFloat(req.body.temperature);
@@ -52,6 +197,101 @@ const validateChatRequest = (req, res, next) => {
     req.body.maxTokens = tokens;
   }
 
+  // Validate context window options if specified
+  if (req.body.contextStrategy !== undefined &&
+      !contextWindow.strategies.includes(req.body.contextStrategy)) {
+    return res.status(400).json({
+      error: `ContextStrategy must be one of: ${contextWindow.strategies.join(', ')}`
+    });
+  }
+
+  if (req.body.keepFirst !== undefined) {
+    const keepFirst = parseInt(req.body.keepFirst);
+    if (isNaN(keepFirst) || keepFirst < 0 || keepFirst > 50) {
+      return res.status(400).json({
+        error: 'KeepFirst must be a number between 0 and 50'
+      });
+    }
+    req.body.keepFirst = keepFirst;
+  }
+
+  // Validate tools if specified: [{ name, description, parameters (JSON Schema) }]
+  const { tools, toolChoice } = req.body;
+  if (tools !== undefined) {
+    if (!Array.isArray(tools) || tools.length === 0 || tools.length > 64) {
+      return res.status(400).json({
+        error: 'Tools must be a non-empty array of at most 64 tools'
+      });
+    }
+
+    const invalidTool = tools.find(tool =>
+      !tool ||
+      typeof tool.name !== 'string' ||
+      !/^[\w-]{1,64}$/.test(tool.name) ||
+      (tool.description !== undefined && typeof tool.description !== 'string') ||
+      (tool.parameters !== undefined && (typeof tool.parameters !== 'object' || tool.parameters === null || Array.isArray(tool.parameters)))
+    );
+    if (invalidTool !== undefined) {
+      return res.status(400).json({
+        error: 'Each tool needs a name (letters, numbers, _ or -) and may have a description and JSON Schema parameters'
+      });
+    }
+
+    if (new Set(tools.map(tool => tool.name)).size !== tools.length) {
+      return res.status(400).json({
+        error: 'Tool names must be unique'
+      });
+    }
+
+    // Any provider the request may fall back to has to be able to call tools too
+    const unsupported = fallbackChain.resolve(req.body)
+      .find(entry => !providerRegistry.supports(entry.provider, 'functionCalling'));
+    if (unsupported) {
+      return res.status(400).json({
+        error: `Provider ${unsupported.provider} does not support tool calling`
+      });
+    }
+  }
+
+  if (toolChoice !== undefined) {
+    const namedChoice = toolChoice !== null && typeof toolChoice === 'object' && typeof toolChoice.name === 'string';
+
+    if (!TOOL_CHOICES.includes(toolChoice) && !namedChoice) {
+      return res.status(400).json({
+        error: `ToolChoice must be one of: ${TOOL_CHOICES.join(', ')} or { name }`
+      });
+    }
+
+    if (namedChoice && !(tools || []).some(tool => tool.name === toolChoice.name)) {
+      return res.status(400).json({
+        error: 'ToolChoice must name one of the tools'
+      });
+    }
+  }
+
+  // Validate retrieval collections if specified
+  if (req.body.collectionIds !== undefined) {
+    const { collectionIds } = req.body;
+    if (!Array.isArray(collectionIds) || collectionIds.length === 0 || collectionIds.length > 10 ||
+        collectionIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({
+        error: 'CollectionIds must be a non-empty array of at most 10 collection IDs'
+      });
+    }
+    req.body.collectionIds = Array.from(new Set(collectionIds));
+  }
+
+  // Images need a vision model somewhere in the chain that may answer
+  if (contentParts.hasImages({ content: req.body.message })) {
+    const chain = fallbackChain.resolve(req.body);
+    if (!chain.some(entry => providerRegistry.supports(entry.provider, 'vision', entry.model))) {
+      return res.status(400).json({
+        error: `${chain.map(entry => `${entry.provider}:${entry.model}`).join(', ')} cannot read images`,
+        visionModels: providerRegistry.getModelsWithCapability('vision')
+      });
+    }
+  }
+
   // Validate conversationId if specified
   if (req.body.conversationId && typeof req.body.conversationId !== 'string') {
     return res.status(400).json({ 
@@ -59,8 +299,13 @@ const validateChatRequest = (req, res, next) => {
     });
   }
 
+  if (req.body.conversationId && !isValidConversationId(req.body.conversationId)) {
+    return res.status(400).json({
+      error: 'Invalid conversation ID'
+    });
+  }
+
   // Sanitize inputs
-  req.body.message = message.trim();
   if (req.body.systemPrompt) {
     req.body.systemPrompt = req.body.systemPrompt.trim();
   }
@@ -68,8 +313,59 @@ const validateChatRequest = (req, res, next) => {
   next();
 };
 
+const validateCollectionRequest = (req, res, next) => {
+  const { name, description, embedder } = req.body;
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    return res.status(400).json({
+      error: 'Name is required and must be at most 100 characters'
+    });
+  }
+
+  if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+    return res.status(400).json({
+      error: 'Description must be a string of at most 500 characters'
+    });
+  }
+
+  if (embedder !== undefined && !embedderTypes.includes(embedder)) {
+    return res.status(400).json({
+      error: `Embedder must be one of: ${embedderTypes.join(', ')}`
+    });
+  }
+
+  req.body.name = name.trim();
+  next();
+};
+
+// Optional Whisper hints sent as form fields next to the audio
+const validateTranscriptionRequest = (req, res, next) => {
+  const { language, prompt } = req.body;
+
+  if (language !== undefined && !/^[a-z]{2}$/.test(language)) {
+    return res.status(400).json({
+      error: 'Language must be an ISO-639-1 code such as en or de'
+    });
+  }
+
+  if (prompt !== undefined && (typeof prompt !== 'string' || prompt.length > 1000)) {
+    return res.status(400).json({
+      error: 'Prompt must be a string of at most 1,000 characters'
+    });
+  }
+
+  next();
+};
+
 const validateImageRequest = (req, res, next) => {
-  const { prompt, size, quality } = req.body;
+  const { prompt, model = DEFAULT_IMAGE_MODEL, size, quality, n } = req.body;
+  const imageModel = IMAGE_MODELS[model];
+
+  if (!imageModel) {
+    return res.status(400).json({
+      error: `Image model must be one of: ${Object.keys(IMAGE_MODELS).join(', ')}`
+    });
+  }
 
   if (!prompt || typeof prompt !== 'string') {
     return res.status(400).json({ 
@@ -83,29 +379,143 @@ const validateImageRequest = (req, res, next) => {
     });
   }
 
-  if (size && !['256x256', '512x512', '1024x1024', '1792x1024', '1024x1792'].includes(size)) {
+  if (prompt.trim().length > imageModel.maxPromptLength) {
+    return res.status(400).json({
+      error: `Prompt is too long for ${model} (max ${imageModel.maxPromptLength} characters)`
+    });
+  }
+
+  if (size && !imageModel.sizes.includes(size)) {
     return res.status(400).json({ 
-      error: 'Invalid image size specified' 
+      error: `Invalid image size for ${model}; use one of: ${imageModel.sizes.join(', ')}` 
     });
   }
 
-  if (quality && !['standard', 'hd'].includes(quality)) {
+  if (quality && !imageModel.qualities.includes(quality)) {
     return res.status(400).json({ 
-      error: 'Invalid image quality specified' 
+      error: `Invalid image quality for ${model}; use one of: ${imageModel.qualities.join(', ')}` 
+    });
+  }
+
+  if (n !== undefined) {
+    const count = parseInt(n);
+    if (isNaN(count) || count < 1 || count > imageModel.maxImages) {
+      return res.status(400).json({
+        error: `N must be a number between 1 and ${imageModel.maxImages} for ${model}`
+      });
+    }
+    req.body.n = count;
+  }
+
+  if (req.body.conversationId !== undefined && typeof req.body.conversationId !== 'string') {
+    return res.status(400).json({
+      error: 'ConversationId must be a string'
+    });
+  }
+
+  if (req.body.conversationId && !isValidConversationId(req.body.conversationId)) {
+    return res.status(400).json({
+      error: 'Invalid conversation ID'
     });
   }
 
   req.body.prompt = prompt.trim();
+  req.body.model = model;
+  req.body.size = size || imageModel.sizes[0];
+  req.body.quality = quality || imageModel.qualities[0];
+  next();
+};
+
+const validateCredentials = (req, res, next) => {
+  const { username, password } = req.body;
+
+  if (!username || typeof username !== 'string' || !/^[\w.-]{3,50}$/.test(username.trim())) {
+    return res.status(400).json({
+      error: 'Username must be 3-50 characters of letters, numbers, dots, dashes or underscores'
+    });
+  }
+
+  if (!password || typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({
+      error: 'Password must be a string of at least 8 characters'
+    });
+  }
+
+  // bcrypt ignores everything past 72 bytes
+  if (Buffer.byteLength(password) > 72) {
+    return res.status(400).json({
+      error: 'Password is too long (max 72 bytes)'
+    });
+  }
+
+  req.body.username = username.trim();
+  next();
+};
+
+const validateApiKeyRequest = (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    return res.status(400).json({
+      error: 'Name is required and must be at most 100 characters'
+    });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({
+      error: 'Scopes must be a non-empty array'
+    });
+  }
+
+  const unknownScopes = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    return res.status(400).json({
+      error: `Unknown scopes: ${unknownScopes.join(', ')}. Expected any of: ${SCOPES.join(', ')}`
+    });
+  }
+
+  for (const field of ['dailyTokenLimit', 'monthlyTokenLimit']) {
+    if (req.body[field] !== undefined) {
+      const limit = parseInt(req.body[field]);
+      if (isNaN(limit) || limit < 1) {
+        return res.status(400).json({
+          error: `${field.charAt(0).toUpperCase()}${field.slice(1)} must be a positive number`
+        });
+      }
+      req.body[field] = limit;
+    }
+  }
+
+  if (expiresInDays !== undefined) {
+    const days = parseInt(expiresInDays);
+    if (isNaN(days) || days < 1 || days > 3650) {
+      return res.status(400).json({
+        error: 'ExpiresInDays must be a number between 1 and 3650'
+      });
+    }
+    req.body.expiresInDays = days;
+  }
+
+  req.body.name = name.trim();
   next();
 };
 
 module.exports = {
   validateChatRequest,
-  validateImageRequest
+  validateGenerationOptions,
+  validateImageRequest,
+  validateTranscriptionRequest,
+  validateCollectionRequest,
+  validateConversationId,
+  isValidConversationId,
+  validateCredentials,
+  validateApiKeyRequest
 };
 
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
+const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
 const logger = require('../utils/logger');
 
 const authenticateToken = (req, res, next) => {
@@ -121,48 +531,375 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       logger.warn('Invalid token attempt:', err.message);
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
 
+    // Tokens revoked by logout stay valid signatures until they expire
+    try {
+      if (user.jti && await authService.isAccessTokenRevoked(user.jti)) {
+        return res.status(401).json({ error: 'Token has been revoked' });
+      }
+    } catch (error) {
+      logger.error('Token revocation check failed:', error);
+      return res.status(500).json({ error: 'Failed to verify token' });
+    }
+
     req.user = user;
     next();
   });
 };
 
-const generateToken = (userData) => {
-  if (!process.env.JWT_SECRET) {
-    throw new Error('JWT_SECRET not configured');
-  }
+const generateToken = (userData) => authService.signAccessToken(userData);
 
-  return jwt.sign(
-    { 
-      id: userData.id, 
-      username: userData.username 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' }
-  );
+// The /api/auth routes issue JWTs, so they only work with a JWT secret
+const requireTokenAuth = (req, res, next) => {
+  if (!authService.isConfigured()) {
+    return res.status(503).json({ error: 'Token authentication is not configured' });
+  }
+  next();
 };
 
-const authenticateApiKey = (req, res, next) => {
+const authenticateApiKey = async (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
   
-  if (!process.env.API_KEY) {
+  if (!process.env.API_KEY && !apiKeyService.hasActiveKeys()) {
     return next(); // Skip if no API key configured
   }
 
-  if (!apiKey || apiKey !== process.env.API_KEY) {
+  if (!apiKey) {
     return res.status(401).json({ error: 'Invalid API key' });
   }
 
+  // The shared API_KEY acts as a single service account with every scope
+  if (process.env.API_KEY && apiKeyService.safeEqual(apiKey, process.env.API_KEY)) {
+    req.user = {
+      id: process.env.API_KEY_USER_ID || 'api-key',
+      authMethod: 'apikey',
+      serviceAccount: true,
+      scopes: ['admin']
+    };
+    return next();
+  }
+
+  try {
+    const record = await apiKeyService.verify(apiKey);
+
+    if (!record) {
+      logger.warn('Invalid API key attempt', { prefix: String(apiKey).split('_').slice(0, 2).join('_') });
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    // Managed keys act on behalf of the user who created them
+    req.user = {
+      id: record.userId,
+      authMethod: 'apikey',
+      apiKeyId: record.id,
+      scopes: record.scopes,
+      limits: record.limits
+    };
+    next();
+  } catch (error) {
+    logger.error('API key verification failed:', error);
+    res.status(500).json({ error: 'Failed to verify API key' });
+  }
+};
+
+const authStrategies = {
+  jwt: {
+    isConfigured: () => Boolean(process.env.JWT_SECRET),
+    isPresent: (req) => Boolean(req.headers['authorization']),
+    handler: authenticateToken
+  },
+  apikey: {
+    isConfigured: () => Boolean(process.env.API_KEY) || apiKeyService.hasActiveKeys(),
+    isPresent: (req) => Boolean(req.headers['x-api-key']),
+    handler: authenticateApiKey
+  }
+};
+
+// AUTH_STRATEGIES=jwt,apikey picks the strategies and the order they are tried.
+// Unset means every strategy with a configured secret; none configured means auth is off.
+const getAuthStrategies = () => {
+  const requested = process.env.AUTH_STRATEGIES
+    ? process.env.AUTH_STRATEGIES.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : Object.keys(authStrategies);
+
+  return requested.filter(name => {
+    if (!authStrategies[name]) {
+      logger.warn(`Ignoring unknown auth strategy: ${name}`);
+      return false;
+    }
+    // A strategy without its secret would let every request through
+    return authStrategies[name].isConfigured();
+  });
+};
+
+const authenticate = (req, res, next) => {
+  const strategies = getAuthStrategies();
+
+  if (strategies.length === 0) {
+    return next();
+  }
+
+  // Use the first strategy whose credentials the client actually sent
+  const strategy = strategies.find(name => authStrategies[name].isPresent(req));
+
+  if (!strategy) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  authStrategies[strategy].handler(req, res, next);
+};
+
+// Scopes only restrict API keys; a logged-in user (or open access) can do everything
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.user || !req.user.scopes || apiKeyService.hasScope(req.user.scopes, scope)) {
+    return next();
+  }
+
+  res.status(403).json({ error: `API key is missing the required scope: ${scope}` });
+};
+
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
   next();
 };
 
+// Routes key conversations by req.user; without auth everyone shares the anonymous owner
+const getUserId = (req) => (req.user && req.user.id !== undefined ? String(req.user.id) : null);
+
+// Operators: the shared API_KEY service account and the users in ADMIN_USER_IDS.
+// Unlike the admin scope, which any user can put on their own keys, nothing a
+// user can set up grants this.
+const isAdmin = (req) => {
+  if (!req.user) return false;
+  if (req.user.serviceAccount) return true;
+
+  const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  return adminIds.includes(getUserId(req));
+};
+
 module.exports = {
+  authenticate,
   authenticateToken,
   generateToken,
-  authenticateApiKey
-};
\ No newline at end of file
+  requireTokenAuth,
+  authenticateApiKey,
+  requireScope,
+  requireUser,
+  getAuthStrategies,
+  getUserId,
+  isAdmin
+};
+
+// middleware/ownership.js
+const conversationManager = require('../utils/conversationManager');
+const retrievalService = require('../services/retrievalService');
+const apiKeyService = require('../services/apiKeyService');
+const { getUserId } = require('./auth');
+const logger = require('../utils/logger');
+
+// Checks the conversation in req.params.id (or req.body.conversationId) belongs
+// to the caller. Other users' conversations are reported as missing.
+const requireConversationOwner = async (req, res, next) => {
+  const conversationId = req.params.id || req.body?.conversationId;
+
+  if (!conversationId) {
+    return next();
+  }
+
+  try {
+    const access = await conversationManager.getAccess(conversationId, getUserId(req));
+
+    if (access === 'forbidden') {
+      logger.warn('Blocked access to another user\'s conversation', {
+        conversationId,
+        userId: getUserId(req)
+      });
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Conversation ownership check failed:', error);
+    res.status(500).json({ error: 'Failed to verify conversation access' });
+  }
+};
+
+// Chats that retrieve from collections need read access to each of them
+const requireCollectionAccess = async (req, res, next) => {
+  const { collectionIds } = req.body || {};
+
+  if (!collectionIds) {
+    return next();
+  }
+
+  if (req.user && req.user.scopes && !apiKeyService.hasScope(req.user.scopes, 'collections:read')) {
+    return res.status(403).json({ error: 'API key is missing the required scope: collections:read' });
+  }
+
+  try {
+    for (const collectionId of collectionIds) {
+      if (!await retrievalService.getOwnedCollection(collectionId, getUserId(req))) {
+        return res.status(404).json({ error: `Collection not found: ${collectionId}` });
+      }
+    }
+    next();
+  } catch (error) {
+    logger.error('Collection access check failed:', error);
+    res.status(500).json({ error: 'Failed to verify collection access' });
+  }
+};
+
+module.exports = {
+  requireConversationOwner,
+  requireCollectionAccess
+};
+
+// middleware/quota.js
+const quotaManager = require('../utils/quotaManager');
+const logger = require('../utils/logger');
+
+// Rejects the request before it reaches a provider once any of the caller's
+// token budgets (user or API key, daily or monthly) is used up
+const enforceQuota = async (req, res, next) => {
+  try {
+    const exceeded = await quotaManager.check(req.user);
+
+    if (exceeded) {
+      const retryAfter = Math.max(Math.ceil((new Date(exceeded.resetsAt) - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `${exceeded.period === 'daily' ? 'Daily' : 'Monthly'} token quota exceeded`,
+        code: 'quota_exceeded',
+        quota: {
+          scope: exceeded.type,
+          period: exceeded.period,
+          limit: exceeded.limit,
+          used: exceeded.used,
+          resetsAt: exceeded.resetsAt
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Quota check failed:', error);
+    res.status(500).json({ error: 'Failed to check token quota' });
+  }
+};
+
+module.exports = {
+  enforceQuota
+};
+
+// middleware/upload.js
+const path = require('path');
+const multer = require('multer');
+const logger = require('../utils/logger');
+const attachmentStore = require('../utils/attachmentStore');
+const { AUDIO_MIME_TYPES, normalizeMimeType } = require('../utils/audioFormats');
+
+const DOCUMENT_MIME_TYPES = ['text/plain', 'text/markdown', 'text/x-markdown'];
+const DOCUMENT_EXTENSIONS = ['.txt', '.md', '.markdown'];
+const DOCUMENT_MAX_BYTES = parseInt(process.env.DOCUMENT_MAX_BYTES || String(2 * 1024 * 1024));
+
+// Uploads stay in memory: they go on to storage and upstream as buffers.
+// accepts(file) decides on the declared type; rejected files are reported by handleUpload.
+const createUpload = ({ maxBytes, accepts }) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxBytes, files: 1, fields: 32 },
+  fileFilter: (req, file, cb) => {
+    const accepted = accepts(file);
+    if (!accepted) {
+      req.rejectedMimeType = file.mimetype;
+    }
+    cb(null, accepted);
+  }
+});
+
+// One file in the given field; the other form fields end up in req.body as strings
+const handleUpload = (upload, { field, label, maxBytes, mimeTypes, required = true }) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: `${label} is too large (max ${maxBytes} bytes)`
+        });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (error) {
+      logger.error(`${label} upload failed:`, error);
+      return res.status(400).json({ error: 'Failed to read the upload' });
+    }
+
+    if (req.rejectedMimeType) {
+      return res.status(415).json({
+        error: `Unsupported ${label.toLowerCase()} type ${req.rejectedMimeType}; use one of: ${mimeTypes.join(', ')}`
+      });
+    }
+
+    if (!req.file && required) {
+      return res.status(400).json({
+        error: `Send the ${label.toLowerCase()} as multipart/form-data in the "${field}" field`
+      });
+    }
+
+    next();
+  });
+};
+
+const uploadAudio = handleUpload(
+  createUpload({
+    maxBytes: attachmentStore.maxAudioBytes,
+    accepts: (file) => AUDIO_MIME_TYPES.includes(normalizeMimeType(file.mimetype))
+  }),
+  { field: 'audio', label: 'Audio', maxBytes: attachmentStore.maxAudioBytes, mimeTypes: AUDIO_MIME_TYPES }
+);
+
+// A text or Markdown file in the "file" field, or JSON { name, text } instead.
+// Browsers often send .md files as application/octet-stream, so the extension counts too.
+const uploadDocument = handleUpload(
+  createUpload({
+    maxBytes: DOCUMENT_MAX_BYTES,
+    accepts: (file) => DOCUMENT_MIME_TYPES.includes(normalizeMimeType(file.mimetype)) ||
+      DOCUMENT_EXTENSIONS.includes(path.extname(file.originalname || '').toLowerCase())
+  }),
+  { field: 'file', label: 'Document', maxBytes: DOCUMENT_MAX_BYTES, mimeTypes: DOCUMENT_MIME_TYPES, required: false }
+);
+
+// Form fields are strings; turn the structured chat options back into values
+const JSON_FORM_FIELDS = ['fallback', 'tools', 'toolChoice', 'toolResults', 'collectionIds'];
+
+const parseFormFields = (req, res, next) => {
+  for (const field of JSON_FORM_FIELDS) {
+    const value = req.body[field];
+    if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+      try {
+        req.body[field] = JSON.parse(value);
+      } catch (error) {
+        return res.status(400).json({ error: `${field} must be valid JSON` });
+      }
+    }
+  }
+
+  if (typeof req.body.includeHistory === 'string') {
+    req.body.includeHistory = req.body.includeHistory !== 'false';
+  }
+
+  next();
+};
+
+module.exports = {
+  uploadAudio,
+  uploadDocument,
+  parseFormFields,
+  DOCUMENT_MAX_BYTES
+};
@@ -0,0 +1,138 @@
+// scripts/migrateConversations.js
+// Copies conversations from one storage backend into another, e.g.
+//   npm run migrate-conversations -- --to sqlite
+//   npm run migrate-conversations -- --from file --to mongodb --overwrite
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { createStorageAdapter, storageTypes } = require('../utils/storageAdapters');
+const logger = require('../utils/logger');
+
+const parseArgs = (argv) => {
+  const args = { from: 'file', to: null, overwrite: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from':
+        args.from = argv[++i];
+        break;
+      case '--to':
+        args.to = argv[++i];
+        break;
+      case '--overwrite':
+        args.overwrite = true;
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!args.to) {
+    throw new Error(`--to is required (one of: ${storageTypes.join(', ')})`);
+  }
+
+  if (args.from === args.to) {
+    throw new Error('Source and target storage must differ');
+  }
+
+  return args;
+};
+
+// A conversation whose metadata entry was lost still has its messages; without
+// an entry the target backend would store it but never list it
+const rebuildMetadata = (messages) => {
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+  const title = (first.content || '').replace(/[^\w\s]/gi, '').trim().split(' ').slice(0, 5).join(' ');
+
+  return {
+    createdAt: first.createdAt || first.timestamp || new Date().toISOString(),
+    messageCount: messages.length,
+    title: title || 'New Conversation',
+    lastUpdated: last.createdAt || last.timestamp || new Date().toISOString(),
+    lastMessage: {
+      role: last.role,
+      content: last.content.substring(0, 100) + (last.content.length > 100 ? '...' : ''),
+      timestamp: last.timestamp
+    },
+    // Messages carry their owner, so the rebuilt entry keeps the conversation private
+    userId: (messages.find(msg => msg.userId) || {}).userId || null
+  };
+};
+
+const migrate = async ({ from, to, overwrite, dryRun }) => {
+  const source = createStorageAdapter(from);
+  const target = createStorageAdapter(to);
+
+  await source.init();
+  await target.init();
+
+  const stats = { migrated: 0, skipped: 0, failed: 0 };
+
+  try {
+    const conversationIds = await source.listConversationIds();
+    const metadata = await source.getAllMetadata();
+
+    logger.info(`Migrating ${conversationIds.length} conversations from ${from} to ${to}${dryRun ? ' (dry run)' : ''}`);
+
+    for (const conversationId of conversationIds) {
+      try {
+        if (!overwrite && await target.getMessages(conversationId)) {
+          stats.skipped += 1;
+          continue;
+        }
+
+        const messages = await source.getMessages(conversationId) || [];
+        let conversationMetadata = metadata[conversationId];
+
+        if (!conversationMetadata && messages.length > 0) {
+          logger.warn(`Rebuilding missing metadata for conversation ${conversationId}`);
+          conversationMetadata = rebuildMetadata(messages);
+        }
+
+        if (!dryRun) {
+          await target.saveMessages(conversationId, messages);
+          if (conversationMetadata) {
+            await target.saveMetadata(conversationId, conversationMetadata);
+          }
+        }
+
+        stats.migrated += 1;
+      } catch (error) {
+        stats.failed += 1;
+        logger.error(`Failed to migrate conversation ${conversationId}:`, error);
+      }
+    }
+  } finally {
+    await source.close();
+    await target.close();
+  }
+
+  return stats;
+};
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  migrate(args)
+    .then((stats) => {
+      logger.info('Migration complete', stats);
+      process.exit(stats.failed > 0 ? 1 : 0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate, rebuildMetadata };
@@ -0,0 +1,70 @@
+const MemoryStorageAdapter = require('../utils/memoryStorageAdapter');
+
+const stores = {};
+jest.mock('../utils/storageAdapters', () => ({
+  createStorageAdapter: (type) => stores[type]
+}));
+
+const { migrate } = require('../scripts/migrateConversations');
+
+const message = (role, content, createdAt) => ({ role, content, createdAt, timestamp: createdAt });
+
+describe('migrate', () => {
+  beforeEach(async () => {
+    stores.file = new MemoryStorageAdapter();
+    stores.sqlite = new MemoryStorageAdapter();
+
+    await stores.file.saveMessages('listed', [message('user', 'Hello', '2024-01-01T00:00:00.000Z')]);
+    await stores.file.saveMetadata('listed', { title: 'Hello', messageCount: 1 });
+  });
+
+  it('copies messages and metadata into the target backend', async () => {
+    const stats = await migrate({ from: 'file', to: 'sqlite' });
+
+    expect(stats).toEqual({ migrated: 1, skipped: 0, failed: 0 });
+    expect(await stores.sqlite.getMessages('listed')).toEqual(await stores.file.getMessages('listed'));
+    expect(await stores.sqlite.getMetadata('listed')).toEqual({ title: 'Hello', messageCount: 1 });
+  });
+
+  it('rebuilds metadata for conversations that lost their entry', async () => {
+    await stores.file.saveMessages('orphan', [
+      message('user', 'What is a monad?', '2024-01-02T00:00:00.000Z'),
+      message('assistant', 'A monoid in the category of endofunctors.', '2024-01-02T00:01:00.000Z')
+    ]);
+
+    await migrate({ from: 'file', to: 'sqlite' });
+
+    expect(await stores.sqlite.getMetadata('orphan')).toEqual({
+      createdAt: '2024-01-02T00:00:00.000Z',
+      messageCount: 2,
+      title: 'What is a monad',
+      lastUpdated: '2024-01-02T00:01:00.000Z',
+      lastMessage: {
+        role: 'assistant',
+        content: 'A monoid in the category of endofunctors.',
+        timestamp: '2024-01-02T00:01:00.000Z'
+      },
+      userId: null
+    });
+  });
+
+  it('keeps the owner of a conversation whose metadata is rebuilt', async () => {
+    await stores.file.saveMessages('owned', [{ ...message('user', 'Mine', '2024-01-03T00:00:00.000Z'), userId: 'u1' }]);
+
+    await migrate({ from: 'file', to: 'sqlite' });
+
+    expect((await stores.sqlite.getMetadata('owned')).userId).toBe('u1');
+  });
+
+  it('skips conversations the target already has unless asked to overwrite', async () => {
+    await stores.sqlite.saveMessages('listed', []);
+
+    expect(await migrate({ from: 'file', to: 'sqlite' })).toMatchObject({ migrated: 0, skipped: 1 });
+    expect(await migrate({ from: 'file', to: 'sqlite', overwrite: true })).toMatchObject({ migrated: 1, skipped: 0 });
+  });
+
+  it('writes nothing on a dry run', async () => {
+    expect(await migrate({ from: 'file', to: 'sqlite', dryRun: true })).toMatchObject({ migrated: 1 });
+    expect(await stores.sqlite.listConversationIds()).toEqual([]);
+  });
+});
@@ -1,5 +1,8 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const ProviderError = require('../utils/providerError');
+const resilience = require('../utils/resilience');
+const { getUpstreamHeaders } = require('../utils/requestContext');
 
 class MistralService {
   constructor() {
@@ -11,7 +14,7 @@ class MistralService {
     try {
       const mistralMessages = this.formatMessages(messages, systemPrompt);
       
-      const response = await axios.post(`${this.baseURL}/chat/completions`, {
+      const response = await resilience.execute('mistral', () => axios.post(`${this.baseURL}/chat/completions`, {
         model,
         messages: mistralMessages,
         temperature,
@@ -21,9 +24,10 @@ class MistralService {
       }, {
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...getUpstreamHeaders()
         }
-      });
+      }));
 
       const data = response.data;
       
@@ -38,50 +42,74 @@ class MistralService {
       };
     } catch (error) {
       logger.error('Mistral API error:', error.response?.data || error.message);
-      throw new Error(`Mistral API error: ${error.response?.data?.message || error.message}`);
+      throw ProviderError.from('mistral', 'Mistral API error', error);
     }
   }
 
-  async streamResponse({ messages, model = 'mistral-large-latest', systemPrompt, temperature = 0.7, onChunk, onComplete, onError }) {
+  async streamResponse({ messages, model = 'mistral-large-latest', systemPrompt, temperature = 0.7, maxTokens = 1000, signal, onChunk, onComplete, onError }) {
     try {
       const mistralMessages = this.formatMessages(messages, systemPrompt);
       
-      const response = await axios.post(`${this.baseURL}/chat/completions`, {
+      const response = await resilience.execute('mistral', () => axios.post(`${this.baseURL}/chat/completions`, {
         model,
         messages: mistralMessages,
         temperature,
-        max_tokens: 1000,
+        max_tokens: maxTokens,
         stream: true
       }, {
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...getUpstreamHeaders()
         },
-        responseType: 'stream'
-      });
+        responseType: 'stream',
+        signal
+      }), { signal });
 
       let fullContent = '';
+      let responseModel = model;
       let usage = null;
+      let buffer = '';
+
+      // Resolve only once the upstream stream has finished so callers can await it
+      await new Promise((resolve, reject) => {
+        let finished = false;
+
+        const finish = () => {
+          if (finished) return;
+          finished = true;
+          onComplete({
+            content: fullContent,
+            model: responseModel,
+            usage: {
+              prompt_tokens: usage?.prompt_tokens || 0,
+              completion_tokens: usage?.completion_tokens || 0,
+              total_tokens: usage?.total_tokens || 0
+            }
+          });
+          resolve();
+        };
 
-      response.data.on('data', (chunk) => {
-        const lines = chunk.toString().split('\n').filter(line => line.trim());
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
+        response.data.on('data', (chunk) => {
+          // SSE lines can be split across network chunks, keep the remainder
+          buffer += chunk.toString();
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            if (!line.startsWith('data: ')) continue;
+
+            const data = line.slice(6).trim();
             
             if (data === '[DONE]') {
-              onComplete({
-                content: fullContent,
-                model,
-                usage
-              });
+              finish();
               return;
             }
             
             try {
               const parsed = JSON.parse(data);
-              const content = parsed.choices[0]?.delta?.content || '';
+              const content = parsed.choices?.[0]?.delta?.content || '';
+              responseModel = parsed.model || responseModel;
               
               if (content) {
                 fullContent += content;
@@ -95,16 +123,35 @@ class MistralService {
               // Ignore parsing errors for incomplete chunks
             }
           }
-        }
-      });
+        });
 
-      response.data.on('error', (error) => {
-        onError(error);
+        response.data.on('end', finish);
+
+        response.data.on('error', (error) => {
+          if (finished) return;
+          finished = true;
+          reject(error);
+        });
+
+        // Stop reading at once; the caller keeps what onChunk already delivered
+        const stop = () => {
+          if (finished) return;
+          finished = true;
+          response.data.destroy();
+          resolve();
+        };
+        if (signal?.aborted) {
+          stop();
+        } else {
+          signal?.addEventListener('abort', stop, { once: true });
+        }
       });
 
     } catch (error) {
-      logger.error('Mistral streaming error:', error);
-      onError(error);
+      // Cancelled by the caller, which keeps what onChunk already delivered
+      if (signal?.aborted) return;
+      logger.error('Mistral streaming error:', error.response?.status || error.message);
+      onError(ProviderError.from('mistral', 'Mistral API error', error));
     }
   }
 
@@ -139,7 +186,7 @@ class MistralService {
       }));
     } catch (error) {
       logger.error('Failed to get Mistral models:', error);
-      throw new Error(`Failed to get Mistral models: ${error.message}`);
+      throw ProviderError.from('mistral', 'Failed to get Mistral models', error);
     }
   }
 
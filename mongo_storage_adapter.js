@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const StorageAdapter = require('./storageAdapter');
+const logger = require('./logger');
+
+const conversationSchema = new mongoose.Schema({
+  _id: { type: String },
+  messages: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: null }
+}, {
+  collection: 'conversations',
+  minimize: false,
+  versionKey: false
+});
+
+// MongoDB backend - one document per conversation holding messages and metadata
+class MongoStorageAdapter extends StorageAdapter {
+  constructor({ uri } = {}) {
+    super('mongodb');
+    this.uri = uri || process.env.MONGODB_URI || 'mongodb://localhost:27017/chatbot';
+    this.connection = null;
+    this.Conversation = null;
+  }
+
+  async init() {
+    // A dedicated connection keeps this adapter independent of any global mongoose setup
+    this.connection = await mongoose.createConnection(this.uri).asPromise();
+    this.Conversation = this.connection.model('Conversation', conversationSchema);
+    logger.info('MongoDB conversation storage connected');
+  }
+
+  async close() {
+    if (this.connection) {
+      await this.connection.close();
+      this.connection = null;
+    }
+  }
+
+  async getMessages(conversationId) {
+    const doc = await this.Conversation.findById(conversationId, { messages: 1 }).lean();
+    // A document can exist with metadata only; treat that as "no messages stored"
+    return doc && doc.messages.length > 0 ? doc.messages : null;
+  }
+
+  async saveMessages(conversationId, messages) {
+    await this.Conversation.updateOne(
+      { _id: conversationId },
+      { $set: { messages } },
+      { upsert: true }
+    );
+  }
+
+  async deleteMessages(conversationId) {
+    const result = await this.Conversation.updateOne(
+      { _id: conversationId },
+      { $set: { messages: [] } }
+    );
+    await this.Conversation.deleteOne({ _id: conversationId, metadata: null });
+    return result.modifiedCount > 0;
+  }
+
+  async listConversationIds() {
+    const docs = await this.Conversation.find({ 'messages.0': { $exists: true } }, { _id: 1 }).lean();
+    return docs.map(doc => doc._id);
+  }
+
+  async getMetadata(conversationId) {
+    const doc = await this.Conversation.findById(conversationId, { metadata: 1 }).lean();
+    return doc ? doc.metadata : null;
+  }
+
+  async getAllMetadata() {
+    const docs = await this.Conversation.find({ metadata: { $ne: null } }, { metadata: 1 }).lean();
+    return docs.reduce((metadata, doc) => {
+      metadata[doc._id] = doc.metadata;
+      return metadata;
+    }, {});
+  }
+
+  async saveMetadata(conversationId, data) {
+    await this.Conversation.updateOne(
+      { _id: conversationId },
+      { $set: { metadata: data } },
+      { upsert: true }
+    );
+  }
+
+  async deleteMetadata(conversationId) {
+    await this.Conversation.updateOne(
+      { _id: conversationId },
+      { $set: { metadata: null } }
+    );
+    await this.Conversation.deleteOne({ _id: conversationId, 'messages.0': { $exists: false } });
+  }
+}
+
+module.exports = MongoStorageAdapter;
@@ -1,29 +1,83 @@
 const OpenAI = require('openai');
+const { toFile } = require('openai');
 const logger = require('../utils/logger');
+const ProviderError = require('../utils/providerError');
+const resilience = require('../utils/resilience');
+const { getUpstreamHeaders } = require('../utils/requestContext');
+const toolCalls = require('../utils/toolCalls');
+const { AUDIO_FORMATS } = require('../utils/audioFormats');
+
+// What each image model accepts; prices are USD per image, keyed quality:size
+const IMAGE_MODELS = {
+  'dall-e-3': {
+    sizes: ['1024x1024', '1792x1024', '1024x1792'],
+    qualities: ['standard', 'hd'],
+    maxImages: 1,
+    maxPromptLength: 4000,
+    prices: {
+      'standard:1024x1024': 0.04,
+      'standard:1792x1024': 0.08,
+      'standard:1024x1792': 0.08,
+      'hd:1024x1024': 0.08,
+      'hd:1792x1024': 0.12,
+      'hd:1024x1792': 0.12
+    }
+  },
+  'dall-e-2': {
+    sizes: ['256x256', '512x512', '1024x1024'],
+    qualities: ['standard'],
+    maxImages: 10,
+    maxPromptLength: 1000,
+    prices: {
+      'standard:256x256': 0.016,
+      'standard:512x512': 0.018,
+      'standard:1024x1024': 0.02
+    }
+  }
+};
+const DEFAULT_IMAGE_MODEL = 'dall-e-3';
+
+// Transcription models, USD per minute of audio
+const TRANSCRIPTION_PRICES = {
+  'whisper-1': 0.006
+};
 
 class OpenAIService {
   constructor() {
     this.client = new OpenAI({
       apiKey: process.env.OPENAI_API_KEY,
+      maxRetries: 0 // Retries are handled by the shared resilience layer
     });
   }
 
-  async generateResponse({ messages, model = 'gpt-4', systemPrompt, temperature = 0.7, maxTokens = 1000 }) {
+  async generateResponse({ messages, model = 'gpt-4', systemPrompt, temperature = 0.7, maxTokens = 1000, tools, toolChoice }) {
     try {
-      const openaiMessages = this.formatMessages(messages, systemPrompt);
+      const useTools = toolCalls.shouldUseTools(tools, toolChoice);
+      const openaiMessages = this.formatMessages(useTools ? messages : toolCalls.flattenToolMessages(messages), systemPrompt);
       
-      const response = await this.client.chat.completions.create({
+      const response = await resilience.execute('openai', () => this.client.chat.completions.create({
         model,
         messages: openaiMessages,
         temperature,
         max_tokens: maxTokens,
         top_p: 1,
         frequency_penalty: 0,
-        presence_penalty: 0
-      });
+        presence_penalty: 0,
+        ...(useTools ? this.formatTools(tools, toolChoice) : {})
+      }, { headers: getUpstreamHeaders() }));
+
+      const choice = response.choices[0];
+      const calls = (choice.message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: toolCalls.parseArguments(call.function.arguments)
+      }));
 
       return {
-        content: response.choices[0].message.content,
+        // content is null when the model only calls tools
+        content: choice.message.content || '',
+        ...(calls.length > 0 ? { toolCalls: calls } : {}),
+        finishReason: choice.finish_reason,
         model: response.model,
         usage: {
           prompt_tokens: response.usage.prompt_tokens,
@@ -33,53 +87,106 @@ class OpenAIService {
       };
     } catch (error) {
       logger.error('OpenAI API error:', error);
-      throw new Error(`OpenAI API error: ${error.message}`);
+      throw ProviderError.from('openai', 'OpenAI API error', error);
     }
   }
 
-  async streamResponse({ messages, model = 'gpt-4', systemPrompt, temperature = 0.7, onChunk, onComplete, onError }) {
+  async streamResponse({ messages, model = 'gpt-4', systemPrompt, temperature = 0.7, maxTokens = 1000, tools, toolChoice, signal, onChunk, onComplete, onError }) {
     try {
-      const openaiMessages = this.formatMessages(messages, systemPrompt);
+      const useTools = toolCalls.shouldUseTools(tools, toolChoice);
+      const openaiMessages = this.formatMessages(useTools ? messages : toolCalls.flattenToolMessages(messages), systemPrompt);
       
-      const stream = await this.client.chat.completions.create({
+      const stream = await resilience.execute('openai', () => this.client.chat.completions.create({
         model,
         messages: openaiMessages,
         temperature,
-        max_tokens: 1000,
-        stream: true
-      });
+        max_tokens: maxTokens,
+        ...(useTools ? this.formatTools(tools, toolChoice) : {}),
+        stream: true,
+        // Usage is sent in a final chunk with no choices
+        stream_options: { include_usage: true }
+      }, { headers: getUpstreamHeaders(), signal }), { signal });
 
       let fullContent = '';
+      let responseModel = model;
       let usage = null;
+      let finishReason = null;
+      // Tool calls arrive in fragments keyed by index: id and name first, then arguments
+      const pendingCalls = [];
 
       for await (const chunk of stream) {
+        responseModel = chunk.model || responseModel;
+
         const content = chunk.choices[0]?.delta?.content || '';
         if (content) {
           fullContent += content;
           onChunk(content);
         }
+
+        for (const fragment of chunk.choices[0]?.delta?.tool_calls || []) {
+          const call = pendingCalls[fragment.index] || (pendingCalls[fragment.index] = { id: '', name: '', arguments: '' });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.name += fragment.function.name;
+          if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+        }
+
+        finishReason = chunk.choices[0]?.finish_reason || finishReason;
         
-        if (chunk.choices[0]?.finish_reason === 'stop') {
+        if (chunk.usage) {
           usage = chunk.usage;
         }
       }
 
+      // An aborted SDK stream just stops yielding
+      if (signal?.aborted) return;
+
+      const calls = pendingCalls.filter(Boolean).map(call => ({
+        ...call,
+        arguments: toolCalls.parseArguments(call.arguments)
+      }));
+
       onComplete({
         content: fullContent,
-        model,
-        usage
+        ...(calls.length > 0 ? { toolCalls: calls } : {}),
+        finishReason,
+        model: responseModel,
+        usage: {
+          prompt_tokens: usage?.prompt_tokens || 0,
+          completion_tokens: usage?.completion_tokens || 0,
+          total_tokens: usage?.total_tokens || 0
+        }
       });
     } catch (error) {
+      // Cancelled by the caller, which keeps what onChunk already delivered
+      if (signal?.aborted) return;
       logger.error('OpenAI streaming error:', error);
-      onError(error);
+      onError(ProviderError.from('openai', 'OpenAI API error', error));
     }
   }
 
   formatMessages(messages, systemPrompt) {
-    const formattedMessages = messages.map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }));
+    const formattedMessages = messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+      }
+
+      if (msg.role === 'assistant' && toolCalls.hasToolCalls(msg)) {
+        return {
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: toolCalls.stringifyArguments(call.arguments) }
+          }))
+        };
+      }
+
+      return {
+        role: msg.role,
+        content: this.formatContent(msg.content)
+      };
+    });
 
     if (systemPrompt) {
       formattedMessages.unshift({
@@ -91,42 +198,77 @@ class OpenAIService {
     return formattedMessages;
   }
 
-  async generateImage({ prompt, size = '1024x1024', quality = 'standard', n = 1 }) {
+  // Images are sent inline as data URLs
+  formatContent(content) {
+    if (!Array.isArray(content)) return content;
+
+    return content.map(part => (part.type === 'image'
+      ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+      : { type: 'text', text: part.text }));
+  }
+
+  formatTools(tools, toolChoice = 'auto') {
+    return {
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters || { type: 'object', properties: {} }
+        }
+      })),
+      tool_choice: typeof toolChoice === 'object'
+        ? { type: 'function', function: { name: toolChoice.name } }
+        : toolChoice
+    };
+  }
+
+  // Images come back as base64 since OpenAI's URLs expire after an hour
+  async generateImage({ prompt, model = DEFAULT_IMAGE_MODEL, size = '1024x1024', quality = 'standard', n = 1 }) {
     try {
-      const response = await this.client.images.generate({
-        model: 'dall-e-3',
+      const response = await resilience.execute('openai', () => this.client.images.generate({
+        model,
         prompt,
         size,
-        quality,
-        n
-      });
+        // dall-e-2 rejects the parameter
+        ...(IMAGE_MODELS[model]?.qualities.length > 1 ? { quality } : {}),
+        n,
+        response_format: 'b64_json'
+      }, { headers: getUpstreamHeaders() }));
 
       return {
+        model,
         images: response.data.map(img => ({
-          url: img.url,
+          data: img.b64_json,
           revised_prompt: img.revised_prompt
         }))
       };
     } catch (error) {
       logger.error('OpenAI image generation error:', error);
-      throw new Error(`OpenAI image generation error: ${error.message}`);
+      throw ProviderError.from('openai', 'OpenAI image generation error', error);
     }
   }
 
-  async transcribeAudio({ audioBuffer, language }) {
+  // Whisper identifies the format by the file name, so it has to carry the right extension
+  async transcribeAudio({ audioBuffer, mimeType = 'audio/mpeg', language, prompt }) {
     try {
-      const transcription = await this.client.audio.transcriptions.create({
-        file: audioBuffer,
+      const transcription = await resilience.execute('openai', async () => this.client.audio.transcriptions.create({
+        file: await toFile(audioBuffer, `audio.${AUDIO_FORMATS[mimeType] || 'mp3'}`, { type: mimeType }),
         model: 'whisper-1',
-        language
-      });
+        language,
+        prompt,
+        response_format: 'verbose_json'
+      }, { headers: getUpstreamHeaders() }));
 
       return {
-        text: transcription.text
+        text: transcription.text,
+        language: transcription.language,
+        duration: transcription.duration,
+        model: 'whisper-1'
       };
     } catch (error) {
       logger.error('OpenAI transcription error:', error);
-      throw new Error(`OpenAI transcription error: ${error.message}`);
+      throw ProviderError.from('openai', 'OpenAI transcription error', error);
     }
   }
 
@@ -140,4 +282,7 @@ class OpenAIService {
   }
 }
 
-module.exports = new OpenAIService();
\ No newline at end of file
+module.exports = new OpenAIService();
+module.exports.IMAGE_MODELS = IMAGE_MODELS;
+module.exports.DEFAULT_IMAGE_MODEL = DEFAULT_IMAGE_MODEL;
+module.exports.TRANSCRIPTION_PRICES = TRANSCRIPTION_PRICES;
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Upstream errors keep the HTTP status and headers of the original failure so
+// callers can decide whether another attempt or another provider makes sense.
+class ProviderError extends Error {
+  constructor(message, { provider, status, code, type, headers, cause } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.type = type;
+    this.headers = headers || {};
+    this.cause = cause;
+  }
+
+  static from(provider, label, error) {
+    if (error instanceof ProviderError) {
+      return error;
+    }
+
+    const status = error.status ||
+      error.statusCode ||
+      error.response?.status ||
+      ProviderError.parseStatus(error.message);
+
+    const message = error.response?.data?.message || error.message;
+
+    return new ProviderError(`${label}: ${message}`, {
+      provider,
+      status,
+      code: error.code,
+      type: error.classification?.type,
+      headers: ProviderError.normalizeHeaders(error.headers || error.response?.headers),
+      cause: error
+    });
+  }
+
+  // Some SDKs (Gemini) only expose the status inside the message, e.g. "[429 Too Many Requests]"
+  static parseStatus(message = '') {
+    const match = /\[(\d{3})[^\]]*\]/.exec(message);
+    return match ? parseInt(match[1]) : undefined;
+  }
+
+  static normalizeHeaders(headers) {
+    if (!headers) return {};
+
+    if (typeof headers.entries === 'function' && typeof headers.get === 'function') {
+      return Object.fromEntries(headers.entries());
+    }
+
+    return Object.keys(headers).reduce((normalized, key) => {
+      normalized[key.toLowerCase()] = headers[key];
+      return normalized;
+    }, {});
+  }
+}
+
+module.exports = ProviderError;
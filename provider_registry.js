@@ -0,0 +1,250 @@
+const anthropicService = require('./anthropicService');
+const openaiService = require('./openaiService');
+const geminiService = require('./geminiService');
+const mistralService = require('./mistralService');
+const cohereService = require('./cohereService');
+
+// Versioned names such as claude-3-sonnet-20240229; the longest prefix wins
+const lookupModel = (table, model) => {
+  if (!model) return undefined;
+  if (table[model] !== undefined) return table[model];
+
+  const prefix = Object.keys(table)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? table[prefix] : undefined;
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProvider = null;
+  }
+
+  // contextWindows maps model names (or prefixes of the versioned names the APIs
+  // return) to their context size in tokens; contextWindow is the provider fallback.
+  // prices is keyed the same way: { input, output } in USD per 1K tokens.
+  // modelCapabilities overrides capabilities for some models, e.g. { 'gpt-4': { vision: false } }.
+  register({ name, models = [], defaultModel, capabilities = {}, modelCapabilities = {}, contextWindows = {}, contextWindow = 4096, prices = {}, service, isDefault = false }) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Provider name is required');
+    }
+
+    if (!service || typeof service.generateResponse !== 'function') {
+      throw new Error(`Provider ${name} must expose a generateResponse method`);
+    }
+
+    const key = name.toLowerCase();
+
+    this.providers.set(key, {
+      name: key,
+      models,
+      defaultModel: defaultModel || models[0],
+      capabilities: {
+        streaming: false,
+        vision: false,
+        functionCalling: false,
+        ...capabilities
+      },
+      modelCapabilities,
+      contextWindows,
+      contextWindow,
+      prices,
+      service
+    });
+
+    // First registered provider is the default unless another one claims it
+    if (isDefault || !this.defaultProvider) {
+      this.defaultProvider = key;
+    }
+
+    return this;
+  }
+
+  has(name) {
+    return typeof name === 'string' && this.providers.has(name.toLowerCase());
+  }
+
+  get(name) {
+    return this.has(name) ? this.providers.get(name.toLowerCase()) : null;
+  }
+
+  getService(name) {
+    const provider = this.get(name);
+    return provider ? provider.service : null;
+  }
+
+  getDefaultModel(name) {
+    const provider = this.get(name || this.defaultProvider);
+    return provider ? provider.defaultModel : null;
+  }
+
+  getProviderNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  getModels() {
+    const models = {};
+    for (const [name, provider] of this.providers) {
+      models[name] = provider.models;
+    }
+    return models;
+  }
+
+  // The listed model a name (or versioned name) stands for; null for anything
+  // the provider doesn't list
+  resolveModel(name, model) {
+    const provider = this.get(name);
+    if (!provider) return null;
+
+    const listed = Object.fromEntries(provider.models.map(listedModel => [listedModel, listedModel]));
+    return lookupModel(listed, model) || null;
+  }
+
+  getContextWindow(name, model) {
+    const provider = this.get(name);
+    if (!provider) return null;
+
+    return lookupModel(provider.contextWindows, model) || provider.contextWindow;
+  }
+
+  // null when the model has no known price
+  getPrice(name, model) {
+    const provider = this.get(name);
+    if (!provider) return null;
+
+    return lookupModel(provider.prices, model) || null;
+  }
+
+  getPrices() {
+    const prices = {};
+    for (const [name, provider] of this.providers) {
+      prices[name] = provider.prices;
+    }
+    return prices;
+  }
+
+  // Without a model this answers for the provider as a whole
+  supports(name, capability, model) {
+    const provider = this.get(name);
+    if (!provider) return false;
+
+    const overrides = lookupModel(provider.modelCapabilities, model);
+    if (overrides && overrides[capability] !== undefined) {
+      return Boolean(overrides[capability]);
+    }
+    return Boolean(provider.capabilities[capability]);
+  }
+
+  getModelsWithCapability(capability) {
+    const models = {};
+    for (const [name, provider] of this.providers) {
+      const supported = provider.models.filter(model => this.supports(name, capability, model));
+      if (supported.length > 0) {
+        models[name] = supported;
+      }
+    }
+    return models;
+  }
+
+  getProvidersWithCapability(capability) {
+    return this.getProviderNames().filter(name => this.supports(name, capability));
+  }
+}
+
+const registry = new ProviderRegistry();
+
+// Built-in providers. Adding a backend only requires another register() call.
+registry
+  .register({
+    name: 'anthropic',
+    models: ['claude-3-opus', 'claude-3-sonnet', 'claude-3-haiku'],
+    defaultModel: 'claude-3-sonnet',
+    capabilities: { streaming: true, vision: true, functionCalling: true },
+    contextWindow: 200000,
+    prices: {
+      'claude-3-opus': { input: 0.015, output: 0.075 },
+      'claude-3-sonnet': { input: 0.003, output: 0.015 },
+      'claude-3-haiku': { input: 0.00025, output: 0.00125 }
+    },
+    service: anthropicService,
+    isDefault: true
+  })
+  .register({
+    name: 'openai',
+    models: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'],
+    defaultModel: 'gpt-4',
+    capabilities: { streaming: true, vision: true, functionCalling: true },
+    // Only the turbo and vision-preview GPT-4 models take images
+    modelCapabilities: {
+      'gpt-4': { vision: false },
+      'gpt-4-turbo': { vision: true },
+      'gpt-4-vision': { vision: true },
+      'gpt-3.5-turbo': { vision: false }
+    },
+    contextWindows: {
+      'gpt-4': 8192,
+      'gpt-4-turbo': 128000,
+      'gpt-4-1106': 128000,
+      'gpt-4-0125': 128000,
+      'gpt-3.5-turbo': 16385
+    },
+    contextWindow: 8192,
+    prices: {
+      'gpt-4': { input: 0.03, output: 0.06 },
+      'gpt-4-turbo': { input: 0.01, output: 0.03 },
+      'gpt-4-1106': { input: 0.01, output: 0.03 },
+      'gpt-4-0125': { input: 0.01, output: 0.03 },
+      'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 }
+    },
+    service: openaiService
+  })
+  .register({
+    name: 'gemini',
+    models: ['gemini-pro', 'gemini-pro-vision'],
+    defaultModel: 'gemini-pro',
+    capabilities: { streaming: true, vision: true },
+    modelCapabilities: {
+      'gemini-pro': { vision: false },
+      'gemini-pro-vision': { vision: true }
+    },
+    contextWindows: {
+      'gemini-pro': 30720,
+      'gemini-pro-vision': 12288
+    },
+    contextWindow: 30720,
+    prices: {
+      'gemini-pro': { input: 0.0005, output: 0.0015 },
+      'gemini-pro-vision': { input: 0.0005, output: 0.0015 }
+    },
+    service: geminiService
+  })
+  .register({
+    name: 'mistral',
+    models: ['mistral-large', 'mistral-medium', 'mistral-small'],
+    defaultModel: 'mistral-large',
+    capabilities: { streaming: true },
+    contextWindow: 32000,
+    prices: {
+      'mistral-large': { input: 0.008, output: 0.024 },
+      'mistral-medium': { input: 0.0027, output: 0.0081 },
+      'mistral-small': { input: 0.002, output: 0.006 }
+    },
+    service: mistralService
+  })
+  .register({
+    name: 'cohere',
+    models: ['command', 'command-light', 'command-nightly'],
+    defaultModel: 'command',
+    capabilities: { streaming: true },
+    contextWindow: 4096,
+    prices: {
+      'command': { input: 0.001, output: 0.002 },
+      'command-light': { input: 0.0003, output: 0.0006 },
+      'command-nightly': { input: 0.001, output: 0.002 }
+    },
+    service: cohereService
+  });
+
+module.exports = registry;
@@ -0,0 +1,45 @@
+const providerRegistry = require('../services/providerRegistry');
+
+describe('providerRegistry', () => {
+  it('registers the five built-in providers with anthropic as the default', () => {
+    expect(providerRegistry.getProviderNames()).toEqual(['anthropic', 'openai', 'gemini', 'mistral', 'cohere']);
+    expect(providerRegistry.defaultProvider).toBe('anthropic');
+    expect(providerRegistry.getDefaultModel()).toBe('claude-3-sonnet');
+  });
+
+  it('looks providers up case-insensitively', () => {
+    expect(providerRegistry.has('OpenAI')).toBe(true);
+    expect(providerRegistry.get('OPENAI').name).toBe('openai');
+    expect(providerRegistry.getService('openai')).toBe(providerRegistry.get('openai').service);
+    expect(providerRegistry.has('unknown')).toBe(false);
+    expect(providerRegistry.has(undefined)).toBe(false);
+    expect(providerRegistry.getService('unknown')).toBeNull();
+  });
+
+  it('answers capability questions', () => {
+    expect(providerRegistry.supports('openai', 'streaming')).toBe(true);
+    expect(providerRegistry.supports('mistral', 'functionCalling')).toBe(false);
+    expect(providerRegistry.supports('unknown', 'streaming')).toBe(false);
+    expect(providerRegistry.getProvidersWithCapability('functionCalling')).toEqual(['anthropic', 'openai']);
+  });
+
+  it('lists the models of every provider', () => {
+    expect(providerRegistry.getModels().gemini).toEqual(['gemini-pro', 'gemini-pro-vision']);
+  });
+
+  it('adds a backend with one register call', () => {
+    const service = { generateResponse: async () => ({ content: 'hi' }) };
+    providerRegistry.register({ name: 'Local', models: ['tiny', 'small'], service });
+
+    expect(providerRegistry.getService('local')).toBe(service);
+    expect(providerRegistry.getDefaultModel('local')).toBe('tiny');
+    expect(providerRegistry.supports('local', 'streaming')).toBe(false);
+    // The first registered provider stays the default
+    expect(providerRegistry.defaultProvider).toBe('anthropic');
+  });
+
+  it('rejects providers without a name or a generateResponse method', () => {
+    expect(() => providerRegistry.register({ service: { generateResponse() {} } })).toThrow('Provider name is required');
+    expect(() => providerRegistry.register({ name: 'broken', service: {} })).toThrow('must expose a generateResponse method');
+  });
+});
@@ -0,0 +1,149 @@
+const authService = require('../services/authService');
+const logger = require('./logger');
+
+const PERIODS = ['daily', 'monthly'];
+
+// 0 or unset means unlimited
+const readLimit = (name) => {
+  const value = parseInt(process.env[name] || '0');
+  return isNaN(value) || value <= 0 ? null : value;
+};
+
+// Token budgets per user and per API key, over UTC calendar days and months.
+// Routes check the budget before calling a provider and debit the reported
+// usage afterwards, so concurrent requests can overshoot a budget slightly.
+class QuotaManager {
+  constructor(auth = authService) {
+    // Counters live in the same pluggable store as user accounts
+    this.store = auth.store;
+    this.ready = auth.ready;
+    this.lastPrunedDay = null;
+    // Work priced per image or per minute is debited as the tokens the same
+    // amount buys; the default matches $0.01 per 1K tokens
+    this.tokensPerUsd = parseInt(process.env.QUOTA_TOKENS_PER_USD || '100000');
+  }
+
+  defaultLimits(type) {
+    return type === 'apiKey'
+      ? { daily: readLimit('API_KEY_DAILY_TOKEN_LIMIT'), monthly: readLimit('API_KEY_MONTHLY_TOKEN_LIMIT') }
+      : { daily: readLimit('USER_DAILY_TOKEN_LIMIT'), monthly: readLimit('USER_MONTHLY_TOKEN_LIMIT') };
+  }
+
+  // A request counts against its user and, when made with a managed key, that key
+  getSubjects(user) {
+    if (!user || user.id === undefined) return [];
+
+    const subjects = [{ type: 'user', id: String(user.id), limits: this.defaultLimits('user') }];
+
+    if (user.apiKeyId) {
+      const defaults = this.defaultLimits('apiKey');
+      const own = user.limits || {};
+      subjects.push({
+        type: 'apiKey',
+        id: user.apiKeyId,
+        // Limits set on the key itself win over the defaults
+        limits: Object.fromEntries(PERIODS.map(period => [period, own[period] || defaults[period]]))
+      });
+    }
+
+    return subjects;
+  }
+
+  getPeriod(period, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+
+    if (period === 'daily') {
+      return {
+        label: now.toISOString().slice(0, 10),
+        resetsAt: new Date(Date.UTC(year, month, now.getUTCDate() + 1))
+      };
+    }
+
+    return {
+      label: now.toISOString().slice(0, 7),
+      resetsAt: new Date(Date.UTC(year, month + 1, 1))
+    };
+  }
+
+  counterKey(subject, period, now) {
+    return `${subject.type}:${subject.id}:${this.getPeriod(period, now).label}`;
+  }
+
+  // Resolves to one entry per subject with used/remaining tokens for each period
+  async getStatus(user) {
+    await this.ready;
+
+    const now = new Date();
+    const subjects = this.getSubjects(user);
+    const keys = subjects.flatMap(subject => PERIODS.map(period => this.counterKey(subject, period, now)));
+    const usage = await this.store.getUsage(keys);
+
+    return subjects.map(subject => ({
+      type: subject.type,
+      id: subject.id,
+      periods: Object.fromEntries(PERIODS.map(period => {
+        const used = usage[this.counterKey(subject, period, now)] || 0;
+        const limit = subject.limits[period] || null;
+        return [period, {
+          limit,
+          used,
+          remaining: limit === null ? null : Math.max(limit - used, 0),
+          resetsAt: this.getPeriod(period, now).resetsAt.toISOString()
+        }];
+      }))
+    }));
+  }
+
+  // Resolves to the first exhausted budget, or null if the request may go ahead
+  async check(user) {
+    const status = await this.getStatus(user);
+
+    for (const subject of status) {
+      for (const period of PERIODS) {
+        const budget = subject.periods[period];
+        if (budget.limit !== null && budget.used >= budget.limit) {
+          return { type: subject.type, id: subject.id, period, ...budget };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Usage to debit for a cost from calculateImageCost and the like
+  costUsage(cost) {
+    return { total_tokens: cost ? Math.ceil(cost.total * this.tokensPerUsd) : 0 };
+  }
+
+  // Debits a provider's normalized usage; never fails the request it belongs to
+  async record(user, usage) {
+    const tokens = usage && usage.total_tokens;
+    if (!tokens) return;
+
+    try {
+      await this.ready;
+      const now = new Date();
+      const counters = this.getSubjects(user).flatMap(subject => PERIODS.map(period => ({
+        key: this.counterKey(subject, period, now),
+        expiresAt: this.getPeriod(period, now).resetsAt.toISOString()
+      })));
+
+      if (counters.length > 0) {
+        await this.store.addUsage(counters, tokens);
+      }
+
+      // Counters from past periods are dead weight; clear them out once a day
+      const today = this.getPeriod('daily', now).label;
+      if (this.lastPrunedDay !== today) {
+        this.lastPrunedDay = today;
+        await this.store.pruneExpired(now);
+      }
+    } catch (error) {
+      logger.error('Failed to record token usage:', error);
+    }
+  }
+}
+
+module.exports = new QuotaManager();
+module.exports.QuotaManager = QuotaManager;
@@ -0,0 +1,148 @@
+process.env.CONVERSATION_STORE = 'memory';
+process.env.USER_STORE = 'memory';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuthService } = require('../services/authService');
+const { QuotaManager } = require('../utils/quotaManager');
+const MemoryUserStore = require('../utils/memoryUserStore');
+const FileUserStore = require('../utils/fileUserStore');
+const quotaManager = require('../utils/quotaManager');
+const { enforceQuota } = require('../middleware/quota');
+
+const LIMITS = ['USER_DAILY_TOKEN_LIMIT', 'USER_MONTHLY_TOKEN_LIMIT', 'API_KEY_DAILY_TOKEN_LIMIT', 'API_KEY_MONTHLY_TOKEN_LIMIT'];
+const usage = (total_tokens) => ({ total_tokens });
+
+let quotas;
+
+beforeEach(() => {
+  quotas = new QuotaManager(new AuthService(new MemoryUserStore()));
+});
+
+afterEach(() => {
+  LIMITS.forEach(name => delete process.env[name]);
+});
+
+describe('QuotaManager', () => {
+  it('leaves callers unlimited by default', async () => {
+    await quotas.record({ id: 'ada' }, usage(1e9));
+
+    expect(await quotas.check({ id: 'ada' })).toBeNull();
+    const [status] = await quotas.getStatus({ id: 'ada' });
+    expect(status.periods.daily).toMatchObject({ limit: null, used: 1e9, remaining: null });
+  });
+
+  it('reports the first budget a user has used up', async () => {
+    process.env.USER_DAILY_TOKEN_LIMIT = '100';
+    process.env.USER_MONTHLY_TOKEN_LIMIT = '1000';
+
+    await quotas.record({ id: 'ada' }, usage(60));
+    expect(await quotas.check({ id: 'ada' })).toBeNull();
+
+    await quotas.record({ id: 'ada' }, usage(40));
+    expect(await quotas.check({ id: 'ada' })).toMatchObject({ type: 'user', id: 'ada', period: 'daily', limit: 100, used: 100, remaining: 0 });
+    expect(await quotas.check({ id: 'grace' })).toBeNull();
+  });
+
+  it('counts key requests against both the key and its owner', async () => {
+    process.env.USER_DAILY_TOKEN_LIMIT = '1000';
+    process.env.API_KEY_DAILY_TOKEN_LIMIT = '500';
+    const key = { id: 'ada', apiKeyId: 'k1', limits: { daily: 50 } };
+
+    await quotas.record(key, usage(50));
+
+    expect(await quotas.check(key)).toMatchObject({ type: 'apiKey', id: 'k1', period: 'daily', limit: 50 });
+    expect(await quotas.check({ id: 'ada' })).toBeNull();
+    const [user] = await quotas.getStatus({ id: 'ada' });
+    expect(user.periods.daily.used).toBe(50);
+  });
+
+  it('falls back to the default key limits for periods the key leaves unset', () => {
+    process.env.API_KEY_MONTHLY_TOKEN_LIMIT = '5000';
+
+    const [, key] = quotas.getSubjects({ id: 'ada', apiKeyId: 'k1', limits: { daily: 50 } });
+
+    expect(key.limits).toEqual({ daily: 50, monthly: 5000 });
+  });
+
+  it('ignores responses without usage', async () => {
+    process.env.USER_DAILY_TOKEN_LIMIT = '1';
+
+    await quotas.record({ id: 'ada' }, undefined);
+    await quotas.record({ id: 'ada' }, usage(0));
+
+    expect(await quotas.check({ id: 'ada' })).toBeNull();
+  });
+
+  it('resets at the next UTC day and month', () => {
+    const now = new Date('2024-12-31T23:30:00.000Z');
+
+    expect(quotas.getPeriod('daily', now)).toEqual({ label: '2024-12-31', resetsAt: new Date('2025-01-01T00:00:00.000Z') });
+    expect(quotas.getPeriod('monthly', now)).toEqual({ label: '2024-12', resetsAt: new Date('2025-01-01T00:00:00.000Z') });
+  });
+
+  it('debits priced work as the tokens the same amount buys', async () => {
+    process.env.USER_DAILY_TOKEN_LIMIT = '5000';
+
+    expect(quotas.costUsage({ total: 0.04, currency: 'USD' })).toEqual({ total_tokens: 4000 });
+    expect(quotas.costUsage(null)).toEqual({ total_tokens: 0 });
+
+    await quotas.record({ id: 'ada' }, quotas.costUsage({ total: 0.08, currency: 'USD' }));
+    expect(await quotas.check({ id: 'ada' })).toMatchObject({ period: 'daily', used: 8000 });
+  });
+
+  it('stops counting expired counters', async () => {
+    await quotas.store.addUsage([{ key: 'user:ada:old', expiresAt: '2000-01-01T00:00:00.000Z' }], 10);
+
+    expect(await quotas.store.getUsage(['user:ada:old'])).toEqual({ 'user:ada:old': 0 });
+    expect(await quotas.store.pruneExpired()).toBe(1);
+  });
+});
+
+describe('enforceQuota', () => {
+  const run = (req) => new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { resolve({ passed: false, status: this.statusCode, headers: this.headers, body: payload }); return this; }
+    };
+    enforceQuota(req, res, () => resolve({ passed: true }));
+  });
+
+  it('answers 429 with Retry-After once a budget is used up', async () => {
+    process.env.USER_DAILY_TOKEN_LIMIT = '10';
+    expect((await run({ user: { id: 'lin' } })).passed).toBe(true);
+
+    await quotaManager.record({ id: 'lin' }, usage(10));
+    const result = await run({ user: { id: 'lin' } });
+
+    expect(result).toMatchObject({
+      status: 429,
+      body: { error: 'Daily token quota exceeded', code: 'quota_exceeded', quota: { scope: 'user', period: 'daily', limit: 10, used: 10 } }
+    });
+    expect(Number(result.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(Number(result.headers['Retry-After'])).toBeLessThanOrEqual(24 * 60 * 60);
+  });
+});
+
+describe('FileUserStore usage counters', () => {
+  it('batches counter writes and flushes them on close', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+    const store = new FileUserStore({ directory });
+    await store.init();
+    const counter = [{ key: 'user:ada:2024-01', expiresAt: '2999-01-01T00:00:00.000Z' }];
+
+    await store.addUsage(counter, 5);
+    await store.addUsage(counter, 7);
+    expect(fs.existsSync(path.join(directory, 'users.json'))).toBe(false);
+
+    await store.close();
+    const restarted = new FileUserStore({ directory });
+    await restarted.init();
+
+    expect(await restarted.getUsage(['user:ada:2024-01'])).toEqual({ 'user:ada:2024-01': 12 });
+  });
+});
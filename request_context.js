@@ -0,0 +1,39 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+const storage = new AsyncLocalStorage();
+
+// Accept a caller's ID only if it is safe to echo into headers and logs
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Gives every request an ID (the incoming X-Request-Id, or a new one) and runs
+// the rest of the request inside an async context, so anything downstream -
+// the logger, services, storage - can read it without it being passed along.
+const requestContextMiddleware = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  const requestId = typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  storage.run({ requestId }, () => next());
+};
+
+const getRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.requestId : undefined;
+};
+
+// Extra headers for calls to AI providers, so their logs can be matched to ours.
+// Every provider client sends them except Cohere's, whose SDK has no way to add
+// headers to a request.
+const getUpstreamHeaders = () => {
+  const requestId = getRequestId();
+  return requestId ? { 'X-Request-Id': requestId } : {};
+};
+
+module.exports = {
+  requestContextMiddleware,
+  getRequestId,
+  getUpstreamHeaders
+};
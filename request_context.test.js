@@ -0,0 +1,77 @@
+process.env.CONVERSATION_STORE = 'memory';
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+const axios = require('axios');
+const { requestContextMiddleware, getRequestId, getUpstreamHeaders } = require('../utils/requestContext');
+const MemoryStorageAdapter = require('../utils/memoryStorageAdapter');
+const { ConversationManager } = require('../services/conversationManager');
+const geminiService = require('../services/geminiService');
+const mistralService = require('../services/mistralService');
+
+// Runs work inside the context the middleware sets up for a request with these headers
+const withRequest = (headers, work) => new Promise((resolve, reject) => {
+  const req = { headers };
+  const res = { headers: {}, setHeader(name, value) { this.headers[name] = value; } };
+  requestContextMiddleware(req, res, () => Promise.resolve().then(() => work(req, res)).then(resolve, reject));
+});
+
+describe('requestContextMiddleware', () => {
+  it('echoes a well-formed X-Request-Id', async () => {
+    const { req, res, seen } = await withRequest({ 'x-request-id': 'trace-1:a.b' }, (req, res) => ({ req, res, seen: getRequestId() }));
+
+    expect(req.id).toBe('trace-1:a.b');
+    expect(res.headers['X-Request-Id']).toBe('trace-1:a.b');
+    expect(seen).toBe('trace-1:a.b');
+  });
+
+  it('replaces missing or unsafe IDs with a new one', async () => {
+    const fresh = await withRequest({}, req => req.id);
+    const injected = await withRequest({ 'x-request-id': 'x\r\nSet-Cookie: a=b' }, req => req.id);
+
+    expect(fresh).toMatch(/^[0-9a-f-]{36}$/);
+    expect(injected).toMatch(/^[0-9a-f-]{36}$/);
+    expect(await withRequest({ 'x-request-id': 'a'.repeat(129) }, req => req.id)).not.toBe('a'.repeat(129));
+  });
+
+  it('keeps concurrent requests apart and leaves nothing behind', async () => {
+    const ids = await Promise.all(['one', 'two'].map(id => withRequest({ 'x-request-id': id }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return getRequestId();
+    })));
+
+    expect(ids).toEqual(['one', 'two']);
+    expect(getRequestId()).toBeUndefined();
+    expect(getUpstreamHeaders()).toEqual({});
+  });
+});
+
+describe('request IDs downstream', () => {
+  it('stamps stored messages with the request that wrote them', async () => {
+    const manager = new ConversationManager(new MemoryStorageAdapter());
+
+    const saved = await withRequest({ 'x-request-id': 'req-42' }, () => manager.saveMessage('c', { role: 'user', content: 'Hi' }));
+    const outside = await manager.saveMessage('c', { role: 'assistant', content: 'Hello' });
+
+    expect(saved.requestId).toBe('req-42');
+    expect(outside).not.toHaveProperty('requestId');
+  });
+
+  it('sends the ID to Gemini with every chat session', async () => {
+    const getGenerativeModel = jest.fn(() => ({
+      startChat: () => ({ sendMessage: async () => ({ response: { text: () => 'ok', usageMetadata: {} } }) })
+    }));
+    geminiService.client = { getGenerativeModel };
+
+    await withRequest({ 'x-request-id': 'req-7' }, () => geminiService.generateResponse({ messages: [{ role: 'user', content: 'Hi' }] }));
+
+    expect(getGenerativeModel.mock.calls[0][1]).toEqual({ customHeaders: { 'X-Request-Id': 'req-7' } });
+  });
+
+  it('sends the ID to Mistral', async () => {
+    axios.post.mockResolvedValue({ data: { model: 'mistral-small', choices: [{ message: { content: 'ok' } }], usage: {} } });
+
+    await withRequest({ 'x-request-id': 'req-8' }, () => mistralService.generateResponse({ messages: [{ role: 'user', content: 'Hi' }] }));
+
+    expect(axios.post.mock.calls[0][2].headers).toMatchObject({ 'X-Request-Id': 'req-8' });
+  });
+});
@@ -0,0 +1,242 @@
+const logger = require('./logger');
+const ProviderError = require('./providerError');
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT'];
+const RETRYABLE_TYPES = ['rate_limit', 'timeout', 'server', 'network'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Sorts an upstream failure into rate_limit, timeout, server, auth, network, client or unknown
+const classifyError = (error) => {
+  if (error.code === 'CIRCUIT_OPEN') {
+    return { type: 'circuit_open', retryable: false, status: error.status };
+  }
+
+  const status = error.status ||
+    error.statusCode ||
+    error.response?.status ||
+    ProviderError.parseStatus(error.message);
+  const headers = ProviderError.normalizeHeaders(error.headers || error.response?.headers);
+
+  let type = 'unknown';
+  if (status === 429) {
+    type = 'rate_limit';
+  } else if (status === 408 || status === 504 || TIMEOUT_ERROR_CODES.includes(error.code) || /timeout|timed out/i.test(error.name || '')) {
+    type = 'timeout';
+  } else if (status >= 500) {
+    type = 'server';
+  } else if (status === 401 || status === 403) {
+    type = 'auth';
+  } else if (status >= 400) {
+    type = 'client';
+  } else if (NETWORK_ERROR_CODES.includes(error.code) || error.name === 'APIConnectionError') {
+    type = 'network';
+  }
+
+  return {
+    type,
+    status,
+    retryable: RETRYABLE_TYPES.includes(type),
+    retryAfterMs: parseRetryAfter(headers)
+  };
+};
+
+// Retry-After is either delta-seconds or an HTTP date; some APIs also send retry-after-ms
+const parseRetryAfter = (headers = {}) => {
+  if (headers['retry-after-ms']) {
+    const ms = parseFloat(headers['retry-after-ms']);
+    if (!isNaN(ms)) return ms;
+  }
+
+  const value = headers['retry-after'];
+  if (!value) return null;
+
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+};
+
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+  }
+
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition('half_open');
+    }
+
+    // Half-open lets a single trial request through
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  // A call that ended without a verdict on the provider, such as one the
+  // caller cancelled, only frees the half-open trial slot
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure(classification) {
+    this.failures += 1;
+    this.trialInFlight = false;
+    this.lastFailure = {
+      type: classification.type,
+      status: classification.status,
+      at: new Date().toISOString()
+    };
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+
+    const logData = {
+      provider: this.name,
+      from: previous,
+      to: state,
+      failures: this.failures,
+      lastFailure: this.lastFailure
+    };
+
+    if (state === 'open') {
+      logger.warn('Circuit breaker opened', logData);
+    } else {
+      logger.info('Circuit breaker state change', logData);
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      lastFailure: this.lastFailure,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null
+    };
+  }
+}
+
+class Resilience {
+  constructor() {
+    this.maxRetries = parseInt(process.env.PROVIDER_MAX_RETRIES || '2');
+    this.baseDelayMs = parseInt(process.env.PROVIDER_RETRY_BASE_MS || '500');
+    this.maxDelayMs = parseInt(process.env.PROVIDER_RETRY_MAX_MS || '10000');
+    this.breakerOptions = {
+      failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5'),
+      resetTimeoutMs: parseInt(process.env.CIRCUIT_RESET_TIMEOUT_MS || '30000')
+    };
+    this.breakers = new Map();
+  }
+
+  getBreaker(provider) {
+    if (!this.breakers.has(provider)) {
+      this.breakers.set(provider, new CircuitBreaker(provider, this.breakerOptions));
+    }
+    return this.breakers.get(provider);
+  }
+
+  // Full jitter: random delay between 0 and the exponential cap
+  getBackoffDelay(attempt) {
+    const cap = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * cap);
+  }
+
+  // signal: a request the caller cancelled is neither retried nor held against the provider
+  async execute(provider, operation, { maxRetries = this.maxRetries, signal } = {}) {
+    const breaker = this.getBreaker(provider);
+
+    if (!breaker.canRequest()) {
+      throw new ProviderError(`Circuit breaker open for ${provider}`, {
+        provider,
+        status: 503,
+        code: 'CIRCUIT_OPEN'
+      });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await operation();
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (signal && signal.aborted) {
+          breaker.releaseTrial();
+          throw error;
+        }
+
+        const classification = classifyError(error);
+        const delay = classification.retryAfterMs ?? this.getBackoffDelay(attempt);
+
+        // Give up if the provider asks us to wait longer than we are willing to
+        if (!classification.retryable || attempt >= maxRetries || delay > this.maxDelayMs) {
+          // Bad requests say nothing about provider health
+          if (classification.type !== 'client') {
+            breaker.recordFailure(classification);
+          } else {
+            breaker.recordSuccess();
+          }
+          error.classification = classification;
+          throw error;
+        }
+
+        logger.warn(`Retrying ${provider} request`, {
+          attempt: attempt + 1,
+          maxRetries,
+          type: classification.type,
+          status: classification.status,
+          delay: `${delay}ms`
+        });
+
+        await sleep(delay);
+      }
+    }
+  }
+
+  getStatus() {
+    const status = {};
+    for (const [provider, breaker] of this.breakers) {
+      status[provider] = breaker.getStatus();
+    }
+    return status;
+  }
+}
+
+const resilience = new Resilience();
+resilience.classifyError = classifyError;
+resilience.parseRetryAfter = parseRetryAfter;
+resilience.CircuitBreaker = CircuitBreaker;
+
+module.exports = resilience;
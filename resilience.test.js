@@ -0,0 +1,198 @@
+process.env.PROVIDER_RETRY_BASE_MS = '1';
+
+const resilience = require('../utils/resilience');
+const geminiService = require('../services/geminiService');
+
+const { classifyError, parseRetryAfter } = resilience;
+
+const serverError = () => Object.assign(new Error('Internal server error'), { status: 500 });
+
+// A breaker for name that has just moved from open to half-open
+const halfOpenBreaker = (name) => {
+  const breaker = resilience.getBreaker(name);
+  for (let i = 0; i < breaker.failureThreshold; i++) {
+    breaker.recordFailure({ type: 'server', status: 500 });
+  }
+  breaker.openedAt = Date.now() - breaker.resetTimeoutMs;
+  return breaker;
+};
+
+describe('classifyError', () => {
+  it('sorts failures by status, error code and message', () => {
+    expect(classifyError({ status: 429 })).toMatchObject({ type: 'rate_limit', retryable: true });
+    expect(classifyError({ status: 504 })).toMatchObject({ type: 'timeout', retryable: true });
+    expect(classifyError({ response: { status: 502 } })).toMatchObject({ type: 'server', retryable: true });
+    expect(classifyError({ code: 'ECONNRESET' })).toMatchObject({ type: 'network', retryable: true });
+    expect(classifyError({ message: '[503 Service Unavailable] overloaded' })).toMatchObject({ type: 'server', status: 503 });
+    expect(classifyError({ status: 401 })).toMatchObject({ type: 'auth', retryable: false });
+    expect(classifyError({ status: 422 })).toMatchObject({ type: 'client', retryable: false });
+  });
+
+  it('reads how long the provider asked us to wait', () => {
+    expect(classifyError({ status: 429, headers: { 'Retry-After': '3' } }).retryAfterMs).toBe(3000);
+    expect(parseRetryAfter({ 'retry-after-ms': '250', 'retry-after': '1' })).toBe(250);
+    expect(parseRetryAfter({ 'retry-after': new Date(Date.now() - 1000).toUTCString() })).toBe(0);
+    expect(parseRetryAfter({})).toBeNull();
+  });
+});
+
+describe('resilience.execute', () => {
+  it('retries retryable failures until one succeeds', async () => {
+    let calls = 0;
+    const result = await resilience.execute('flaky', async () => {
+      calls += 1;
+      if (calls < 3) throw serverError();
+      return 'ok';
+    });
+
+    expect(result).toBe('ok');
+    expect(calls).toBe(3);
+    expect(resilience.getBreaker('flaky').failures).toBe(0);
+  });
+
+  it('does not retry a rejected request or count it against the provider', async () => {
+    let calls = 0;
+    await expect(resilience.execute('bad-request', async () => {
+      calls += 1;
+      throw Object.assign(new Error('Bad request'), { status: 400 });
+    })).rejects.toMatchObject({ classification: { type: 'client' } });
+
+    expect(calls).toBe(1);
+    expect(resilience.getBreaker('bad-request').failures).toBe(0);
+  });
+
+  it('gives up when the provider asks for a longer wait than allowed', async () => {
+    let calls = 0;
+    await expect(resilience.execute('slow-down', async () => {
+      calls += 1;
+      throw Object.assign(new Error('Rate limited'), { status: 429, headers: { 'retry-after': '3600' } });
+    })).rejects.toThrow('Rate limited');
+
+    expect(calls).toBe(1);
+  });
+
+  it('opens the breaker after repeated failures and fails fast', async () => {
+    const breaker = resilience.getBreaker('down');
+    for (let i = 0; i < breaker.failureThreshold; i++) {
+      await expect(resilience.execute('down', async () => { throw serverError(); }, { maxRetries: 0 })).rejects.toThrow();
+    }
+
+    expect(breaker.state).toBe('open');
+    const operation = jest.fn();
+    await expect(resilience.execute('down', operation)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', status: 503 });
+    expect(operation).not.toHaveBeenCalled();
+  });
+
+  it('closes the breaker when the half-open trial succeeds', async () => {
+    const breaker = halfOpenBreaker('recovered');
+
+    await expect(resilience.execute('recovered', async () => 'ok')).resolves.toBe('ok');
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+  });
+
+  it('reopens the breaker when the trial fails', async () => {
+    const breaker = halfOpenBreaker('failed-trial');
+
+    await expect(resilience.execute('failed-trial', async () => {
+      throw serverError();
+    }, { maxRetries: 0 })).rejects.toThrow('Internal server error');
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.trialInFlight).toBe(false);
+    await expect(resilience.execute('failed-trial', async () => 'ok')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+  });
+
+  it('lets only one trial through while it is running', async () => {
+    halfOpenBreaker('single-trial');
+    let finishTrial;
+    const trial = resilience.execute('single-trial', () => new Promise(resolve => { finishTrial = resolve; }));
+
+    await expect(resilience.execute('single-trial', async () => 'ok')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+    finishTrial('done');
+    await expect(trial).resolves.toBe('done');
+  });
+
+  it('frees the half-open trial when the caller cancels it', async () => {
+    const breaker = halfOpenBreaker('cancelled-trial');
+    const controller = new AbortController();
+
+    await expect(resilience.execute('cancelled-trial', async () => {
+      controller.abort();
+      throw new Error('Request was aborted');
+    }, { signal: controller.signal })).rejects.toThrow('Request was aborted');
+
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.trialInFlight).toBe(false);
+    expect(breaker.failures).toBe(breaker.failureThreshold);
+
+    // The next request gets the trial and closes the breaker
+    await expect(resilience.execute('cancelled-trial', async () => 'ok')).resolves.toBe('ok');
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('reopens the breaker when the trial fails', async () => {
+    const breaker = halfOpenBreaker('failed-trial');
+
+    await expect(resilience.execute('failed-trial', async () => {
+      throw serverError();
+    }, { maxRetries: 0 })).rejects.toThrow('Internal server error');
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.trialInFlight).toBe(false);
+    await expect(resilience.execute('failed-trial', async () => 'ok')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+  });
+
+  it('lets only one trial through while it is running', async () => {
+    halfOpenBreaker('single-trial');
+    let finishTrial;
+    const trial = resilience.execute('single-trial', () => new Promise(resolve => { finishTrial = resolve; }));
+
+    await expect(resilience.execute('single-trial', async () => 'ok')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+    finishTrial('done');
+    await expect(trial).resolves.toBe('done');
+  });
+
+  it('neither retries nor counts a cancelled request', async () => {
+    const breaker = resilience.getBreaker('cancelled-request');
+    const controller = new AbortController();
+    let calls = 0;
+
+    await expect(resilience.execute('cancelled-request', async () => {
+      calls += 1;
+      controller.abort();
+      throw serverError();
+    }, { signal: controller.signal, maxRetries: 3 })).rejects.toThrow('Internal server error');
+
+    expect(calls).toBe(1);
+    expect(breaker.failures).toBe(0);
+    expect(breaker.state).toBe('closed');
+  });
+});
+
+describe('Gemini retries', () => {
+  it('starts a fresh chat session for every attempt', async () => {
+    const sessions = [];
+    geminiService.client = {
+      getGenerativeModel: () => ({
+        startChat: () => {
+          const session = {
+            sendMessage: async () => {
+              if (sessions.length < 2) throw serverError();
+              return { response: Promise.resolve({ text: () => 'Hi', usageMetadata: {} }) };
+            }
+          };
+          sessions.push(session);
+          return session;
+        }
+      })
+    };
+
+    const result = await geminiService.generateResponse({ messages: [{ role: 'user', content: 'Hello' }] });
+
+    expect(result.content).toBe('Hi');
+    expect(sessions).toHaveLength(2);
+  });
+});
@@ -0,0 +1,250 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const cohereService = require('./cohereService');
+const VectorIndex = require('../utils/vectorIndex');
+const KeyedMutex = require('../utils/keyedMutex');
+const { chunkText } = require('../utils/textChunker');
+const { createEmbedder, embedderTypes } = require('../utils/embedders');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+class RetrievalError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RetrievalError';
+    this.status = status;
+  }
+}
+
+// Document collections for retrieval-augmented chat. Documents are chunked and
+// embedded when added; a chat that names collections gets the best matching
+// chunks (vector search, then an optional rerank) as numbered sources in its
+// system prompt, and the reply carries citations pointing back at them.
+class RetrievalService {
+  constructor({ index, reranker } = {}) {
+    this.index = index || new VectorIndex({ directory: process.env.COLLECTIONS_DIR });
+    this.locks = new KeyedMutex();
+    this.defaultEmbedder = process.env.EMBEDDING_PROVIDER || 'cohere';
+    // cohere or none; without a Cohere key results keep their vector order
+    this.reranker = reranker || process.env.RAG_RERANKER || (process.env.COHERE_API_KEY ? 'cohere' : 'none');
+    this.topK = parseInt(process.env.RAG_TOP_K || '5');
+    // How many vector matches are handed to the reranker
+    this.candidates = parseInt(process.env.RAG_CANDIDATES || '20');
+    this.ready = this.index.init().catch(error => {
+      logger.error('Failed to initialize collection index:', error);
+      throw error;
+    });
+  }
+
+  async close() {
+    await this.index.close();
+  }
+
+  publicCollection(collection) {
+    const { userId, ...rest } = collection;
+    return rest;
+  }
+
+  // null for missing collections and other users' collections alike
+  async getOwnedCollection(collectionId, userId) {
+    await this.ready;
+    const collection = this.index.getCollection(collectionId);
+    return collection && (collection.userId || null) === (userId || null) ? collection : null;
+  }
+
+  async requireCollection(collectionId, userId) {
+    const collection = await this.getOwnedCollection(collectionId, userId);
+    if (!collection) {
+      throw new RetrievalError('Collection not found', 404);
+    }
+    return collection;
+  }
+
+  async createCollection({ userId, name, description, embedder = this.defaultEmbedder }) {
+    await this.ready;
+    if (!embedderTypes.includes(embedder)) {
+      throw new RetrievalError(`Embedder must be one of: ${embedderTypes.join(', ')}`);
+    }
+    const instance = createEmbedder(embedder);
+
+    const collection = {
+      id: uuidv4(),
+      userId: userId || null,
+      name,
+      description: description || '',
+      embedder: { provider: instance.provider, model: instance.model },
+      documents: [],
+      chunkCount: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.index.saveCollection(collection);
+    logger.info('Collection created', { collectionId: collection.id, userId: collection.userId, embedder: collection.embedder });
+    return collection;
+  }
+
+  async listCollections(userId) {
+    await this.ready;
+    return this.index.listCollections()
+      .filter(collection => (collection.userId || null) === (userId || null))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async deleteCollection(collectionId, userId) {
+    return this.locks.runExclusive(collectionId, async () => {
+      await this.requireCollection(collectionId, userId);
+      await this.index.deleteCollection(collectionId);
+    });
+  }
+
+  embedderFor(collection) {
+    return createEmbedder(collection.embedder.provider, { model: collection.embedder.model });
+  }
+
+  // Chunks, embeds and indexes one text or Markdown document
+  async addDocument(collectionId, userId, { name, text, mimeType }) {
+    return this.locks.runExclusive(collectionId, async () => {
+      const collection = await this.requireCollection(collectionId, userId);
+
+      const markdown = mimeType === 'text/markdown' || MARKDOWN_EXTENSIONS.includes(path.extname(name || '').toLowerCase());
+      const chunks = chunkText(text, { markdown });
+      if (chunks.length === 0) {
+        throw new RetrievalError('Document has no text to index');
+      }
+
+      // The heading path gives short passages the context they were written in
+      const { embeddings, usage } = await this.embedderFor(collection).embed(
+        chunks.map(chunk => (chunk.heading ? `${chunk.heading}\n\n${chunk.text}` : chunk.text)),
+        { inputType: 'document' }
+      );
+
+      const document = {
+        id: uuidv4(),
+        name: name || 'Untitled',
+        mimeType: markdown ? 'text/markdown' : 'text/plain',
+        size: Buffer.byteLength(text),
+        chunkCount: chunks.length,
+        createdAt: new Date().toISOString()
+      };
+
+      await this.index.addChunks(collectionId, chunks.map((chunk, i) => ({
+        id: `${document.id}:${chunk.index}`,
+        documentId: document.id,
+        documentName: document.name,
+        ...chunk,
+        embedding: embeddings[i]
+      })));
+
+      collection.documents.push(document);
+      collection.chunkCount += chunks.length;
+      collection.updatedAt = new Date().toISOString();
+      await this.index.saveCollection(collection);
+
+      return { document, usage };
+    });
+  }
+
+  async deleteDocument(collectionId, userId, documentId) {
+    return this.locks.runExclusive(collectionId, async () => {
+      const collection = await this.requireCollection(collectionId, userId);
+      const document = collection.documents.find(doc => doc.id === documentId);
+      if (!document) {
+        throw new RetrievalError('Document not found', 404);
+      }
+
+      await this.index.removeDocument(collectionId, documentId);
+      collection.documents = collection.documents.filter(doc => doc.id !== documentId);
+      collection.chunkCount -= document.chunkCount;
+      collection.updatedAt = new Date().toISOString();
+      await this.index.saveCollection(collection);
+    });
+  }
+
+  // Best chunks across the collections for query, most relevant first
+  async retrieve({ collectionIds, query, userId, topK = this.topK }) {
+    const collections = await Promise.all(collectionIds.map(id => this.requireCollection(id, userId)));
+
+    // Collections built by the same embedder share one query embedding
+    const groups = new Map();
+    for (const collection of collections) {
+      const key = `${collection.embedder.provider}:${collection.embedder.model}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(collection);
+    }
+
+    let candidates = [];
+    for (const group of groups.values()) {
+      const { embeddings } = await this.embedderFor(group[0]).embed([query], { inputType: 'query' });
+      for (const collection of group) {
+        const matches = await this.index.search(collection.id, embeddings[0], this.candidates);
+        candidates.push(...matches.map(match => ({ ...match, collectionId: collection.id, collectionName: collection.name })));
+      }
+    }
+
+    // Matches from different embedders are merged on raw score; a rerank puts them on one scale
+    candidates = candidates.sort((a, b) => b.score - a.score).slice(0, this.candidates);
+
+    return (await this.rerank(query, candidates)).slice(0, topK);
+  }
+
+  async rerank(query, candidates) {
+    if (this.reranker !== 'cohere' || candidates.length < 2) {
+      return candidates;
+    }
+
+    try {
+      const model = process.env.COHERE_RERANK_MODEL || 'rerank-english-v3.0';
+      const { results } = await metrics.trackUpstream('cohere', model, 'rerank', () => cohereService.rerank({
+        query,
+        documents: candidates.map(candidate => candidate.text),
+        model,
+        topN: candidates.length
+      }));
+
+      return results.map(result => ({ ...candidates[result.index], relevance: result.relevanceScore }));
+    } catch (error) {
+      // Retrieval still works without the rerank, just less precisely
+      logger.warn('Rerank failed, keeping vector order', { error: error.message });
+      return candidates;
+    }
+  }
+
+  // Numbered sources for the system prompt, and the matching citations for the reply
+  buildContext(chunks, systemPrompt) {
+    if (chunks.length === 0) {
+      return { systemPrompt, citations: [] };
+    }
+
+    const sources = chunks.map((chunk, i) => {
+      const title = [chunk.documentName, chunk.heading].filter(Boolean).join(' › ');
+      return `[${i + 1}] ${title}\n${chunk.text}`;
+    }).join('\n\n');
+
+    const instructions = 'Answer using the sources below when they are relevant. ' +
+      'Cite them inline by number, like [1]. If they do not contain the answer, say so.';
+
+    return {
+      systemPrompt: [systemPrompt, `${instructions}\n\n${sources}`].filter(Boolean).join('\n\n'),
+      citations: chunks.map((chunk, i) => ({
+        index: i + 1,
+        collectionId: chunk.collectionId,
+        documentId: chunk.documentId,
+        documentName: chunk.documentName,
+        chunkId: chunk.id,
+        heading: chunk.heading,
+        start: chunk.start,
+        end: chunk.end,
+        score: Math.round(chunk.score * 1000) / 1000,
+        relevance: chunk.relevance !== undefined ? Math.round(chunk.relevance * 1000) / 1000 : undefined,
+        snippet: chunk.text.length > 200 ? `${chunk.text.slice(0, 200)}…` : chunk.text
+      }))
+    };
+  }
+}
+
+module.exports = new RetrievalService();
+module.exports.RetrievalService = RetrievalService;
+module.exports.RetrievalError = RetrievalError;
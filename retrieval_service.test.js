@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// The module builds a default index on load; keep it out of the working directory
+process.env.COLLECTIONS_DIR = require('fs').mkdtempSync(path.join(os.tmpdir(), 'collections-'));
+
+const { RetrievalService, RetrievalError } = require('../services/retrievalService');
+const VectorIndex = require('../utils/vectorIndex');
+
+const GUIDE = [
+  '# Setup',
+  'Install the package with npm and set OPENAI_API_KEY in your environment.',
+  '',
+  '# Billing',
+  'Invoices are sent on the first day of every month by email.',
+  '',
+  '# Support',
+  'Open a ticket from the dashboard; replies arrive within two working days.'
+].join('\n');
+
+describe('RetrievalService with the local embedder', () => {
+  let directory;
+  let service;
+  let collection;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'retrieval-'));
+    service = new RetrievalService({ index: new VectorIndex({ directory }), reranker: 'none' });
+    collection = await service.createCollection({ userId: 'alice', name: 'Handbook', embedder: 'local' });
+  });
+
+  afterEach(async () => {
+    await service.close();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('chunks, embeds and indexes a Markdown document', async () => {
+    const { document, usage } = await service.addDocument(collection.id, 'alice', { name: 'guide.md', text: GUIDE });
+
+    expect(document).toMatchObject({ name: 'guide.md', mimeType: 'text/markdown', chunkCount: 3 });
+    expect(usage).toEqual({ total_tokens: 0 });
+    expect((await service.getOwnedCollection(collection.id, 'alice')).chunkCount).toBe(3);
+  });
+
+  it('finds the passage that answers the query', async () => {
+    await service.addDocument(collection.id, 'alice', { name: 'guide.md', text: GUIDE });
+
+    const [best] = await service.retrieve({ collectionIds: [collection.id], query: 'when are invoices sent', userId: 'alice' });
+
+    expect(best.heading).toBe('Billing');
+    expect(best.collectionId).toBe(collection.id);
+    expect(GUIDE.slice(best.start, best.end)).toBe(best.text);
+  });
+
+  it('turns matches into numbered sources and citations', async () => {
+    await service.addDocument(collection.id, 'alice', { name: 'guide.md', text: GUIDE });
+    const chunks = await service.retrieve({ collectionIds: [collection.id], query: 'open a support ticket', userId: 'alice', topK: 2 });
+
+    const { systemPrompt, citations } = service.buildContext(chunks, 'Be brief.');
+
+    expect(systemPrompt.startsWith('Be brief.')).toBe(true);
+    expect(systemPrompt).toContain('[1] guide.md › Support');
+    expect(citations).toHaveLength(2);
+    expect(citations[0]).toMatchObject({ index: 1, documentName: 'guide.md', heading: 'Support' });
+  });
+
+  it('leaves the system prompt alone without matches', () => {
+    expect(service.buildContext([], 'Be brief.')).toEqual({ systemPrompt: 'Be brief.', citations: [] });
+  });
+
+  it('forgets a deleted document', async () => {
+    const { document } = await service.addDocument(collection.id, 'alice', { name: 'guide.md', text: GUIDE });
+    await service.deleteDocument(collection.id, 'alice', document.id);
+
+    const chunks = await service.retrieve({ collectionIds: [collection.id], query: 'invoices', userId: 'alice' });
+    expect(chunks).toEqual([]);
+  });
+
+  it("reports other users' collections as missing", async () => {
+    await expect(service.retrieve({ collectionIds: [collection.id], query: 'invoices', userId: 'bob' }))
+      .rejects.toMatchObject({ status: 404 });
+    await expect(service.addDocument(collection.id, 'bob', { name: 'x.txt', text: 'x' }))
+      .rejects.toBeInstanceOf(RetrievalError);
+  });
+
+  it('rejects documents without text', async () => {
+    await expect(service.addDocument(collection.id, 'alice', { name: 'empty.txt', text: ' \n ' }))
+      .rejects.toThrow('Document has no text to index');
+  });
+});
@@ -0,0 +1,248 @@
+// In-memory inverted index over every stored message (all branches), ranked
+// with BM25. ConversationManager keeps it current as messages are saved or
+// conversations deleted; it is built from storage on first use.
+const { textOf } = require('./contentParts');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_RADIUS = 80;
+
+class SearchIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map(docId -> term frequency)
+    this.docs = new Map(); // docId -> message fields used for filtering and snippets
+    this.conversationDocs = new Map(); // conversationId -> Set(docId)
+    this.totalLength = 0;
+    this.built = false;
+    this.building = null;
+    this.pending = [];
+  }
+
+  tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(token => token.length > 1);
+  }
+
+  docId(conversationId, messageId) {
+    return `${conversationId}:${messageId}`;
+  }
+
+  // loadAll resolves to [{ conversationId, messages }]
+  ensureBuilt(loadAll) {
+    if (this.built) return Promise.resolve();
+
+    if (!this.building) {
+      this.building = (async () => {
+        const conversations = await loadAll();
+        for (const { conversationId, messages } of conversations) {
+          for (const message of messages) {
+            this.indexMessage(conversationId, message);
+          }
+        }
+
+        // Changes that happened while storage was being read
+        for (const apply of this.pending) {
+          apply();
+        }
+        this.pending = [];
+        this.built = true;
+      })().finally(() => {
+        this.building = null;
+      });
+    }
+
+    return this.building;
+  }
+
+  // Until the first build, updates are only queued while a build is running;
+  // otherwise the build itself will pick them up from storage
+  applyOrQueue(change) {
+    if (this.built) {
+      change();
+    } else if (this.building) {
+      this.pending.push(change);
+    }
+  }
+
+  addMessage(conversationId, message) {
+    this.applyOrQueue(() => this.indexMessage(conversationId, message));
+  }
+
+  removeConversation(conversationId) {
+    this.applyOrQueue(() => this.unindexConversation(conversationId));
+  }
+
+  indexMessage(conversationId, message) {
+    const id = this.docId(conversationId, message.id);
+    if (this.docs.has(id)) {
+      this.unindexDoc(id);
+    }
+
+    const text = textOf(message.content);
+    const tokens = this.tokenize(text);
+    const frequencies = new Map();
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+
+    for (const [term, tf] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, tf);
+    }
+
+    this.docs.set(id, {
+      conversationId,
+      messageId: String(message.id),
+      role: message.role,
+      provider: message.provider,
+      model: message.model,
+      timestamp: message.timestamp || message.createdAt,
+      content: text,
+      length: tokens.length,
+      terms: Array.from(frequencies.keys())
+    });
+    this.totalLength += tokens.length;
+
+    if (!this.conversationDocs.has(conversationId)) {
+      this.conversationDocs.set(conversationId, new Set());
+    }
+    this.conversationDocs.get(conversationId).add(id);
+  }
+
+  unindexDoc(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    for (const term of doc.terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+    this.conversationDocs.get(doc.conversationId)?.delete(id);
+  }
+
+  unindexConversation(conversationId) {
+    const ids = this.conversationDocs.get(conversationId);
+    if (!ids) return;
+
+    for (const id of Array.from(ids)) {
+      this.unindexDoc(id);
+    }
+    this.conversationDocs.delete(conversationId);
+  }
+
+  matchesFilters(doc, { role, provider, model, from, to, conversationIds }) {
+    if (conversationIds && !conversationIds.has(doc.conversationId)) return false;
+    if (role && doc.role !== role) return false;
+    if (provider && doc.provider !== provider) return false;
+    // Stored model names are often versioned (claude-3-sonnet-20240229)
+    if (model && !(doc.model && doc.model.startsWith(model))) return false;
+
+    if (from || to) {
+      const time = new Date(doc.timestamp).getTime();
+      if (isNaN(time)) return false;
+      if (from && time < from.getTime()) return false;
+      if (to && time > to.getTime()) return false;
+    }
+
+    return true;
+  }
+
+  search(query, { limit = 10, offset = 0, snippetsPerConversation = 3, ...filters } = {}) {
+    const terms = Array.from(new Set(this.tokenize(query)));
+    if (terms.length === 0 || this.docs.size === 0) {
+      return { total: 0, results: [] };
+    }
+
+    const docCount = this.docs.size;
+    const averageLength = this.totalLength / docCount || 1;
+    const scores = new Map();
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [id, tf] of posting) {
+        const doc = this.docs.get(id);
+        if (!this.matchesFilters(doc, filters)) continue;
+
+        const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + idf * norm);
+      }
+    }
+
+    // Group message hits by conversation; best message dominates, extra hits add a little
+    const conversations = new Map();
+    for (const [id, score] of scores) {
+      const doc = this.docs.get(id);
+      if (!conversations.has(doc.conversationId)) {
+        conversations.set(doc.conversationId, { conversationId: doc.conversationId, hits: [] });
+      }
+      conversations.get(doc.conversationId).hits.push({ doc, score });
+    }
+
+    const ranked = Array.from(conversations.values())
+      .map(({ conversationId, hits }) => {
+        hits.sort((a, b) => b.score - a.score);
+        const score = hits[0].score + hits.slice(1).reduce((sum, hit) => sum + hit.score * 0.1, 0);
+        return { conversationId, hits, score };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const results = ranked.slice(offset, offset + limit).map(({ conversationId, hits, score }) => ({
+      conversationId,
+      score: Math.round(score * 1000) / 1000,
+      matches: hits.length,
+      snippets: hits.slice(0, snippetsPerConversation).map(({ doc, score: messageScore }) => ({
+        messageId: doc.messageId,
+        role: doc.role,
+        provider: doc.provider,
+        model: doc.model,
+        timestamp: doc.timestamp,
+        score: Math.round(messageScore * 1000) / 1000,
+        ...this.highlight(doc.content, terms)
+      }))
+    }));
+
+    return { total: ranked.length, results };
+  }
+
+  // Cuts a window around the first match and reports match offsets within it
+  highlight(content, terms) {
+    const pattern = /[\p{L}\p{N}]+/gu;
+    const matches = [];
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+      if (terms.includes(match[0].toLowerCase())) {
+        matches.push([match.index, match.index + match[0].length]);
+      }
+    }
+
+    const first = matches.length > 0 ? matches[0][0] : 0;
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(content.length, first + SNIPPET_RADIUS * 2);
+
+    return {
+      snippet: (start > 0 ? '…' : '') + content.slice(start, end) + (end < content.length ? '…' : ''),
+      highlights: matches
+        .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+        .map(([matchStart, matchEnd]) => {
+          const shift = start > 0 ? 1 : 0; // leading ellipsis
+          return [matchStart - start + shift, matchEnd - start + shift];
+        })
+    };
+  }
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,104 @@
+process.env.CONVERSATION_STORE = 'memory';
+
+const SearchIndex = require('../utils/searchIndex');
+const MemoryStorageAdapter = require('../utils/memoryStorageAdapter');
+const { ConversationManager } = require('../services/conversationManager');
+
+const message = (id, content, extra = {}) => ({ id, role: 'user', content, timestamp: '2024-03-01T12:00:00.000Z', ...extra });
+
+// An index built from the given conversations
+const build = async (conversations) => {
+  const index = new SearchIndex();
+  await index.ensureBuilt(async () => Object.entries(conversations).map(([conversationId, messages]) => ({ conversationId, messages })));
+  return index;
+};
+
+describe('SearchIndex', () => {
+  it('ranks conversations by how well their messages match', async () => {
+    const index = await build({
+      recipes: [message('1', 'A sourdough starter needs flour and water'), message('2', 'Feed the sourdough starter daily')],
+      travel: [message('3', 'Pack water for the hike')],
+      music: [message('4', 'Tune the guitar')]
+    });
+
+    const { total, results } = index.search('sourdough water');
+
+    expect(total).toBe(2);
+    expect(results.map(result => result.conversationId)).toEqual(['recipes', 'travel']);
+    expect(results[0]).toMatchObject({ matches: 2, snippets: [{ messageId: '1' }, { messageId: '2' }] });
+  });
+
+  it('highlights matches inside the snippet', async () => {
+    const index = await build({ c: [message('1', `${'x'.repeat(100)} the Kettle is on`)] });
+
+    const [snippet] = index.search('kettle').results[0].snippets;
+
+    expect(snippet.snippet.startsWith('…')).toBe(true);
+    const [[start, end]] = snippet.highlights;
+    expect(snippet.snippet.slice(start, end)).toBe('Kettle');
+  });
+
+  it('filters by role, provider, model prefix and date', async () => {
+    const index = await build({
+      c: [
+        message('1', 'deploy question'),
+        message('2', 'deploy answer', { role: 'assistant', provider: 'anthropic', model: 'claude-3-sonnet-20240229', timestamp: '2024-03-02T00:00:00.000Z' })
+      ]
+    });
+    const messageIds = (options) => index.search('deploy', options).results.flatMap(result => result.snippets.map(s => s.messageId));
+
+    expect(messageIds({ role: 'assistant' })).toEqual(['2']);
+    expect(messageIds({ provider: 'anthropic', model: 'claude-3-sonnet' })).toEqual(['2']);
+    expect(messageIds({ model: 'gpt-4' })).toEqual([]);
+    expect(messageIds({ to: new Date('2024-03-01T23:59:59.000Z') })).toEqual(['1']);
+  });
+
+  it('pages through ranked conversations', async () => {
+    const index = await build({ a: [message('1', 'cats')], b: [message('2', 'cats cats')], c: [message('3', 'cats')] });
+
+    const page = index.search('cats', { limit: 1, offset: 1 });
+
+    expect(page.total).toBe(3);
+    expect(page.results).toHaveLength(1);
+  });
+
+  it('forgets a removed conversation', async () => {
+    const index = await build({ a: [message('1', 'secret plans')] });
+
+    index.removeConversation('a');
+
+    expect(index.search('secret')).toEqual({ total: 0, results: [] });
+    expect(index.totalLength).toBe(0);
+  });
+
+  it('applies changes made while the index is being built', async () => {
+    const index = new SearchIndex();
+    let finishLoading;
+    const built = index.ensureBuilt(() => new Promise(resolve => { finishLoading = resolve; }));
+
+    index.addMessage('late', message('9', 'arrived during the build'));
+    finishLoading([]);
+    await built;
+
+    expect(index.search('arrived').total).toBe(1);
+  });
+});
+
+describe('ConversationManager.searchConversations', () => {
+  it('searches every branch and keeps the index current', async () => {
+    const manager = new ConversationManager(new MemoryStorageAdapter());
+    const question = await manager.saveMessage('c1', { role: 'user', content: 'Name a red fruit' });
+    await manager.saveMessage('c1', { role: 'assistant', content: 'Strawberry' });
+    await manager.saveMessage('c1', { role: 'assistant', content: 'Raspberry' }, { parentId: question.id });
+
+    expect((await manager.searchConversations('strawberry')).results).toEqual([
+      expect.objectContaining({ conversationId: 'c1', title: 'Name a red fruit' })
+    ]);
+
+    await manager.saveMessage('c2', { role: 'user', content: 'More strawberry facts' });
+    expect((await manager.searchConversations('strawberry')).total).toBe(2);
+
+    await manager.deleteConversation('c1');
+    expect((await manager.searchConversations('raspberry')).total).toBe(0);
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+const logger = require('./logger');
+
+// SQLite backend via better-sqlite3. Messages are kept as a JSON document per
+// conversation so the stored shape matches the file backend exactly.
+class SqliteStorageAdapter extends StorageAdapter {
+  constructor({ filename } = {}) {
+    super('sqlite');
+    this.filename = filename || path.join(process.cwd(), 'data', 'conversations.db');
+    this.db = null;
+  }
+
+  async init() {
+    // Loaded lazily so the dependency is only needed when this backend is selected
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY,
+        messages TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS conversation_metadata (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+    `);
+
+    this.statements = {
+      getMessages: this.db.prepare('SELECT messages FROM conversations WHERE id = ?'),
+      saveMessages: this.db.prepare(`
+        INSERT INTO conversations (id, messages, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET messages = excluded.messages, updated_at = excluded.updated_at
+      `),
+      deleteMessages: this.db.prepare('DELETE FROM conversations WHERE id = ?'),
+      listIds: this.db.prepare('SELECT id FROM conversations'),
+      getMetadata: this.db.prepare('SELECT data FROM conversation_metadata WHERE id = ?'),
+      getAllMetadata: this.db.prepare('SELECT id, data FROM conversation_metadata'),
+      saveMetadata: this.db.prepare(`
+        INSERT INTO conversation_metadata (id, data) VALUES (?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data
+      `),
+      deleteMetadata: this.db.prepare('DELETE FROM conversation_metadata WHERE id = ?')
+    };
+
+    logger.info(`SQLite conversation storage ready at ${this.filename}`);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  async getMessages(conversationId) {
+    const row = this.statements.getMessages.get(conversationId);
+    return row ? JSON.parse(row.messages) : null;
+  }
+
+  async saveMessages(conversationId, messages) {
+    this.statements.saveMessages.run(conversationId, JSON.stringify(messages), new Date().toISOString());
+  }
+
+  async deleteMessages(conversationId) {
+    return this.statements.deleteMessages.run(conversationId).changes > 0;
+  }
+
+  async listConversationIds() {
+    return this.statements.listIds.all().map(row => row.id);
+  }
+
+  async getMetadata(conversationId) {
+    const row = this.statements.getMetadata.get(conversationId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getAllMetadata() {
+    return this.statements.getAllMetadata.all().reduce((metadata, row) => {
+      metadata[row.id] = JSON.parse(row.data);
+      return metadata;
+    }, {});
+  }
+
+  async saveMetadata(conversationId, data) {
+    this.statements.saveMetadata.run(conversationId, JSON.stringify(data));
+  }
+
+  async deleteMetadata(conversationId) {
+    this.statements.deleteMetadata.run(conversationId);
+  }
+}
+
+module.exports = SqliteStorageAdapter;
@@ -0,0 +1,47 @@
+// Base class for conversation storage backends. ConversationManager only talks
+// to these primitives, so every backend stores the same two things: the message
+// list of a conversation and its metadata entry.
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async init() {}
+
+  async close() {}
+
+  async getMessages(conversationId) {
+    throw new Error(`${this.name} storage does not implement getMessages`);
+  }
+
+  async saveMessages(conversationId, messages) {
+    throw new Error(`${this.name} storage does not implement saveMessages`);
+  }
+
+  async deleteMessages(conversationId) {
+    throw new Error(`${this.name} storage does not implement deleteMessages`);
+  }
+
+  async listConversationIds() {
+    throw new Error(`${this.name} storage does not implement listConversationIds`);
+  }
+
+  async getMetadata(conversationId) {
+    const metadata = await this.getAllMetadata();
+    return metadata[conversationId] || null;
+  }
+
+  async getAllMetadata() {
+    throw new Error(`${this.name} storage does not implement getAllMetadata`);
+  }
+
+  async saveMetadata(conversationId, data) {
+    throw new Error(`${this.name} storage does not implement saveMetadata`);
+  }
+
+  async deleteMetadata(conversationId) {
+    throw new Error(`${this.name} storage does not implement deleteMetadata`);
+  }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,37 @@
+const FileStorageAdapter = require('./fileStorageAdapter');
+const MemoryStorageAdapter = require('./memoryStorageAdapter');
+
+// Backends are required on demand so sqlite/mongodb dependencies stay optional
+const adapters = {
+  file: (options) => new FileStorageAdapter({
+    directory: options.directory || process.env.CONVERSATIONS_DIR
+  }),
+  memory: () => new MemoryStorageAdapter(),
+  sqlite: (options) => {
+    const SqliteStorageAdapter = require('./sqliteStorageAdapter');
+    return new SqliteStorageAdapter({
+      filename: options.filename || process.env.SQLITE_PATH
+    });
+  },
+  mongodb: (options) => {
+    const MongoStorageAdapter = require('./mongoStorageAdapter');
+    return new MongoStorageAdapter({
+      uri: options.uri || process.env.MONGODB_URI
+    });
+  }
+};
+
+const createStorageAdapter = (type = process.env.CONVERSATION_STORE || 'file', options = {}) => {
+  const factory = adapters[type.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown conversation store "${type}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  createStorageAdapter,
+  storageTypes: Object.keys(adapters)
+};
@@ -0,0 +1,79 @@
+process.env.CONVERSATION_STORE = 'memory';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStorageAdapter } = require('../utils/storageAdapters');
+const MemoryStorageAdapter = require('../utils/memoryStorageAdapter');
+const FileStorageAdapter = require('../utils/fileStorageAdapter');
+const { ConversationManager } = require('../services/conversationManager');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+
+describe.each([
+  ['memory', () => new MemoryStorageAdapter()],
+  ['file', () => new FileStorageAdapter({ directory: tempDir() })]
+])('%s storage', (name, create) => {
+  let store;
+
+  beforeEach(async () => {
+    store = create();
+    await store.init();
+  });
+
+  it('stores messages and metadata per conversation', async () => {
+    await store.saveMessages('a', [{ role: 'user', content: 'Hi' }]);
+    await store.saveMetadata('a', { title: 'Hi' });
+    await store.saveMetadata('b', { title: 'Other' });
+
+    expect(await store.getMessages('a')).toEqual([{ role: 'user', content: 'Hi' }]);
+    expect(await store.getMessages('missing')).toBeNull();
+    expect(await store.listConversationIds()).toEqual(['a']);
+    expect(await store.getMetadata('a')).toEqual({ title: 'Hi' });
+    expect(Object.keys(await store.getAllMetadata()).sort()).toEqual(['a', 'b']);
+  });
+
+  it('deletes messages and metadata', async () => {
+    await store.saveMessages('a', []);
+    await store.saveMetadata('a', { title: 'Hi' });
+
+    expect(await store.deleteMessages('a')).toBe(true);
+    expect(await store.deleteMessages('a')).toBe(false);
+    await store.deleteMetadata('a');
+    expect(await store.getMetadata('a')).toBeNull();
+  });
+});
+
+describe('createStorageAdapter', () => {
+  it('builds the requested backend and rejects unknown ones', () => {
+    expect(createStorageAdapter('Memory')).toBeInstanceOf(MemoryStorageAdapter);
+    expect(() => createStorageAdapter('redis')).toThrow('Unknown conversation store "redis"');
+  });
+
+  it('keeps conversation IDs inside the file directory', () => {
+    const store = new FileStorageAdapter({ directory: tempDir() });
+    expect(() => store.getConversationPath('../metadata')).toThrow('Invalid conversation ID');
+  });
+});
+
+describe('ConversationManager on a storage backend', () => {
+  it('saves messages and keeps the metadata in the store', async () => {
+    const store = new MemoryStorageAdapter();
+    const manager = new ConversationManager(store);
+
+    await manager.saveMessage('c1', { role: 'user', content: 'Plan a trip to Lisbon!', timestamp: 't1' });
+    await manager.saveMessage('c1', { role: 'assistant', content: 'Sure', timestamp: 't2' });
+
+    expect((await manager.getConversation('c1')).map(msg => msg.content)).toEqual(['Plan a trip to Lisbon!', 'Sure']);
+    expect(await manager.getConversations()).toEqual([expect.objectContaining({
+      id: 'c1',
+      title: 'Plan a trip to Lisbon',
+      messageCount: 2,
+      lastMessage: { role: 'assistant', content: 'Sure', timestamp: 't2' }
+    })]);
+
+    await manager.deleteConversation('c1');
+    expect(await manager.getConversations()).toEqual([]);
+  });
+});
@@ -0,0 +1,169 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+// How long a stream keeps generating with nobody reading, waiting for a reconnect
+const RESUME_WINDOW_MS = parseInt(process.env.STREAM_RESUME_WINDOW_MS || '30000');
+// How long a finished stream's result stays available
+const RETENTION_MS = parseInt(process.env.STREAM_RETENTION_MS || '300000');
+// Finished streams kept at once; the oldest go first
+const MAX_RETAINED = parseInt(process.env.STREAM_MAX_RETAINED || '1000');
+
+// Chat streams, in flight and recently finished. Every SSE event gets an
+// incrementing id and is buffered, so a client that lost its connection can
+// reattach with Last-Event-ID and continue where it stopped while the same
+// upstream call keeps running; a stream with no reader for RESUME_WINDOW_MS
+// is cancelled. Once a stream ends only its result event is kept, for up to
+// RETENTION_MS and MAX_RETAINED streams. Each entry owns the AbortController
+// its upstream call listens to. Entries live in this process only: reconnects
+// and stop requests have to reach the instance that serves the stream.
+class StreamRegistry {
+  constructor({ resumeWindowMs = RESUME_WINDOW_MS, retentionMs = RETENTION_MS, maxRetained = MAX_RETAINED } = {}) {
+    this.resumeWindowMs = resumeWindowMs;
+    this.retentionMs = retentionMs;
+    this.maxRetained = maxRetained;
+    this.streams = new Map();
+    // Finished stream IDs, oldest first
+    this.finished = new Set();
+  }
+
+  start({ userId, conversationId }) {
+    const stream = {
+      id: uuidv4(),
+      userId: userId || null,
+      conversationId,
+      controller: new AbortController(),
+      status: 'streaming',
+      events: [],
+      lastEventId: 0,
+      content: '',
+      result: null,
+      listeners: new Set(),
+      detachTimer: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+
+    this.streams.set(stream.id, stream);
+    return stream;
+  }
+
+  // Other users' streams are reported as missing
+  get(streamId, userId) {
+    const stream = this.streams.get(streamId);
+    return stream && stream.userId === (userId || null) ? stream : null;
+  }
+
+  write(res, event) {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+  }
+
+  // Buffers one event and sends it to whoever is reading. A { done } or
+  // { error } event is the stream's result.
+  emit(stream, data) {
+    const event = { id: ++stream.lastEventId, data };
+    stream.events.push(event);
+
+    if (typeof data.content === 'string') {
+      stream.content += data.content;
+    }
+    if (data.done || data.error) {
+      stream.result = data;
+    }
+
+    for (const res of stream.listeners) {
+      this.write(res, event);
+    }
+  }
+
+  // Sends everything after lastEventId, then keeps res subscribed until the
+  // stream ends. A finished stream is replayed and res is ended right away.
+  attach(stream, res, lastEventId = 0) {
+    for (const event of stream.events) {
+      if (event.id > lastEventId) this.write(res, event);
+    }
+
+    if (stream.status !== 'streaming') {
+      res.end();
+      return;
+    }
+
+    clearTimeout(stream.detachTimer);
+    stream.listeners.add(res);
+
+    res.on('close', () => {
+      stream.listeners.delete(res);
+      if (stream.status !== 'streaming' || stream.listeners.size > 0) return;
+
+      stream.detachTimer = setTimeout(() => {
+        if (stream.listeners.size === 0) {
+          logger.info('Stream reader did not return', { streamId: stream.id });
+          this.cancel(stream.id, stream.userId, 'disconnected');
+        }
+      }, this.resumeWindowMs);
+      stream.detachTimer.unref();
+    });
+  }
+
+  // Ends every reader and drops the chunks: a client that comes back later is
+  // sent the result event, and the saved message has the full text
+  end(stream) {
+    if (stream.status !== 'streaming') return;
+
+    stream.status = stream.controller.signal.aborted ? 'cancelled' : (stream.result && stream.result.error ? 'error' : 'done');
+    stream.finishedAt = new Date().toISOString();
+    clearTimeout(stream.detachTimer);
+
+    for (const res of stream.listeners) {
+      res.end();
+    }
+    stream.listeners.clear();
+
+    const last = stream.events[stream.events.length - 1];
+    stream.events = last && last.data === stream.result ? [last] : [];
+    stream.content = '';
+
+    this.finished.add(stream.id);
+    if (this.finished.size > this.maxRetained) {
+      this.remove(this.finished.values().next().value);
+    }
+    setTimeout(() => this.remove(stream.id), this.retentionMs).unref();
+  }
+
+  remove(streamId) {
+    this.streams.delete(streamId);
+    this.finished.delete(streamId);
+  }
+
+  // reason ends up as signal.reason: 'cancelled' for a stop request,
+  // 'disconnected' when the client didn't come back. false if there is no such stream.
+  cancel(streamId, userId, reason = 'cancelled') {
+    const stream = this.get(streamId, userId);
+    if (!stream) {
+      return false;
+    }
+
+    if (stream.status === 'streaming' && !stream.controller.signal.aborted) {
+      stream.controller.abort(reason);
+    }
+    return true;
+  }
+
+  // What a client that missed the end needs: the result once there is one,
+  // the text so far while the stream is running
+  summarize(stream) {
+    return {
+      streamId: stream.id,
+      conversationId: stream.conversationId,
+      status: stream.status,
+      lastEventId: stream.lastEventId,
+      startedAt: stream.startedAt,
+      finishedAt: stream.finishedAt,
+      ...(stream.status === 'streaming' ? { content: stream.content } : { result: stream.result })
+    };
+  }
+}
+
+module.exports = new StreamRegistry();
+module.exports.StreamRegistry = StreamRegistry;
@@ -0,0 +1,159 @@
+const { EventEmitter } = require('events');
+const { StreamRegistry } = require('../utils/streamRegistry');
+
+describe('StreamRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new StreamRegistry();
+  });
+
+  it('hands each stream its own abort signal', () => {
+    const first = registry.start({ userId: 'ada', conversationId: 'chat-1' });
+    const second = registry.start({ userId: 'ada', conversationId: 'chat-2' });
+
+    expect(first.id).not.toBe(second.id);
+    expect(registry.cancel(first.id, 'ada')).toBe(true);
+    expect(first.controller.signal.aborted).toBe(true);
+    expect(first.controller.signal.reason).toBe('cancelled');
+    expect(second.controller.signal.aborted).toBe(false);
+  });
+
+  it('keeps the first reason when cancelled twice', () => {
+    const stream = registry.start({ userId: 'ada', conversationId: 'chat-1' });
+
+    registry.cancel(stream.id, 'ada', 'disconnected');
+    expect(registry.cancel(stream.id, 'ada')).toBe(true);
+    expect(stream.controller.signal.reason).toBe('disconnected');
+  });
+
+  it('hides other users\' streams', () => {
+    const stream = registry.start({ userId: 'ada', conversationId: 'chat-1' });
+    const anonymous = registry.start({ conversationId: 'chat-2' });
+
+    expect(registry.get(stream.id, 'bob')).toBeNull();
+    expect(registry.cancel(stream.id, 'bob')).toBe(false);
+    expect(stream.controller.signal.aborted).toBe(false);
+    expect(registry.get(anonymous.id)).toBe(anonymous);
+    expect(registry.get(anonymous.id, 'ada')).toBeNull();
+  });
+
+  it('forgets removed streams', () => {
+    const stream = registry.start({ userId: 'ada', conversationId: 'chat-1' });
+
+    registry.remove(stream.id);
+    expect(registry.get(stream.id, 'ada')).toBeNull();
+    expect(registry.cancel(stream.id, 'ada')).toBe(false);
+  });
+
+  describe('resuming', () => {
+    // Just enough of an SSE response: collects what was written and can be closed
+    const response = () => {
+      const res = new EventEmitter();
+      res.frames = [];
+      res.writableEnded = false;
+      res.destroyed = false;
+      res.write = frame => res.frames.push(frame);
+      res.end = () => { res.writableEnded = true; };
+      res.ids = () => res.frames.map(frame => Number(/^id: (\d+)/.exec(frame)[1]));
+      return res;
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      registry = new StreamRegistry({ resumeWindowMs: 1000, retentionMs: 60000, maxRetained: 2 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('numbers events and replays what a reconnecting reader missed', () => {
+      const stream = registry.start({ userId: 'ada', conversationId: 'chat-1' });
+      const first = response();
+      registry.attach(stream, first);
+
+      registry.emit(stream, { streamId: stream.id });
+      registry.emit(stream, { content: 'Hel' });
+      first.emit('close');
+      registry.emit(stream, { content: 'lo' });
+
+      const second = response();
+      registry.attach(stream, second, 2);
+      registry.emit(stream, { done: true });
+
+      expect(first.ids()).toEqual([1, 2]);
+      expect(second.ids()).toEqual([3, 4]);
+      expect(second.frames[0]).toBe('id: 3\ndata: {"content":"lo"}\n\n');
+      expect(registry.summarize(stream)).toMatchObject({ status: 'streaming', lastEventId: 4, content: 'Hello' });
+    });
+
+    it('cancels a stream nobody comes back to', () => {
+      const stream = registry.start({ userId: 'ada', conversationId: 'chat-1' });
+      const res = response();
+      registry.attach(stream, res);
+      res.emit('close');
+
+      jest.advanceTimersByTime(999);
+      registry.attach(stream, response());
+      jest.advanceTimersByTime(1000);
+      expect(stream.controller.signal.aborted).toBe(false);
+
+      const other = registry.start({ userId: 'ada', conversationId: 'chat-2' });
+      const gone = response();
+      registry.attach(other, gone);
+      gone.emit('close');
+      jest.advanceTimersByTime(1000);
+      expect(other.controller.signal.reason).toBe('disconnected');
+    });
+
+    it('keeps only the result of a finished stream and ends its readers', () => {
+      const stream = registry.start({ userId: 'ada', conversationId: 'chat-1' });
+      const res = response();
+      registry.attach(stream, res);
+      registry.emit(stream, { content: 'Hello' });
+      registry.emit(stream, { done: true, usage: { total_tokens: 5 } });
+      registry.end(stream);
+
+      expect(res.writableEnded).toBe(true);
+      expect(stream.events.map(event => event.id)).toEqual([2]);
+      expect(registry.summarize(stream)).toMatchObject({ status: 'done', result: { done: true } });
+      expect(registry.cancel(stream.id, 'ada')).toBe(true);
+      expect(stream.controller.signal.aborted).toBe(false);
+
+      const late = response();
+      registry.attach(stream, late);
+      expect(late.ids()).toEqual([2]);
+      expect(late.writableEnded).toBe(true);
+    });
+
+    it('records how a stream ended', () => {
+      const failed = registry.start({ conversationId: 'chat-1' });
+      registry.emit(failed, { error: 'Upstream failed' });
+      registry.end(failed);
+
+      const cancelled = registry.start({ conversationId: 'chat-2' });
+      registry.cancel(cancelled.id);
+      registry.end(cancelled);
+
+      expect(failed.status).toBe('error');
+      expect(cancelled.status).toBe('cancelled');
+      expect(cancelled.events).toEqual([]);
+    });
+
+    it('drops finished streams after the retention time or past the limit', () => {
+      const [first, second, third] = ['chat-1', 'chat-2', 'chat-3'].map(conversationId => {
+        const stream = registry.start({ conversationId });
+        registry.end(stream);
+        return stream;
+      });
+
+      expect(registry.get(first.id)).toBeNull();
+      expect(registry.get(second.id)).toBe(second);
+
+      jest.advanceTimersByTime(60000);
+      expect(registry.get(second.id)).toBeNull();
+      expect(registry.get(third.id)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const { Readable, PassThrough } = require('stream');
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+const axios = require('axios');
+const geminiService = require('../services/geminiService');
+const mistralService = require('../services/mistralService');
+const cohereService = require('../services/cohereService');
+
+const messages = [{ role: 'user', content: 'Hello' }];
+
+// Resolves with the chunks and the final result (or error) a stream reported
+const collect = (service, options = {}) => new Promise(resolve => {
+  const chunks = [];
+  service.streamResponse({
+    messages,
+    ...options,
+    onChunk: chunk => chunks.push(chunk),
+    onComplete: result => resolve({ chunks, result }),
+    onError: error => resolve({ chunks, error })
+  });
+});
+
+async function * fromArray(items) {
+  for (const item of items) yield item;
+}
+
+describe('provider streaming', () => {
+  it('streams Gemini chunks and reports usage', async () => {
+    geminiService.client = {
+      getGenerativeModel: () => ({
+        startChat: () => ({
+          sendMessageStream: async () => ({
+            stream: fromArray([{ text: () => 'Hel' }, { text: () => '' }, { text: () => 'lo' }]),
+            response: Promise.resolve({ usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 2, totalTokenCount: 5 } })
+          })
+        })
+      })
+    };
+
+    const { chunks, result } = await collect(geminiService, { model: 'gemini-pro' });
+
+    expect(chunks).toEqual(['Hel', 'lo']);
+    expect(result).toMatchObject({
+      content: 'Hello',
+      model: 'gemini-pro',
+      usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 }
+    });
+  });
+
+  it('parses Mistral server-sent events split across network chunks', async () => {
+    const events = [
+      'data: {"model":"mistral-large-2402","choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"del',
+      'ta":{"content":"lo"}}],"usage":{"prompt_tokens":4,"completion_tokens":2,"total_tokens":6}}\n\n',
+      'data: [DONE]\n\n'
+    ];
+    axios.post.mockResolvedValue({ data: Readable.from(events) });
+
+    const { chunks, result } = await collect(mistralService, { model: 'mistral-large' });
+
+    expect(axios.post.mock.calls[0][1]).toMatchObject({ model: 'mistral-large', stream: true });
+    expect(chunks).toEqual(['Hel', 'lo']);
+    expect(result).toMatchObject({
+      content: 'Hello',
+      model: 'mistral-large-2402',
+      usage: { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 }
+    });
+  });
+
+  it('reports a failed Mistral request through onError', async () => {
+    axios.post.mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 401, data: { message: 'Unauthorized' } } }));
+
+    const { chunks, error } = await collect(mistralService);
+
+    expect(chunks).toEqual([]);
+    expect(error.message).toContain('Unauthorized');
+  });
+
+  it('streams Cohere text events and takes usage from stream-end', async () => {
+    cohereService.client = {
+      chatStream: async () => fromArray([
+        { eventType: 'stream-start' },
+        { eventType: 'text-generation', text: 'Hel' },
+        { eventType: 'text-generation', text: 'lo' },
+        { eventType: 'stream-end', response: { meta: { billedUnits: { inputTokens: 5, outputTokens: 2 } } } }
+      ])
+    };
+
+    const { chunks, result } = await collect(cohereService, { model: 'command' });
+
+    expect(chunks).toEqual(['Hel', 'lo']);
+    expect(result).toMatchObject({ content: 'Hello', usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } });
+  });
+
+  it('reports Cohere failures through onError', async () => {
+    cohereService.client = { chatStream: async () => { throw new Error('Cohere is down'); } };
+
+    const { error } = await collect(cohereService);
+
+    expect(error.message).toContain('Cohere is down');
+  });
+});
+
+describe('cancelled streams', () => {
+  // Runs a stream until its first chunk, aborts it and waits for streamResponse to return
+  const cancelAfterFirstChunk = async (service) => {
+    const controller = new AbortController();
+    const chunks = [];
+    const onComplete = jest.fn();
+    const onError = jest.fn();
+
+    await service.streamResponse({
+      messages,
+      signal: controller.signal,
+      onChunk: chunk => {
+        chunks.push(chunk);
+        controller.abort('cancelled');
+      },
+      onComplete,
+      onError
+    });
+
+    return { chunks, onComplete, onError };
+  };
+
+  it('stop reading Gemini without completing or failing', async () => {
+    geminiService.client = {
+      getGenerativeModel: () => ({
+        startChat: () => ({
+          sendMessageStream: async () => ({
+            stream: fromArray([{ text: () => 'Hel' }, { text: () => 'lo' }]),
+            response: Promise.resolve({ usageMetadata: {} })
+          })
+        })
+      })
+    };
+
+    const { chunks, onComplete, onError } = await cancelAfterFirstChunk(geminiService);
+
+    expect(chunks).toEqual(['Hel']);
+    expect(onComplete).not.toHaveBeenCalled();
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('close the Mistral response stream', async () => {
+    const data = new PassThrough();
+    axios.post.mockResolvedValue({ data });
+    setImmediate(() => data.write('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n'));
+
+    const { chunks, onComplete, onError } = await cancelAfterFirstChunk(mistralService);
+
+    expect(axios.post.mock.lastCall[2].signal).toBeDefined();
+    expect(chunks).toEqual(['Hel']);
+    expect(data.destroyed).toBe(true);
+    expect(onComplete).not.toHaveBeenCalled();
+    expect(onError).not.toHaveBeenCalled();
+  });
+});
+
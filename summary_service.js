@@ -0,0 +1,175 @@
+const cohereService = require('./cohereService');
+const fallbackChain = require('./fallbackChain');
+const conversationManager = require('../utils/conversationManager');
+const contentParts = require('../utils/contentParts');
+const { calculateCost } = require('../utils/costCalculator');
+const metrics = require('../utils/metrics');
+
+// Cohere's summarize endpoint rejects shorter texts
+const COHERE_MIN_SUMMARY_CHARS = 250;
+const MAX_TITLE_LENGTH = 80;
+// A title only needs the gist, so it gets a shorter slice of the transcript
+const TITLE_INPUT_CHARS = 6000;
+
+const TITLE_PROMPT = 'Write a title of at most six words for the conversation below. ' +
+  'Reply with the title only, without quotes or trailing punctuation.';
+
+const SUMMARY_PROMPT = 'Summarize the conversation below in one short paragraph. ' +
+  'Say what the user wanted, what was answered or decided, and what is still open.';
+
+// Titles and summaries for conversations, both kept in the conversation
+// metadata. A summary remembers the message it was written up to, so it is
+// reused until the active branch moves on.
+class SummaryService {
+  constructor() {
+    // Optional cheaper models for these short jobs, e.g. "openai:gpt-3.5-turbo,mistral:mistral-small";
+    // otherwise the server's default chain is used
+    this.chain = fallbackChain.parseChain(process.env.SUMMARY_MODELS);
+    // cohere uses Cohere's summarize endpoint, chat asks a chat model like titles do
+    this.summarizer = process.env.SUMMARY_PROVIDER || (process.env.COHERE_API_KEY ? 'cohere' : 'chat');
+    // Longer conversations are summarized from their most recent part
+    this.maxInputChars = parseInt(process.env.SUMMARY_MAX_INPUT_CHARS || '24000');
+  }
+
+  transcript(messages, maxChars = this.maxInputChars) {
+    const text = messages
+      .filter(message => message.role === 'user' || message.role === 'assistant')
+      .map(message => ({ role: message.role, text: contentParts.flattenContent(message.content).trim() }))
+      .filter(({ text }) => text)
+      .map(({ role, text }) => `${role === 'user' ? 'User' : 'Assistant'}: ${text}`)
+      .join('\n\n');
+
+    return text.length > maxChars ? `[…]\n${text.slice(-maxChars)}` : text;
+  }
+
+  // One short completion from the summary chain; operation labels its metrics
+  async complete(instructions, text, { maxTokens, operation }) {
+    const chain = this.chain.length > 0 ? this.chain : fallbackChain.resolve({});
+
+    const { result, provider } = await fallbackChain.execute(chain, (aiService, entry) => (
+      metrics.trackUpstream(entry.provider, entry.model, operation, () => aiService.generateResponse({
+        messages: [{ role: 'user', content: text }],
+        model: entry.model,
+        systemPrompt: instructions,
+        temperature: 0.3,
+        maxTokens
+      }))
+    ));
+
+    return { text: (result.content || '').trim(), provider, model: result.model, usage: result.usage };
+  }
+
+  // Models like to answer 'Title: "Something."'
+  cleanTitle(text) {
+    const title = text.split('\n')[0]
+      .replace(/^title\s*:\s*/i, '')
+      .replace(/^["'“”*#\s]+|["'“”*.\s]+$/g, '')
+      .trim();
+
+    return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…` : title;
+  }
+
+  // Replaces the placeholder title; unless forced, a conversation that already
+  // has a generated title is left alone. null when there is nothing to title.
+  async generateTitle(conversationId, { force = false } = {}) {
+    const metadata = await conversationManager.getMetadata(conversationId);
+    if (!metadata || (!force && metadata.titleSource === 'generated')) {
+      return null;
+    }
+
+    const text = this.transcript(await conversationManager.getConversation(conversationId), TITLE_INPUT_CHARS);
+    if (!text) {
+      return null;
+    }
+
+    const { text: reply, provider, model, usage } = await this.complete(TITLE_PROMPT, text, { maxTokens: 20, operation: 'title' });
+    const title = this.cleanTitle(reply);
+    if (!title) {
+      throw new Error(`${provider} returned an empty title`);
+    }
+
+    await conversationManager.updateMetadata(conversationId, {
+      title,
+      titleSource: 'generated',
+      titleGeneratedAt: new Date().toISOString()
+    });
+
+    return { title, provider, model, usage, cost: calculateCost(provider, model, usage) };
+  }
+
+  async summarize(text) {
+    if (this.summarizer === 'cohere' && text.length >= COHERE_MIN_SUMMARY_CHARS) {
+      const model = process.env.COHERE_SUMMARIZE_MODEL || 'command';
+      const result = await metrics.trackUpstream('cohere', model, 'summary', () => cohereService.summarize({
+        text,
+        model,
+        length: 'medium',
+        format: 'paragraph'
+      }));
+
+      return { text: result.summary.trim(), provider: 'cohere', model: result.model, usage: result.usage };
+    }
+
+    return this.complete(SUMMARY_PROMPT, text, { maxTokens: 300, operation: 'summary' });
+  }
+
+  // The stored summary, without asking a model for one; stale once the branch
+  // has moved past it. null for missing or empty conversations.
+  async getCachedSummary(conversationId) {
+    const metadata = await conversationManager.getMetadata(conversationId);
+    if (!metadata) {
+      return null;
+    }
+
+    const messages = await conversationManager.getConversation(conversationId);
+    const last = messages[messages.length - 1];
+    if (!last) {
+      return null;
+    }
+
+    const cached = metadata.summary || null;
+    return { summary: cached, stale: !cached || cached.upToMessageId !== last.id };
+  }
+
+  // Summary of the active branch: the cached one while it still ends at the
+  // branch's last message, a fresh one otherwise (or when refresh is set).
+  // null for missing or empty conversations.
+  async getSummary(conversationId, { refresh = false } = {}) {
+    const metadata = await conversationManager.getMetadata(conversationId);
+    if (!metadata) {
+      return null;
+    }
+
+    const messages = await conversationManager.getConversation(conversationId);
+    const last = messages[messages.length - 1];
+    if (!last) {
+      return null;
+    }
+
+    const cached = metadata.summary;
+    if (!refresh && cached && cached.upToMessageId === last.id) {
+      return { summary: cached, cached: true };
+    }
+
+    const text = this.transcript(messages);
+    if (!text) {
+      return null;
+    }
+
+    const { text: summaryText, provider, model, usage } = await this.summarize(text);
+    const summary = {
+      text: summaryText,
+      upToMessageId: last.id,
+      messageCount: messages.length,
+      provider,
+      model,
+      createdAt: new Date().toISOString()
+    };
+
+    await conversationManager.updateMetadata(conversationId, { summary });
+    return { summary, cached: false, usage, cost: calculateCost(provider, model, usage) };
+  }
+}
+
+module.exports = new SummaryService();
+module.exports.SummaryService = SummaryService;
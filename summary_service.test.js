@@ -0,0 +1,136 @@
+process.env.CONVERSATION_STORE = 'memory';
+
+const { SummaryService } = require('../services/summaryService');
+const fallbackChain = require('../services/fallbackChain');
+const providerRegistry = require('../services/providerRegistry');
+const cohereService = require('../services/cohereService');
+const conversationManager = require('../utils/conversationManager');
+
+const usage = { prompt_tokens: 1000, completion_tokens: 10, total_tokens: 1010 };
+
+describe('SummaryService', () => {
+  let service;
+  let generate;
+
+  beforeEach(() => {
+    service = new SummaryService();
+    service.chain = fallbackChain.parseChain('openai:gpt-3.5-turbo');
+    service.summarizer = 'chat';
+    generate = jest.spyOn(providerRegistry.getService('openai'), 'generateResponse')
+      .mockImplementation(async ({ model }) => ({ content: 'Title: "Planning a trip to Lisbon."', model, usage }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const converse = async (conversationId, ...turns) => {
+    for (const content of turns) {
+      await conversationManager.saveMessage(conversationId, { role: 'user', content });
+      await conversationManager.saveMessage(conversationId, { role: 'assistant', content: `Answer to ${content}` });
+    }
+  };
+
+  describe('transcript', () => {
+    it('labels user and assistant turns and leaves out everything else', () => {
+      const text = service.transcript([
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: [{ type: 'text', text: 'Hello ' }] },
+        { role: 'tool', content: '{"ok":true}' },
+        { role: 'assistant', content: 'Hi' }
+      ]);
+
+      expect(text).toBe('User: Hello\n\nAssistant: Hi');
+    });
+
+    it('keeps the end of long conversations', () => {
+      const text = service.transcript([{ role: 'user', content: 'abcdefghij' }], 5);
+      expect(text).toBe('[…]\nfghij');
+    });
+  });
+
+  describe('cleanTitle', () => {
+    it('strips labels, quotes and trailing punctuation', () => {
+      expect(service.cleanTitle('Title: "Planning a trip to Lisbon."\nMore text')).toBe('Planning a trip to Lisbon');
+      expect(service.cleanTitle('**Budget review**')).toBe('Budget review');
+    });
+
+    it('shortens overlong titles', () => {
+      const title = service.cleanTitle('word '.repeat(30));
+      expect(title).toHaveLength(80);
+      expect(title.endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('generateTitle', () => {
+    it('stores a generated title and reports what it cost', async () => {
+      await converse('title-chat', 'Where should I stay in Lisbon?');
+
+      const result = await service.generateTitle('title-chat');
+
+      expect(result).toMatchObject({ title: 'Planning a trip to Lisbon', provider: 'openai', model: 'gpt-3.5-turbo', usage });
+      expect(result.cost.total).toBeGreaterThan(0);
+      expect(generate.mock.calls[0][0]).toMatchObject({ model: 'gpt-3.5-turbo', maxTokens: 20 });
+      expect(await conversationManager.getMetadata('title-chat')).toMatchObject({ title: 'Planning a trip to Lisbon', titleSource: 'generated' });
+    });
+
+    it('keeps a generated title unless forced', async () => {
+      await converse('titled-chat', 'Where should I stay in Lisbon?');
+      await service.generateTitle('titled-chat');
+
+      expect(await service.generateTitle('titled-chat')).toBeNull();
+      expect(await service.generateTitle('titled-chat', { force: true })).toMatchObject({ title: 'Planning a trip to Lisbon' });
+      expect(generate).toHaveBeenCalledTimes(2);
+    });
+
+    it('returns null for missing conversations', async () => {
+      expect(await service.generateTitle('no-such-chat')).toBeNull();
+    });
+  });
+
+  describe('getSummary', () => {
+    beforeEach(() => {
+      generate.mockImplementation(async ({ model }) => ({ content: ' The user planned a trip. ', model, usage }));
+    });
+
+    it('reuses the cached summary until the branch moves on', async () => {
+      await converse('summary-chat', 'Where should I stay in Lisbon?');
+
+      const first = await service.getSummary('summary-chat');
+      expect(first).toMatchObject({ cached: false, summary: { text: 'The user planned a trip.', messageCount: 2, provider: 'openai' } });
+      expect(await service.getSummary('summary-chat')).toMatchObject({ cached: true, summary: first.summary });
+      expect(await service.getCachedSummary('summary-chat')).toEqual({ summary: first.summary, stale: false });
+
+      await converse('summary-chat', 'And what should I eat?');
+      expect((await service.getCachedSummary('summary-chat')).stale).toBe(true);
+      expect(await service.getSummary('summary-chat')).toMatchObject({ cached: false, summary: { messageCount: 4 } });
+      expect(generate).toHaveBeenCalledTimes(2);
+    });
+
+    it('writes a fresh summary when asked to refresh', async () => {
+      await converse('refresh-chat', 'Where should I stay in Lisbon?');
+      await service.getSummary('refresh-chat');
+
+      expect(await service.getSummary('refresh-chat', { refresh: true })).toMatchObject({ cached: false });
+      expect(generate).toHaveBeenCalledTimes(2);
+    });
+
+    it('uses Cohere\'s summarize endpoint for long enough conversations', async () => {
+      service.summarizer = 'cohere';
+      const summarize = jest.spyOn(cohereService, 'summarize')
+        .mockImplementation(async ({ model }) => ({ summary: 'A long chat about Lisbon.', model, usage }));
+
+      await converse('short-chat', 'Lisbon?');
+      await service.getSummary('short-chat');
+      expect(summarize).not.toHaveBeenCalled();
+
+      await converse('long-chat', 'Where should I stay in Lisbon? '.repeat(10));
+      expect(await service.getSummary('long-chat')).toMatchObject({ summary: { text: 'A long chat about Lisbon.', provider: 'cohere' } });
+    });
+
+    it('returns null for missing conversations', async () => {
+      expect(await service.getSummary('no-such-chat')).toBeNull();
+      expect(await service.getCachedSummary('no-such-chat')).toBeNull();
+    });
+  });
+});
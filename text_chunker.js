@@ -0,0 +1,136 @@
+// Splits documents into passages for embedding. Markdown is cut at headings
+// first, then everything is packed paragraph by paragraph up to chunkSize
+// characters; a paragraph that is too long on its own is cut into overlapping
+// windows. Offsets point into the original text so citations can quote it.
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.RAG_CHUNK_SIZE || '1000');
+const DEFAULT_CHUNK_OVERLAP = parseInt(process.env.RAG_CHUNK_OVERLAP || '150');
+
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.+?)[ \t#]*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// [{ heading, start, end }] where heading is the path of enclosing headings
+const splitSections = (text, markdown) => {
+  if (!markdown) {
+    return [{ heading: null, start: 0, end: text.length }];
+  }
+
+  const sections = [];
+  const path = [];
+  let current = { heading: null, start: 0 };
+  let inFence = false;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+
+    const match = !inFence && HEADING_PATTERN.exec(line);
+    if (match) {
+      sections.push({ ...current, end: offset });
+
+      const level = match[1].length;
+      path.length = level - 1;
+      path[level - 1] = match[2];
+      current = { heading: path.filter(Boolean).join(' › '), start: offset };
+    }
+
+    offset += line.length + 1;
+  }
+  sections.push({ ...current, end: text.length });
+
+  return sections.filter(section => text.slice(section.start, section.end).trim().length > 0);
+};
+
+// Paragraph ranges (split on blank lines) within [start, end)
+const splitParagraphs = (text, start, end) => {
+  const paragraphs = [];
+  const separator = /\n[ \t]*\n/g;
+  separator.lastIndex = start;
+
+  let paragraphStart = start;
+  let match;
+  while ((match = separator.exec(text)) !== null && match.index < end) {
+    paragraphs.push([paragraphStart, match.index]);
+    paragraphStart = match.index + match[0].length;
+  }
+  paragraphs.push([paragraphStart, end]);
+
+  return paragraphs.filter(([from, to]) => text.slice(from, to).trim().length > 0);
+};
+
+// Fixed windows over one long range, preferring to break at whitespace
+const splitWindows = (text, start, end, chunkSize, overlap) => {
+  const windows = [];
+  let from = start;
+
+  while (from < end) {
+    let to = Math.min(from + chunkSize, end);
+    if (to < end) {
+      const lastSpace = text.lastIndexOf(' ', to);
+      if (lastSpace > from + chunkSize / 2) {
+        to = lastSpace;
+      }
+    }
+    windows.push([from, to]);
+    if (to >= end) break;
+    from = Math.max(to - overlap, from + 1);
+  }
+
+  return windows;
+};
+
+const chunkText = (text, {
+  markdown = false,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  overlap = DEFAULT_CHUNK_OVERLAP
+} = {}) => {
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+  const chunks = [];
+
+  const push = (heading, from, to) => {
+    const raw = source.slice(from, to);
+    const content = raw.trim();
+    if (!content) return;
+
+    const leading = raw.length - raw.trimStart().length;
+    chunks.push({
+      index: chunks.length,
+      text: content,
+      heading,
+      start: from + leading,
+      end: from + leading + content.length
+    });
+  };
+
+  for (const section of splitSections(source, markdown)) {
+    let current = null;
+
+    for (const [from, to] of splitParagraphs(source, section.start, section.end)) {
+      if (to - from > chunkSize) {
+        if (current) push(section.heading, current[0], current[1]);
+        current = null;
+        for (const [windowFrom, windowTo] of splitWindows(source, from, to, chunkSize, overlap)) {
+          push(section.heading, windowFrom, windowTo);
+        }
+        continue;
+      }
+
+      if (current && to - current[0] > chunkSize) {
+        push(section.heading, current[0], current[1]);
+        current = null;
+      }
+      current = current ? [current[0], to] : [from, to];
+    }
+
+    if (current) push(section.heading, current[0], current[1]);
+  }
+
+  return chunks;
+};
+
+module.exports = {
+  chunkText,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP
+};
@@ -0,0 +1,71 @@
+const { chunkText } = require('../utils/textChunker');
+
+describe('chunkText', () => {
+  it('packs short paragraphs into one chunk', () => {
+    const text = 'First paragraph.\n\nSecond paragraph.';
+    const chunks = chunkText(text, { chunkSize: 100 });
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toMatchObject({ index: 0, heading: null, text });
+  });
+
+  it('starts a new chunk when the next paragraph would not fit', () => {
+    const text = `${'a'.repeat(60)}\n\n${'b'.repeat(60)}`;
+    const chunks = chunkText(text, { chunkSize: 100 });
+
+    expect(chunks.map(chunk => chunk.text)).toEqual(['a'.repeat(60), 'b'.repeat(60)]);
+  });
+
+  it('cuts a long paragraph into overlapping windows at spaces', () => {
+    const words = Array.from({ length: 60 }, (_, i) => `word${i}`);
+    const chunks = chunkText(words.join(' '), { chunkSize: 100, overlap: 20 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.text.length).toBeLessThanOrEqual(100);
+    }
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].start).toBeLessThan(chunks[i - 1].end);
+    }
+  });
+
+  it('keeps offsets that point into the original text', () => {
+    const text = '  Leading space.\r\n\r\nWindows line endings.';
+    const normalized = text.replace(/\r\n?/g, '\n');
+
+    for (const chunk of chunkText(text, { chunkSize: 20 })) {
+      expect(normalized.slice(chunk.start, chunk.end)).toBe(chunk.text);
+    }
+  });
+
+  it('splits Markdown at headings and records the heading path', () => {
+    const text = [
+      '# Guide',
+      'Intro.',
+      '## Install',
+      'Run the installer.',
+      '```',
+      '# not a heading',
+      '```',
+      '## Usage',
+      'Start it.'
+    ].join('\n');
+
+    const chunks = chunkText(text, { markdown: true, chunkSize: 500 });
+
+    expect(chunks.map(chunk => chunk.heading)).toEqual(['Guide', 'Guide › Install', 'Guide › Usage']);
+    expect(chunks[1].text).toContain('# not a heading');
+  });
+
+  it('treats headings as text when markdown is off', () => {
+    const chunks = chunkText('# Title\nBody', { chunkSize: 500 });
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].heading).toBeNull();
+  });
+
+  it('returns nothing for blank text', () => {
+    expect(chunkText('  \n\n  ')).toEqual([]);
+    expect(chunkText(undefined)).toEqual([]);
+  });
+});
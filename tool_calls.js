@@ -0,0 +1,56 @@
+// Provider-neutral tool calling. Clients describe tools as
+// { name, description, parameters (JSON Schema) }; the assistant asks for them
+// with toolCalls: [{ id, name, arguments }] and the client answers with
+// { role: 'tool', toolCallId, name, content } messages. Services translate
+// this to and from their native formats.
+const TOOL_CHOICES = ['auto', 'none', 'required'];
+
+const hasToolCalls = (message) => Array.isArray(message.toolCalls) && message.toolCalls.length > 0;
+
+// Tools are only sent upstream when there are some and the caller allows them
+const shouldUseTools = (tools, toolChoice) => Array.isArray(tools) && tools.length > 0 && toolChoice !== 'none';
+
+// Arguments arrive as a JSON string; keep the raw string if the model produced invalid JSON
+const parseArguments = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return {};
+  if (typeof raw !== 'string') return raw;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+};
+
+const stringifyArguments = (args) => (typeof args === 'string' ? args : JSON.stringify(args || {}));
+
+// For requests sent without tools (or to providers without tool support):
+// tool calls and results become plain text so the history still makes sense
+const flattenToolMessages = (messages) => messages.map(msg => {
+  if (msg.role === 'tool') {
+    return {
+      ...msg,
+      role: 'user',
+      content: `[Result of tool ${msg.name || msg.toolCallId}]: ${msg.content}`
+    };
+  }
+
+  if (msg.role === 'assistant' && hasToolCalls(msg)) {
+    const calls = msg.toolCalls
+      .map(call => `[Called tool ${call.name} with ${stringifyArguments(call.arguments)}]`)
+      .join('\n');
+    const { toolCalls, ...rest } = msg;
+    return { ...rest, content: [msg.content, calls].filter(Boolean).join('\n') };
+  }
+
+  return msg;
+});
+
+module.exports = {
+  TOOL_CHOICES,
+  hasToolCalls,
+  shouldUseTools,
+  parseArguments,
+  stringifyArguments,
+  flattenToolMessages
+};
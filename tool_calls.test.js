@@ -0,0 +1,178 @@
+const toolCalls = require('../utils/toolCalls');
+const openaiService = require('../services/openaiService');
+const anthropicService = require('../services/anthropicService');
+
+const tools = [{ name: 'weather', description: 'Current weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }];
+
+// A user question, the assistant calling a tool, and the client's answer
+const history = [
+  { role: 'user', content: 'Weather in Paris?' },
+  { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'weather', arguments: { city: 'Paris' } }] },
+  { role: 'tool', toolCallId: 'call_1', name: 'weather', content: '{"temp":21}' }
+];
+
+async function * fromArray(items) {
+  for (const item of items) yield item;
+}
+
+describe('toolCalls', () => {
+  it('only uses tools when there are some and the caller allows them', () => {
+    expect(toolCalls.shouldUseTools(tools, 'auto')).toBe(true);
+    expect(toolCalls.shouldUseTools(tools, 'none')).toBe(false);
+    expect(toolCalls.shouldUseTools([], undefined)).toBe(false);
+  });
+
+  it('parses arguments and keeps invalid JSON as it came', () => {
+    expect(toolCalls.parseArguments('{"city":"Paris"}')).toEqual({ city: 'Paris' });
+    expect(toolCalls.parseArguments('')).toEqual({});
+    expect(toolCalls.parseArguments('{"city":')).toBe('{"city":');
+    expect(toolCalls.stringifyArguments({ city: 'Paris' })).toBe('{"city":"Paris"}');
+  });
+
+  it('flattens tool calls and results into plain text', () => {
+    expect(toolCalls.flattenToolMessages(history)).toEqual([
+      history[0],
+      { role: 'assistant', content: '[Called tool weather with {"city":"Paris"}]' },
+      { role: 'user', toolCallId: 'call_1', name: 'weather', content: '[Result of tool weather]: {"temp":21}' }
+    ]);
+  });
+});
+
+describe('OpenAI tool calling', () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.fn();
+    openaiService.client = { chat: { completions: { create } } };
+  });
+
+  it('sends tools and history in the native format and reads calls back', async () => {
+    create.mockResolvedValue({
+      model: 'gpt-4',
+      choices: [{
+        finish_reason: 'tool_calls',
+        message: { content: null, tool_calls: [{ id: 'call_2', type: 'function', function: { name: 'weather', arguments: '{"city":"Rome"}' } }] }
+      }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    });
+
+    const result = await openaiService.generateResponse({ messages: history, tools, toolChoice: { name: 'weather' } });
+    const request = create.mock.calls[0][0];
+
+    expect(request.tools).toEqual([{ type: 'function', function: tools[0] }]);
+    expect(request.tool_choice).toEqual({ type: 'function', function: { name: 'weather' } });
+    expect(request.messages.slice(-2)).toEqual([
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"temp":21}' }
+    ]);
+    expect(result).toMatchObject({ content: '', finishReason: 'tool_calls', toolCalls: [{ id: 'call_2', name: 'weather', arguments: { city: 'Rome' } }] });
+  });
+
+  it('flattens the history when tools are switched off', async () => {
+    create.mockResolvedValue({ model: 'gpt-4', choices: [{ finish_reason: 'stop', message: { content: 'ok' } }], usage: {} });
+
+    await openaiService.generateResponse({ messages: history, tools, toolChoice: 'none' });
+    const request = create.mock.calls[0][0];
+
+    expect(request).not.toHaveProperty('tools');
+    expect(request.messages.map(msg => msg.role)).toEqual(['user', 'assistant', 'user']);
+  });
+
+  it('assembles streamed call fragments', async () => {
+    create.mockResolvedValue(fromArray([
+      { model: 'gpt-4', choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_3', function: { name: 'weather', arguments: '' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"Oslo"}' } }] }, finish_reason: 'tool_calls' }] },
+      { choices: [], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }
+    ]));
+
+    const result = await new Promise((resolve, reject) => openaiService.streamResponse({
+      messages: history.slice(0, 1),
+      tools,
+      onChunk: () => {},
+      onComplete: resolve,
+      onError: reject
+    }));
+
+    expect(result).toMatchObject({ finishReason: 'tool_calls', toolCalls: [{ id: 'call_3', name: 'weather', arguments: { city: 'Oslo' } }] });
+  });
+});
+
+describe('Anthropic tool calling', () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.fn();
+    anthropicService.client = { messages: { create } };
+  });
+
+  it('sends calls as tool_use blocks and answers to parallel calls in one user turn', () => {
+    const parallel = [
+      history[0],
+      { role: 'assistant', content: 'Checking', toolCalls: [{ id: 'a', name: 'weather', arguments: { city: 'Paris' } }, { id: 'b', name: 'weather', arguments: { city: 'Rome' } }] },
+      { role: 'tool', toolCallId: 'a', content: 'Sunny' },
+      { role: 'tool', toolCallId: 'b', content: 'Rain' },
+      { role: 'user', content: 'And tomorrow?' }
+    ];
+
+    expect(anthropicService.formatMessages(parallel).slice(1)).toEqual([
+      {
+        role: 'assistant',
+        content: [
+          { type: 'text', text: 'Checking' },
+          { type: 'tool_use', id: 'a', name: 'weather', input: { city: 'Paris' } },
+          { type: 'tool_use', id: 'b', name: 'weather', input: { city: 'Rome' } }
+        ]
+      },
+      {
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 'a', content: 'Sunny' },
+          { type: 'tool_result', tool_use_id: 'b', content: 'Rain' },
+          { type: 'text', text: 'And tomorrow?' }
+        ]
+      }
+    ]);
+  });
+
+  it('maps tool choices and reads tool_use blocks back', async () => {
+    create.mockResolvedValue({
+      model: 'claude-3-sonnet-20240229',
+      stop_reason: 'tool_use',
+      content: [{ type: 'text', text: 'Let me check. ' }, { type: 'tool_use', id: 'toolu_1', name: 'weather', input: { city: 'Rome' } }],
+      usage: { input_tokens: 10, output_tokens: 5 }
+    });
+
+    const result = await anthropicService.generateResponse({ messages: history.slice(0, 1), tools, toolChoice: 'required' });
+
+    expect(create.mock.calls[0][0]).toMatchObject({
+      tools: [{ name: 'weather', description: 'Current weather', input_schema: tools[0].parameters }],
+      tool_choice: { type: 'any' }
+    });
+    expect(result).toMatchObject({
+      content: 'Let me check. ',
+      finishReason: 'tool_calls',
+      toolCalls: [{ id: 'toolu_1', name: 'weather', arguments: { city: 'Rome' } }]
+    });
+  });
+
+  it('assembles streamed tool input', async () => {
+    create.mockResolvedValue(fromArray([
+      { type: 'message_start', message: { model: 'claude-3-sonnet-20240229', usage: { input_tokens: 10 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_2', name: 'weather' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"city"' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: ':"Oslo"}' } },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 5 } }
+    ]));
+
+    const result = await new Promise((resolve, reject) => anthropicService.streamResponse({
+      messages: history.slice(0, 1),
+      tools,
+      onChunk: () => {},
+      onComplete: resolve,
+      onError: reject
+    }));
+
+    expect(result).toMatchObject({ content: '', finishReason: 'tool_calls', toolCalls: [{ id: 'toolu_2', name: 'weather', arguments: { city: 'Oslo' } }] });
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The module builds a default store on load; keep it out of the working directory
+process.env.ATTACHMENTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+
+const openaiService = require('../services/openaiService');
+const { calculateTranscriptionCost } = require('../utils/costCalculator');
+const { AttachmentStore } = require('../utils/attachmentStore');
+const { normalizeMimeType, sniffAudioType } = require('../utils/audioFormats');
+
+// The first bytes of each format, padded to the length the sniffer needs
+const header = (...parts) => {
+  const buffer = Buffer.alloc(16);
+  let offset = 0;
+  for (const part of parts) {
+    const bytes = typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part);
+    bytes.copy(buffer, offset);
+    offset += bytes.length;
+  }
+  return buffer;
+};
+
+const WAV = header('RIFF', [0, 0, 0, 0], 'WAVE');
+
+describe('sniffAudioType', () => {
+  it('recognises the formats Whisper accepts by their bytes', () => {
+    expect(sniffAudioType(header('ID3'))).toBe('audio/mpeg');
+    expect(sniffAudioType(header([0xff, 0xfb]))).toBe('audio/mpeg');
+    expect(sniffAudioType(WAV)).toBe('audio/wav');
+    expect(sniffAudioType(header('OggS'))).toBe('audio/ogg');
+    expect(sniffAudioType(header('fLaC'))).toBe('audio/flac');
+    expect(sniffAudioType(header([0x1a, 0x45, 0xdf, 0xa3]))).toBe('audio/webm');
+    expect(sniffAudioType(header([0, 0, 0, 0x20], 'ftyp'))).toBe('audio/mp4');
+  });
+
+  it('returns null for anything else', () => {
+    expect(sniffAudioType(header('not audio'))).toBeNull();
+    expect(sniffAudioType(Buffer.from('ID3'))).toBeNull();
+  });
+
+  it('ignores codec parameters in declared types', () => {
+    expect(normalizeMimeType('Audio/WebM; codecs=opus')).toBe('audio/webm');
+    expect(normalizeMimeType(undefined)).toBe('');
+  });
+});
+
+describe('OpenAIService.transcribeAudio', () => {
+  it('uploads the audio under the extension of its format', async () => {
+    const create = jest.fn(async () => ({ text: 'Hello there', language: 'english', duration: 2.5 }));
+    openaiService.client = { audio: { transcriptions: { create } } };
+
+    const result = await openaiService.transcribeAudio({ audioBuffer: WAV, mimeType: 'audio/wav', language: 'en' });
+
+    const [params] = create.mock.calls[0];
+    expect(params).toMatchObject({ model: 'whisper-1', language: 'en', response_format: 'verbose_json' });
+    expect(params.file.name).toBe('audio.wav');
+    expect(result).toEqual({ text: 'Hello there', language: 'english', duration: 2.5, model: 'whisper-1' });
+  });
+});
+
+describe('calculateTranscriptionCost', () => {
+  it('prices by the minute of audio', () => {
+    expect(calculateTranscriptionCost('whisper-1', { duration: 90 })).toEqual({ minutes: 1.5, total: 0.009, currency: 'USD' });
+  });
+
+  it('returns null without a price or duration', () => {
+    expect(calculateTranscriptionCost('whisper-2', { duration: 90 })).toBeNull();
+    expect(calculateTranscriptionCost('whisper-1', {})).toBeNull();
+  });
+});
+
+describe('voice recordings', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new AttachmentStore({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-')), maxBytes: 4, maxAudioBytes: 32 });
+  });
+
+  it('are stored as audio under their own size limit', async () => {
+    const attachment = await store.save({ buffer: WAV, userId: 'ada', kind: 'audio', source: 'voice' });
+
+    expect(attachment).toMatchObject({ mimeType: 'audio/wav', kind: 'audio', source: 'voice' });
+    await expect(store.save({ buffer: Buffer.alloc(33), kind: 'audio' })).rejects.toMatchObject({ status: 413 });
+    await expect(store.save({ buffer: header('not audio'), kind: 'audio' })).rejects.toMatchObject({ status: 415 });
+  });
+
+  it('cannot be sent to a model as images', async () => {
+    const attachment = await store.save({ buffer: WAV, userId: 'ada', kind: 'audio', source: 'voice' });
+
+    await expect(store.storeContent([{ type: 'image', attachmentId: attachment.id }], 'ada'))
+      .rejects.toThrow(`Attachment ${attachment.id} is not an image`);
+  });
+});
@@ -0,0 +1,93 @@
+// Base class for account storage backends. AuthService, ApiKeyService and
+// QuotaManager only talk to these primitives: user records, refresh tokens
+// (stored hashed, grouped into rotation families), revoked access token IDs,
+// API keys and token usage counters.
+class UserStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async init() {}
+
+  async close() {}
+
+  async getUser(userId) {
+    throw new Error(`${this.name} user store does not implement getUser`);
+  }
+
+  async findUserByUsername(username) {
+    throw new Error(`${this.name} user store does not implement findUserByUsername`);
+  }
+
+  // Must reject a username that is already taken (case-insensitive)
+  async createUser(user) {
+    throw new Error(`${this.name} user store does not implement createUser`);
+  }
+
+  async getRefreshToken(tokenId) {
+    throw new Error(`${this.name} user store does not implement getRefreshToken`);
+  }
+
+  async saveRefreshToken(token) {
+    throw new Error(`${this.name} user store does not implement saveRefreshToken`);
+  }
+
+  async revokeRefreshTokens(filter, revokedAt) {
+    throw new Error(`${this.name} user store does not implement revokeRefreshTokens`);
+  }
+
+  async revokeAccessToken(jti, expiresAt) {
+    throw new Error(`${this.name} user store does not implement revokeAccessToken`);
+  }
+
+  async isAccessTokenRevoked(jti) {
+    throw new Error(`${this.name} user store does not implement isAccessTokenRevoked`);
+  }
+
+  async getApiKey(keyId) {
+    throw new Error(`${this.name} user store does not implement getApiKey`);
+  }
+
+  async findApiKeyByPrefix(prefix) {
+    throw new Error(`${this.name} user store does not implement findApiKeyByPrefix`);
+  }
+
+  // Every key when userId is omitted
+  async listApiKeys(userId) {
+    throw new Error(`${this.name} user store does not implement listApiKeys`);
+  }
+
+  async saveApiKey(apiKey) {
+    throw new Error(`${this.name} user store does not implement saveApiKey`);
+  }
+
+  // Only sets lastUsedAt, so it can't undo a revoke that happened in between
+  async touchApiKey(keyId, lastUsedAt) {
+    throw new Error(`${this.name} user store does not implement touchApiKey`);
+  }
+
+  // Resolves to { counterKey: tokens } for the requested counters (0 if unknown)
+  async getUsage(counterKeys) {
+    throw new Error(`${this.name} user store does not implement getUsage`);
+  }
+
+  // Adds tokens to each counter; a counter is dropped once expiresAt has passed
+  async addUsage(counters, tokens) {
+    throw new Error(`${this.name} user store does not implement addUsage`);
+  }
+
+  // Drops refresh tokens, revocation entries and usage counters that expired before `now`
+  async pruneExpired(now) {}
+}
+
+// Thrown by createUser so routes can answer 409 instead of 500
+class UserExistsError extends Error {
+  constructor(username) {
+    super(`Username ${username} is already taken`);
+    this.name = 'UserExistsError';
+    this.code = 'USER_EXISTS';
+  }
+}
+
+module.exports = UserStore;
+module.exports.UserExistsError = UserExistsError;
@@ -0,0 +1,24 @@
+const FileUserStore = require('./fileUserStore');
+const MemoryUserStore = require('./memoryUserStore');
+
+const stores = {
+  file: (options) => new FileUserStore({
+    directory: options.directory || process.env.USERS_DIR
+  }),
+  memory: () => new MemoryUserStore()
+};
+
+const createUserStore = (type = process.env.USER_STORE || 'file', options = {}) => {
+  const factory = stores[type.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown user store "${type}". Expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  createUserStore,
+  userStoreTypes: Object.keys(stores)
+};
@@ -0,0 +1,209 @@
+process.env.USER_STORE = 'memory';
+
+const { validateChatRequest, validateConversationId, validateCredentials, validateApiKeyRequest, validateImageRequest, validateTranscriptionRequest, validateCollectionRequest } = require('../middleware/validation');
+
+// Runs a middleware and reports whether it passed the request on, and what it answered otherwise
+const run = (middleware, body) => {
+  const req = { body, query: {}, params: {} };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode, body: res.body, req };
+};
+
+describe('validateChatRequest', () => {
+  it('accepts any registered provider', () => {
+    expect(run(validateChatRequest, { message: 'hi', provider: 'Gemini' }).passed).toBe(true);
+  });
+
+  it('rejects providers the registry does not know', () => {
+    const result = run(validateChatRequest, { message: 'hi', provider: 'llama' });
+    expect(result.passed).toBe(false);
+    expect(result.status).toBe(400);
+    expect(result.body.error).toBe('Invalid AI provider specified');
+  });
+
+  it('accepts a fallback chain of registered providers', () => {
+    expect(run(validateChatRequest, { message: 'hi', fallback: ['openai:gpt-4', { provider: 'mistral' }] }).passed).toBe(true);
+  });
+
+  it('rejects an empty or unknown fallback chain', () => {
+    expect(run(validateChatRequest, { message: 'hi', fallback: [] }).body.error).toBe('Fallback must be a non-empty array of providers');
+    expect(run(validateChatRequest, { message: 'hi', fallback: ['openai', 'llama'] }).body.error).toBe('Invalid AI provider in fallback chain');
+  });
+
+  it('checks the context window options', () => {
+    expect(run(validateChatRequest, { message: 'hi', contextStrategy: 'summarize', keepFirst: '4' }).req.body.keepFirst).toBe(4);
+    expect(run(validateChatRequest, { message: 'hi', contextStrategy: 'newest' }).body.error).toBe('ContextStrategy must be one of: sliding, keep-first, summarize');
+    expect(run(validateChatRequest, { message: 'hi', keepFirst: 51 }).body.error).toBe('KeepFirst must be a number between 0 and 50');
+  });
+
+  it('deduplicates collection IDs and bounds how many a chat names', () => {
+    expect(run(validateChatRequest, { message: 'hi', collectionIds: ['a', 'b', 'a'] }).req.body.collectionIds).toEqual(['a', 'b']);
+    expect(run(validateChatRequest, { message: 'hi', collectionIds: [] }).body.error)
+      .toBe('CollectionIds must be a non-empty array of at most 10 collection IDs');
+    expect(run(validateChatRequest, { message: 'hi', collectionIds: Array.from({ length: 11 }, (_, i) => `c${i}`) }).status).toBe(400);
+  });
+
+  it('rejects an empty message', () => {
+    expect(run(validateChatRequest, { message: '   ' }).status).toBe(400);
+  });
+
+  describe('images', () => {
+    const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).toString('base64');
+    const ask = (extra) => ({ message: [{ type: 'text', text: ' What is this? ' }, { type: 'image', data: PNG, mimeType: 'image/png' }], ...extra });
+
+    it('accepts images for a vision model and trims the text parts', () => {
+      const result = run(validateChatRequest, ask({ provider: 'openai', model: 'gpt-4-turbo' }));
+
+      expect(result.passed).toBe(true);
+      expect(result.req.body.message[0].text).toBe('What is this?');
+    });
+
+    it('rejects malformed parts', () => {
+      expect(run(validateChatRequest, { message: [] }).body.error).toBe('Message must contain at least one part');
+      expect(run(validateChatRequest, { message: [{ type: 'video' }] }).body.error).toBe('Message part type must be text or image');
+      expect(run(validateChatRequest, { message: [{ type: 'image', data: PNG, url: 'data:image/png;base64,AA==' }] }).body.error)
+        .toBe('Image parts need exactly one of data, url or attachmentId');
+      expect(run(validateChatRequest, { message: [{ type: 'image', url: 'https://example.com/cat.png' }] }).status).toBe(400);
+    });
+
+    it('needs a vision model somewhere in the chain', () => {
+      const result = run(validateChatRequest, ask({ provider: 'openai', model: 'gpt-4' }));
+
+      expect(result.body.error).toBe('openai:gpt-4 cannot read images');
+      expect(result.body.visionModels.gemini).toEqual(['gemini-pro-vision']);
+      expect(run(validateChatRequest, ask({ fallback: ['mistral', 'gemini:gemini-pro-vision'] })).passed).toBe(true);
+    });
+  });
+
+  describe('tools', () => {
+    const tools = [{ name: 'weather', parameters: { type: 'object' } }];
+
+    it('accepts well-formed tools for providers that can call them', () => {
+      expect(run(validateChatRequest, { message: 'hi', provider: 'openai', tools, toolChoice: { name: 'weather' } }).passed).toBe(true);
+      expect(run(validateChatRequest, { message: 'hi', fallback: ['openai', 'anthropic'], tools }).passed).toBe(true);
+    });
+
+    it('rejects malformed and duplicate tools', () => {
+      expect(run(validateChatRequest, { message: 'hi', provider: 'openai', tools: [] }).status).toBe(400);
+      expect(run(validateChatRequest, { message: 'hi', provider: 'openai', tools: [{ name: 'bad name' }] }).status).toBe(400);
+      expect(run(validateChatRequest, { message: 'hi', provider: 'openai', tools: [...tools, ...tools] }).body.error).toBe('Tool names must be unique');
+      expect(run(validateChatRequest, { message: 'hi', provider: 'openai', tools, toolChoice: { name: 'search' } }).body.error)
+        .toBe('ToolChoice must name one of the tools');
+    });
+
+    it('requires tool support from every provider the request may reach', () => {
+      expect(run(validateChatRequest, { message: 'hi', provider: 'gemini', tools }).body.error).toBe('Provider gemini does not support tool calling');
+      expect(run(validateChatRequest, { message: 'hi', fallback: ['openai', 'mistral:mistral-large'], tools }).body.error)
+        .toBe('Provider mistral does not support tool calling');
+    });
+  });
+});
+
+describe('conversation IDs', () => {
+  it('rejects chat requests for IDs that are not safe file names', () => {
+    expect(run(validateChatRequest, { message: 'hi', conversationId: 'c0ffee-42_a' }).passed).toBe(true);
+    expect(run(validateChatRequest, { message: 'hi', conversationId: '../metadata' })).toMatchObject({
+      passed: false,
+      status: 400,
+      body: { error: 'Invalid conversation ID' }
+    });
+  });
+
+  it('rejects malformed route IDs with a 400', () => {
+    const param = (id) => run((req, res, next) => validateConversationId(req, res, next, id), {});
+
+    expect(param('abc-123').passed).toBe(true);
+    expect(param('a.b')).toMatchObject({ passed: false, status: 400 });
+    expect(param('x'.repeat(129)).passed).toBe(false);
+  });
+});
+
+describe('validateImageRequest', () => {
+  it('fills in the model defaults', () => {
+    const result = run(validateImageRequest, { prompt: ' A lighthouse ' });
+
+    expect(result.passed).toBe(true);
+    expect(result.req.body).toMatchObject({ prompt: 'A lighthouse', model: 'dall-e-3', size: '1024x1024', quality: 'standard' });
+  });
+
+  it('holds each model to its own sizes, qualities and counts', () => {
+    expect(run(validateImageRequest, { prompt: 'x', model: 'dall-e-2', size: '256x256', n: '4' }).req.body.n).toBe(4);
+    expect(run(validateImageRequest, { prompt: 'x', model: 'dall-e-2', quality: 'hd' }).body.error)
+      .toBe('Invalid image quality for dall-e-2; use one of: standard');
+    expect(run(validateImageRequest, { prompt: 'x', n: 2 }).body.error).toBe('N must be a number between 1 and 1 for dall-e-3');
+    expect(run(validateImageRequest, { prompt: 'x', model: 'midjourney' }).status).toBe(400);
+    expect(run(validateImageRequest, { prompt: 'x'.repeat(1001), model: 'dall-e-2' }).status).toBe(400);
+  });
+
+  it('rejects malformed conversation IDs', () => {
+    expect(run(validateImageRequest, { prompt: 'x', conversationId: '../users/users' }).body.error).toBe('Invalid conversation ID');
+  });
+});
+
+describe('validateCollectionRequest', () => {
+  it('trims the name', () => {
+    const result = run(validateCollectionRequest, { name: ' Handbook ', embedder: 'local' });
+
+    expect(result.passed).toBe(true);
+    expect(result.req.body.name).toBe('Handbook');
+  });
+
+  it('rejects missing names, long descriptions and unknown embedders', () => {
+    expect(run(validateCollectionRequest, { name: '  ' }).body.error).toBe('Name is required and must be at most 100 characters');
+    expect(run(validateCollectionRequest, { name: 'x', description: 'x'.repeat(501) }).status).toBe(400);
+    expect(run(validateCollectionRequest, { name: 'x', embedder: 'word2vec' }).status).toBe(400);
+  });
+});
+
+describe('validateTranscriptionRequest', () => {
+  it('accepts an optional language code and prompt', () => {
+    expect(run(validateTranscriptionRequest, {}).passed).toBe(true);
+    expect(run(validateTranscriptionRequest, { language: 'de', prompt: 'Names: Ada, Grace' }).passed).toBe(true);
+  });
+
+  it('rejects other language codes and long prompts', () => {
+    expect(run(validateTranscriptionRequest, { language: 'German' }).body.error).toBe('Language must be an ISO-639-1 code such as en or de');
+    expect(run(validateTranscriptionRequest, { language: 'EN' }).status).toBe(400);
+    expect(run(validateTranscriptionRequest, { prompt: 'x'.repeat(1001) }).status).toBe(400);
+  });
+});
+
+describe('validateCredentials', () => {
+  it('trims the username and accepts a reasonable password', () => {
+    const result = run(validateCredentials, { username: ' ada.l ', password: 'correct horse' });
+    expect(result.passed).toBe(true);
+    expect(result.req.body.username).toBe('ada.l');
+  });
+
+  it('rejects bad usernames and passwords bcrypt would truncate', () => {
+    expect(run(validateCredentials, { username: 'a b', password: 'correct horse' }).status).toBe(400);
+    expect(run(validateCredentials, { username: 'ada', password: 'short' }).body.error).toBe('Password must be a string of at least 8 characters');
+    expect(run(validateCredentials, { username: 'ada', password: 'x'.repeat(73) }).body.error).toBe('Password is too long (max 72 bytes)');
+  });
+});
+
+describe('validateApiKeyRequest', () => {
+  it('accepts known scopes and normalizes the expiry', () => {
+    const result = run(validateApiKeyRequest, { name: ' deploy bot ', scopes: ['chat', 'admin'], expiresInDays: '30' });
+    expect(result.passed).toBe(true);
+    expect(result.req.body).toMatchObject({ name: 'deploy bot', expiresInDays: 30 });
+  });
+
+  it('rejects unknown scopes and out of range expiries', () => {
+    expect(run(validateApiKeyRequest, { name: 'bot', scopes: ['root'] }).body.error).toMatch(/^Unknown scopes: root\./);
+    expect(run(validateApiKeyRequest, { name: 'bot', scopes: [] }).status).toBe(400);
+    expect(run(validateApiKeyRequest, { name: 'bot', scopes: ['chat'], expiresInDays: 0 }).status).toBe(400);
+  });
+
+  it('accepts positive token limits only', () => {
+    expect(run(validateApiKeyRequest, { name: 'bot', scopes: ['chat'], dailyTokenLimit: '500' }).req.body.dailyTokenLimit).toBe(500);
+    expect(run(validateApiKeyRequest, { name: 'bot', scopes: ['chat'], monthlyTokenLimit: 0 }).body.error)
+      .toBe('MonthlyTokenLimit must be a positive number');
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomicWrite');
+const logger = require('./logger');
+
+// Collections that stay loaded after being searched or changed
+const MAX_CACHED_COLLECTIONS = parseInt(process.env.RAG_CACHED_COLLECTIONS || '20');
+
+// Vectors are stored as base64 Float32 arrays: exact and far smaller than JSON numbers
+const encodeVector = (vector) => Buffer.from(new Float32Array(vector).buffer).toString('base64');
+
+// Copied out of the decoded Buffer, which may sit at an unaligned offset in Node's pool
+const decodeVector = (encoded) => new Float32Array(Uint8Array.from(Buffer.from(encoded, 'base64')).buffer);
+
+const norm = (vector) => {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  return Math.sqrt(sum) || 1;
+};
+
+// Local on-disk vector index. Collection metadata lives in collections.json and
+// is held in memory; each collection's chunks and vectors are in
+// <collectionId>.vectors.json and loaded when first needed. Search is an exact
+// cosine scan, which is plenty for per-user document sets.
+class VectorIndex {
+  constructor({ directory } = {}) {
+    this.directory = directory || path.join(process.cwd(), 'data', 'collections');
+    this.metadataPath = path.join(this.directory, 'collections.json');
+    this.collections = new Map();
+    this.vectors = new Map(); // collectionId -> [{ chunk, vector, norm }]
+    // Single writer for collections.json
+    this.metadataWrites = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    try {
+      this.collections = new Map(Object.entries(JSON.parse(await fs.readFile(this.metadataPath, 'utf8'))));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        // Without the metadata the vector files can't be attributed to users
+        logger.error('Collection index is unreadable:', error);
+        throw error;
+      }
+    }
+  }
+
+  async close() {
+    await this.metadataWrites;
+  }
+
+  getVectorsPath(collectionId) {
+    if (!/^[\w-]+$/.test(collectionId)) {
+      throw new Error(`Invalid collection ID: ${collectionId}`);
+    }
+    return path.join(this.directory, `${collectionId}.vectors.json`);
+  }
+
+  persistMetadata() {
+    const write = this.metadataWrites.then(() => writeFileAtomic(
+      this.metadataPath,
+      JSON.stringify(Object.fromEntries(this.collections), null, 2)
+    ));
+
+    // Keep the chain alive after a failed write; the caller still sees the error
+    this.metadataWrites = write.catch(() => {});
+    return write;
+  }
+
+  getCollection(collectionId) {
+    return this.collections.get(collectionId) || null;
+  }
+
+  listCollections() {
+    return Array.from(this.collections.values());
+  }
+
+  async saveCollection(collection) {
+    this.collections.set(collection.id, collection);
+    await this.persistMetadata();
+    return collection;
+  }
+
+  async deleteCollection(collectionId) {
+    this.collections.delete(collectionId);
+    this.vectors.delete(collectionId);
+    await this.persistMetadata();
+    await fs.unlink(this.getVectorsPath(collectionId)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async loadVectors(collectionId) {
+    if (this.vectors.has(collectionId)) {
+      // Refresh its position so the least recently used collection is evicted first
+      const cached = this.vectors.get(collectionId);
+      this.vectors.delete(collectionId);
+      this.vectors.set(collectionId, cached);
+      return cached;
+    }
+
+    let stored = [];
+    try {
+      stored = JSON.parse(await fs.readFile(this.getVectorsPath(collectionId), 'utf8')).chunks;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entries = stored.map(({ embedding, ...chunk }) => {
+      const vector = decodeVector(embedding);
+      return { chunk, vector, norm: norm(vector) };
+    });
+
+    this.vectors.set(collectionId, entries);
+    if (this.vectors.size > MAX_CACHED_COLLECTIONS) {
+      this.vectors.delete(this.vectors.keys().next().value);
+    }
+
+    return entries;
+  }
+
+  async writeVectors(collectionId, entries) {
+    await writeFileAtomic(this.getVectorsPath(collectionId), JSON.stringify({
+      chunks: entries.map(({ chunk, vector }) => ({ ...chunk, embedding: encodeVector(vector) }))
+    }));
+    this.vectors.set(collectionId, entries);
+  }
+
+  // chunks: [{ id, documentId, text, ..., embedding: number[] }]
+  async addChunks(collectionId, chunks) {
+    const entries = await this.loadVectors(collectionId);
+    const added = chunks.map(({ embedding, ...chunk }) => {
+      const vector = Float32Array.from(embedding);
+      return { chunk, vector, norm: norm(vector) };
+    });
+
+    await this.writeVectors(collectionId, [...entries, ...added]);
+  }
+
+  async removeDocument(collectionId, documentId) {
+    const entries = await this.loadVectors(collectionId);
+    await this.writeVectors(collectionId, entries.filter(entry => entry.chunk.documentId !== documentId));
+  }
+
+  // Top k chunks by cosine similarity, best first
+  async search(collectionId, queryVector, k) {
+    const entries = await this.loadVectors(collectionId);
+    const queryNorm = norm(queryVector);
+
+    return entries
+      .map(entry => {
+        let dot = 0;
+        for (let i = 0; i < entry.vector.length; i++) dot += entry.vector[i] * queryVector[i];
+        return { entry, score: dot / (entry.norm * queryNorm) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+      .map(({ entry, score }) => ({ ...entry.chunk, score }));
+  }
+}
+
+module.exports = VectorIndex;
@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const VectorIndex = require('../utils/vectorIndex');
+const { LocalEmbedder } = require('../utils/embedders');
+
+const embedder = new LocalEmbedder({ dimensions: 256 });
+
+const chunk = async (id, documentId, text) => ({
+  id,
+  documentId,
+  text,
+  embedding: (await embedder.embed([text])).embeddings[0]
+});
+
+describe('VectorIndex', () => {
+  let directory;
+  let index;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-index-'));
+    index = new VectorIndex({ directory });
+    await index.init();
+  });
+
+  afterEach(async () => {
+    await index.close();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('returns the closest chunks first', async () => {
+    await index.addChunks('docs', [
+      await chunk('a', 'doc-1', 'the cat sat on the mat'),
+      await chunk('b', 'doc-1', 'quarterly revenue grew in europe'),
+      await chunk('c', 'doc-2', 'a cat chased a mouse')
+    ]);
+
+    const { embeddings } = await embedder.embed(['where the cat sat']);
+    const results = await index.search('docs', embeddings[0], 2);
+
+    expect(results.map(result => result.id)).toEqual(['a', 'c']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(results[0]).not.toHaveProperty('embedding');
+  });
+
+  it('keeps vectors and collections across instances', async () => {
+    await index.saveCollection({ id: 'docs', userId: 'alice', name: 'Docs' });
+    await index.addChunks('docs', [await chunk('a', 'doc-1', 'exact vectors survive a reload')]);
+
+    const reopened = new VectorIndex({ directory });
+    await reopened.init();
+
+    expect(reopened.getCollection('docs')).toMatchObject({ userId: 'alice', name: 'Docs' });
+
+    const { embeddings } = await embedder.embed(['exact vectors survive a reload']);
+    const [result] = await reopened.search('docs', embeddings[0], 1);
+    expect(result.id).toBe('a');
+    expect(result.score).toBeCloseTo(1, 5);
+  });
+
+  it('removes every chunk of a document', async () => {
+    await index.addChunks('docs', [
+      await chunk('a', 'doc-1', 'first document'),
+      await chunk('b', 'doc-2', 'second document')
+    ]);
+    await index.removeDocument('docs', 'doc-1');
+
+    const { embeddings } = await embedder.embed(['first document']);
+    const results = await index.search('docs', embeddings[0], 5);
+    expect(results.map(result => result.documentId)).toEqual(['doc-2']);
+  });
+
+  it('deletes a collection and its vector file', async () => {
+    await index.saveCollection({ id: 'docs', name: 'Docs' });
+    await index.addChunks('docs', [await chunk('a', 'doc-1', 'text')]);
+    await index.deleteCollection('docs');
+
+    expect(index.getCollection('docs')).toBeNull();
+    await expect(fs.access(index.getVectorsPath('docs'))).rejects.toThrow();
+  });
+
+  it('rejects collection IDs that would leave the directory', () => {
+    expect(() => index.getVectorsPath('../outside')).toThrow('Invalid collection ID');
+  });
+});